@@ -13,6 +13,8 @@ require('dotenv').config();
 const TelegramBot = require('node-telegram-bot-api');
 const mongoose = require('mongoose');
 const os = require('os');
+const http = require('http');
+const crypto = require('crypto');
 
 // ==========================================
 // 1. CONFIGURATION & SECURITY SETUP
@@ -22,10 +24,41 @@ const CONFIG = {
     token: process.env.BOT_TOKEN,
     mongoUri: process.env.MONGO_URI,
     superAdminId: parseInt(process.env.ADMIN_ID),
+    mode: process.env.BOT_MODE === 'webhook' ? 'webhook' : 'polling',
+    webhookUrl: process.env.WEBHOOK_URL, // Public URL (masalan: https://bot.example.com)
+    webhookPath: process.env.WEBHOOK_PATH || '/telegram/webhook',
+    webhookSecret: process.env.WEBHOOK_SECRET,
+    port: parseInt(process.env.PORT) || null, // Polling rejimida ham berilsa /healthz ishlaydi
+    maxBodySize: 1024 * 1024, // 1 MB
     floodLimit: 800, // Milliseconds
     downloadCooldown: 5000, // 5 seconds between downloads
+    bulkSendDelay: 40, // ms - reklama va bildirishnomalar birgalikda ~25 msg/sek
     stateTTL: 30 * 60 * 1000, // 30 minutes
+    activityWriteInterval: 10 * 60 * 1000, // Tugma bosishlarda lastActiveAt ko'pi bilan shuncha vaqtda bir yoziladi
+    eventRetentionDays: 180, // Statistika hodisalari (ko'rish, yuklash...) shuncha kun saqlanadi
     adminCacheTTL: 60 * 1000,
+    subCacheTTL: 2 * 60 * 1000, // Faqat "hammasiga a'zo" natijasi keshlanadi
+    joinRequestTTL: 7 * 24 * 3600, // sekund - ko'rib chiqilmagan so'rovlar shuncha vaqt hisoblanadi
+    subPromptTTL: 3 * 24 * 3600, // sekund - obuna so'ralgan user shu muddatda a'zo bo'lsa kampaniyaga yoziladi
+    adultAge: 18,
+    languages: ['uz', 'ru', 'en'],
+    defaultLanguage: 'uz',
+    langCacheTTL: 10 * 60 * 1000,
+    tzOffset: 5, // Asia/Tashkent (UTC+5) - admin kiritadigan sanalar shu vaqtda
+    schedulerInterval: 30 * 1000,
+    trashPurgeInterval: 60 * 60 * 1000,
+    trashRetentionOptions: [7, 14, 30, 60, 90], // kun
+    searchTTL: 10 * 60 * 1000, // Qidiruv natijalari 10 daqiqa saqlanadi
+    searchPageSize: 8,
+    searchMaxResults: 50,
+    searchBatchSize: 300, // Mongo prefiltridan keyin fuzzy baholash uchun bir martada o'qiladigan kinolar
+    topMinVotes: 5, // /top ro'yxatiga kirish uchun minimal ovozlar soni
+    popularDays: 7, // /popular: oxirgi N kundagi ko'rish/yuklashlar
+    requestDailyLimit: 5, // Bitta user 24 soatda yuborishi mumkin bo'lgan kino so'rovlari
+    requestMergeScore: 0.85, // Nomlar shu darajada o'xshash bo'lsa bitta so'rovga birlashtiriladi
+    importDelay: 1100, // Bitta chatga forward qilish limiti ~1 msg/sek
+    importMaxRange: 1000,
+    backupMaxSize: 20 * 1024 * 1024, // Bot API orqali yuklab olish limiti
     dbOptions: {
         serverSelectionTimeoutMS: 5000,
         maxPoolSize: 10,
@@ -40,22 +73,78 @@ if (!CONFIG.token || !CONFIG.mongoUri || isNaN(CONFIG.superAdminId)) {
     process.exit(1);
 }
 
-const bot = new TelegramBot(CONFIG.token, { polling: true });
+if (CONFIG.mode === 'webhook' && !/^[A-Za-z0-9_-]{1,256}$/.test(CONFIG.webhookSecret || '')) {
+    console.error("❌ CRITICAL ERROR: Webhook rejimi uchun WEBHOOK_SECRET kerak (A-Z, a-z, 0-9, _ va -)!");
+    process.exit(1);
+}
+
+// Polling/webhook suhbat holatlari bazadan tiklangandan keyin yoqiladi (startReceivingUpdates)
+const bot = new TelegramBot(CONFIG.token, { polling: false });
 let BOT_USERNAME = '';
 
+// Suhbat holati (wizardlar): xotirada ishlaydi, har o'zgarish MongoDB'ga yoziladi.
+// Restartdan keyin load() orqali tiklanadi; muddati CONFIG.stateTTL (TTL index).
+class PersistentStateMap extends Map {
+    constructor() {
+        super();
+        this.queue = Promise.resolve();
+    }
+
+    set(key, value) {
+        super.set(key, value);
+        this.persist(key);
+        return this;
+    }
+
+    delete(key) {
+        const existed = super.delete(key);
+        if (existed) this.enqueue(() => ConversationState.deleteOne({ chatId: key }));
+        return existed;
+    }
+
+    // Obyekt joyida o'zgartirilganda (st.step = ...) chaqiriladi
+    persist(key) {
+        const value = super.get(key);
+        if (!value) return;
+        const expiresAt = new Date((value.timestamp || Date.now()) + CONFIG.stateTTL);
+        this.enqueue(() => ConversationState.updateOne({ chatId: key }, { data: value, expiresAt }, { upsert: true }));
+    }
+
+    enqueue(op) {
+        this.queue = this.queue.then(op).catch(e => console.error("State Persist Error:", e.message));
+    }
+
+    async load() {
+        const docs = await ConversationState.find({ expiresAt: { $gt: new Date() } }).lean();
+        for (const doc of docs) if (!super.has(doc.chatId)) super.set(doc.chatId, doc.data);
+        return docs.length;
+    }
+}
+
 // In-Memory Storage (Cache)
 const floodMap = new Map();
 const downloadLimitMap = new Map();
-const state = new Map();
+const state = new PersistentStateMap();
 const adminCache = new Map();
+const searchCache = new Map();
+const subCache = new Map();
+const langCache = new Map();
+const exclusiveLocks = new Map();
+const activityMap = new Map(); // userId -> lastActiveAt oxirgi yozilgan vaqt (tugma bosishlar uchun)
+const activeImports = new Set(); // Oraliq importi ketayotgan admin chatlari
 
 // Global Broadcast Controller
 let broadcastController = {
     isActive: false,
-    shouldStop: false
+    shouldStop: false,
+    jobId: null,
+    sent: 0,
+    blocked: 0,
+    startedAt: null
 };
 
 const startTime = Date.now();
+let updatesReady = false;
 
 // Error Handling (Prevent Crash)
 process.on('uncaughtException', (err) => console.error('🔥 Uncaught Exception:', err));
@@ -67,6 +156,12 @@ process.on('unhandledRejection', (reason) => console.error('🔥 Unhandled Rejec
 
 mongoose.connect(CONFIG.mongoUri)
     .then(() => console.log('✅ MongoDB Connection Established'))
+    .then(migrateRatings)
+    .then(migrateSearchWords)
+    .then(restoreConversationState)
+    .then(startReceivingUpdates)
+    .then(resumeBroadcastJobs)
+    .then(purgeTrash)
     .catch(err => {
         console.error('❌ DB Connection Error:', err);
         process.exit(1);
@@ -77,54 +172,129 @@ const userSchema = new mongoose.Schema({
     firstName: String,
     username: String,
     birthYear: Number,
+    language: { type: String, enum: CONFIG.languages }, // Interfeys tili (bo'lmasa CONFIG.defaultLanguage)
     isBanned: { type: Boolean, default: false },
     isActive: { type: Boolean, default: true },
     lastMessageId: Number,
     joinedAt: { type: Date, default: Date.now },
+    favorites: { type: [Number], index: true }, // Sevimli kino/serial kodlari
+    referredBy: { type: Number, index: true }, // Taklif qilgan foydalanuvchi (/start ref_<id>)
+    lastActiveAt: { type: Date, default: Date.now },
     restrictions: {
         canDownload: { type: Boolean, default: true },
         contentProtected: { type: Boolean, default: false }
     }
 });
 
+// Katalog janrlari (indeks callback_data'da ishlatiladi, tartibini o'zgartirmang - faqat oxiriga qo'shing)
+const GENRES = ['Jangari', 'Komediya', 'Drama', 'Ujas', 'Fantastika', 'Melodrama', 'Triller', 'Sarguzasht', 'Detektiv', 'Tarixiy', 'Multfilm', 'Hujjatli', 'Oilaviy', 'Kriminal'];
+
+// Bitta video faylning sifat varianti (480p, 720p, 1080p...)
+const videoVariantSchema = new mongoose.Schema({
+    quality: String,
+    fileId: String,
+    duration: String
+}, { _id: false });
+
 const movieSchema = new mongoose.Schema({
     code: { type: Number, unique: true, index: true },
     contentType: { type: String, enum: ['movie', 'series'], default: 'movie' },
     title: { type: String, trim: true },
+    titles: { ru: { type: String, trim: true }, en: { type: String, trim: true } }, // Tarjima nomlar (bo'lmasa title)
     posterId: String,
     country: String,
     language: String,
+    genres: [{ type: String }],
+    releaseYear: Number,
     quality: String,
     duration: String,
     isAdult: { type: Boolean, default: false },
-    fileId: String, // Kino uchun
+    fileId: String, // Kino uchun (asosiy variant)
+    variants: [videoVariantSchema],
     episodes: [{ // Serial uchun
+        season: { type: Number, default: 1 },
         number: Number,
         fileId: String,
+        variants: [videoVariantSchema],
         name: { type: String, default: '' },
         addedAt: { type: Date, default: Date.now }
     }],
     views: { type: Number, default: 0 },
     downloads: { type: Number, default: 0 },
+    // Rating kolleksiyasidan hisoblangan kesh: kartani ko'rsatishda har safar agregatsiya qilmaslik uchun
     ratingSum: { type: Number, default: 0 },
     ratingCount: { type: Number, default: 0 },
-    ratedUsers: [{ type: Number }],
+    ratingDist: { type: [Number], default: () => [0, 0, 0, 0, 0] }, // 1..5 yulduzlar soni
+    // Kodlar kanallaridagi avto-post xabarlari (tahrirlanganda yangilash uchun)
+    channelPosts: [{ _id: false, channelId: String, messageId: Number, isPhoto: Boolean }],
+    // Nom/mamlakat/til so'zlarining normallashtirilgan ko'rinishi: qidiruvda butun bazani o'qimaslik uchun prefiks bo'yicha saralanadi.
+    // Hisoblanadigan maydon - zaxira nusxaga kirmaydi
+    searchWords: { type: [String], index: true, select: false },
     addedBy: Number
 }, { timestamps: true });
 
+movieSchema.pre('save', function () {
+    if (this.isNew || ['title', 'titles', 'country', 'language'].some(path => this.isModified(path))) {
+        this.searchWords = buildSearchWords(this);
+    }
+});
+
 const channelSchema = new mongoose.Schema({
     channelId: { type: String, unique: true, required: true },
     name: String,
     url: String,
     type: { type: String, enum: ['main', 'movie_codes'], default: 'main' },
+    // Bot a'zolikni tekshira olmasa: 'skip' - talab qilinmaydi, 'require' - a'zo emas deb hisoblanadi
+    checkErrorPolicy: { type: String, enum: ['skip', 'require'], default: 'skip' },
+    isActive: { type: Boolean, default: true }, // Kampaniya tugagach false - endi talab qilinmaydi
+    // Homiy kampaniyasi (faqat 'main'): maqsad yoki tugash sanasidan qaysi biri oldin bajarilsa
+    campaign: {
+        targetJoins: Number,
+        endsAt: Date,
+        joins: { type: Number, default: 0 }, // Bot so'rovi orqali qo'shilganlar
+        startedAt: Date,
+        finishedAt: Date
+    },
     addedAt: { type: Date, default: Date.now }
 });
 
+// Yopiq kanallarga yuborilgan (hali ko'rib chiqilmagan) qo'shilish so'rovlari
+const joinRequestSchema = new mongoose.Schema({
+    channelId: { type: String, required: true },
+    userId: { type: Number, required: true },
+    createdAt: { type: Date, default: Date.now, index: { expires: CONFIG.joinRequestTTL } }
+});
+joinRequestSchema.index({ channelId: 1, userId: 1 }, { unique: true });
+
+// Kampaniyali kanal sendSubRequest orqali userga ko'rsatilgani (a'zo bo'lganda bir marta hisoblanadi)
+const subPromptSchema = new mongoose.Schema({
+    channelId: { type: String, required: true },
+    userId: { type: Number, required: true },
+    createdAt: { type: Date, default: Date.now, index: { expires: CONFIG.subPromptTTL } }
+});
+subPromptSchema.index({ channelId: 1, userId: 1 }, { unique: true });
+
+// Ommaviy importda post izohini tahlil qilish uchun standart shablonlar (har birida 1 ta guruh)
+const IMPORT_PATTERN_DEFAULTS = {
+    title: '^\\W*(?:Kino nomi|Nomi)\\s*[:\\-]\\s*(.+)$',
+    country: '^\\W*Davlat(?:i)?\\s*[:\\-]\\s*(.+)$',
+    language: '^\\W*Til(?:i)?\\s*[:\\-]\\s*(.+)$',
+    code: '^\\W*Kod(?:i)?\\s*[:\\-]?\\s*#?(\\d+)'
+};
+
 const settingsSchema = new mongoose.Schema({
     key: { type: String, default: 'config', unique: true },
     globalProtection: { type: Boolean, default: false },
     globalDownload: { type: Boolean, default: true },
-    autoPost: { type: Boolean, default: true }
+    autoPost: { type: Boolean, default: true },
+    hideAdultContent: { type: Boolean, default: true }, // true: 18+ voyaga yetmaganlardan yashiriladi, false: faqat yuklash bloklanadi
+    trashRetentionDays: { type: Number, default: 30 },
+    importPatterns: {
+        title: { type: String, default: IMPORT_PATTERN_DEFAULTS.title },
+        country: { type: String, default: IMPORT_PATTERN_DEFAULTS.country },
+        language: { type: String, default: IMPORT_PATTERN_DEFAULTS.language },
+        code: { type: String, default: IMPORT_PATTERN_DEFAULTS.code }
+    }
 });
 
 const adminSchema = new mongoose.Schema({
@@ -141,11 +311,112 @@ const adminSchema = new mongoose.Schema({
     }
 });
 
+const broadcastJobSchema = new mongoose.Schema({
+    adminId: { type: Number, required: true },
+    sourceChatId: { type: Number, required: true },
+    sourceMessageId: { type: Number, required: true },
+    status: { type: String, enum: ['scheduled', 'running', 'completed', 'stopped', 'failed'], default: 'running', index: true },
+    scheduledAt: Date,
+    segment: { // Bo'sh bo'lsa - barcha aktiv userlar
+        birthYearFrom: Number,
+        birthYearTo: Number,
+        joinedFrom: Date,
+        joinedTo: Date,
+        activeWithinDays: Number,
+        watchedCode: Number
+    },
+    lastUserId: mongoose.Schema.Types.ObjectId, // Cursor pozitsiyasi (User._id bo'yicha)
+    total: { type: Number, default: 0 },
+    sent: { type: Number, default: 0 },
+    blocked: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 },
+    startedAt: { type: Date, default: Date.now },
+    finishedAt: Date
+});
+
+// Foydalanuvchi harakatlari (ko'rish/yuklash/qo'shilish/bloklash) - segmentlash va statistika uchun
+const eventSchema = new mongoose.Schema({
+    type: { type: String, enum: ['view', 'download', 'join', 'block'], required: true },
+    userId: { type: Number, index: true },
+    code: Number,
+    createdAt: { type: Date, default: Date.now, expires: CONFIG.eventRetentionDays * 24 * 3600 }
+});
+eventSchema.index({ code: 1, type: 1 });
+eventSchema.index({ type: 1, createdAt: -1 });
+
+// Har bir foydalanuvchining bahosi (o'zgartirish mumkin)
+const ratingSchema = new mongoose.Schema({
+    code: { type: Number, required: true },
+    userId: { type: Number, required: true },
+    score: { type: Number, min: 1, max: 5, required: true },
+    legacy: { type: Boolean, default: false }, // Eski ratedUsers dan ko'chirilgan (asl baho noma'lum, o'rtacha olingan)
+    legacyShare: Number // Eski ovozning ratingSum dagi aniq ulushi (ratingSum / ratingCount); birinchi o'zgarishda ayriladi
+}, { timestamps: true });
+ratingSchema.index({ code: 1, userId: 1 }, { unique: true });
+
+// Userlar so'ragan (botda yo'q) kinolar; o'xshash nomlar bitta so'rovga birlashtiriladi
+const movieRequestSchema = new mongoose.Schema({
+    title: { type: String, trim: true },
+    key: String, // normalizeText(title) - birlashtirish uchun
+    status: { type: String, enum: ['open', 'fulfilled', 'rejected'], default: 'open' },
+    votes: { type: Number, default: 0 },
+    code: Number, // Bajarilganda biriktirilgan kino kodi
+    resolvedBy: Number,
+    resolvedAt: Date
+}, { timestamps: true });
+movieRequestSchema.index({ status: 1, votes: -1 });
+
+// Kim qaysi so'rovga qo'shilgani (Rating kabi alohida - hujjat ichidagi massiv cheksiz o'smasligi uchun)
+const requestVoteSchema = new mongoose.Schema({
+    requestId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    userId: { type: Number, required: true },
+    createdAt: { type: Date, default: Date.now }
+});
+requestVoteSchema.index({ requestId: 1, userId: 1 }, { unique: true });
+requestVoteSchema.index({ userId: 1, createdAt: -1 });
+
+// Savatcha: o'chirilgan kino/kanal/adminning to'liq nusxasi. Muddat tugagach butunlay o'chiriladi
+const trashSchema = new mongoose.Schema({
+    kind: { type: String, enum: ['movie', 'channel', 'admin'], required: true },
+    key: { type: String, required: true }, // code / channelId / telegramId
+    label: String,
+    data: mongoose.Schema.Types.Mixed,
+    deletedBy: Number,
+    deletedAt: { type: Date, default: Date.now, index: true }
+}, { minimize: false });
+trashSchema.index({ kind: 1, key: 1 });
+
+// Adminlar harakatlari jurnali (kim, nimani, qachon o'zgartirdi)
+const auditLogSchema = new mongoose.Schema({
+    actorId: { type: Number, required: true, index: true },
+    action: { type: String, required: true, index: true },
+    target: String,
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed,
+    createdAt: { type: Date, default: Date.now, index: true }
+});
+
+const conversationStateSchema = new mongoose.Schema({
+    chatId: { type: Number, unique: true, required: true },
+    data: mongoose.Schema.Types.Mixed,
+    expiresAt: { type: Date, index: { expires: 0 } }
+}, { minimize: false });
+
 const User = mongoose.model('User', userSchema);
 const Movie = mongoose.model('Movie', movieSchema);
 const Channel = mongoose.model('Channel', channelSchema);
 const Settings = mongoose.model('Settings', settingsSchema);
 const Admin = mongoose.model('Admin', adminSchema);
+const ConversationState = mongoose.model('ConversationState', conversationStateSchema);
+const BroadcastJob = mongoose.model('BroadcastJob', broadcastJobSchema);
+const Event = mongoose.model('Event', eventSchema);
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+const Trash = mongoose.model('Trash', trashSchema);
+const Rating = mongoose.model('Rating', ratingSchema);
+const MovieRequest = mongoose.model('MovieRequest', movieRequestSchema);
+const RequestVote = mongoose.model('RequestVote', requestVoteSchema);
+const JoinRequest = mongoose.model('JoinRequest', joinRequestSchema);
+const SubPrompt = mongoose.model('SubPrompt', subPromptSchema);
 
 // ==========================================
 // 3. UTILS & SECURITY HELPERS
@@ -158,6 +429,10 @@ setInterval(() => {
     for (const [key, val] of downloadLimitMap.entries()) if (now - val > CONFIG.downloadCooldown) downloadLimitMap.delete(key);
     for (const [key, val] of state.entries()) if (now - (val.timestamp || 0) > CONFIG.stateTTL) state.delete(key);
     for (const [key, val] of adminCache.entries()) if (now > val.expire) adminCache.delete(key);
+    for (const [key, val] of searchCache.entries()) if (now > val.expire) searchCache.delete(key);
+    for (const [key, val] of subCache.entries()) if (now > val) subCache.delete(key);
+    for (const [key, val] of langCache.entries()) if (now > val.expire) langCache.delete(key);
+    for (const [key, val] of activityMap.entries()) if (now - val > CONFIG.activityWriteInterval) activityMap.delete(key);
 }, 60000);
 
 function sanitize(str) {
@@ -180,7 +455,7 @@ async function safeSend(chatId, text, options = {}) {
         return await bot.sendMessage(chatId, text, options);
     } catch (e) {
         if (e.response && e.response.statusCode === 403) {
-            await User.updateOne({ telegramId: chatId }, { isActive: false });
+            await markUserBlocked(chatId);
         }
     }
 }
@@ -201,6 +476,23 @@ function isDownloadFlooding(userId) {
     return false;
 }
 
+// Bir xil kalit bo'yicha amallarni navbat bilan bajarish (parallel save'lar to'qnashmasligi uchun)
+async function runExclusive(key, fn) {
+    const prev = exclusiveLocks.get(key) || Promise.resolve();
+    const current = prev.catch(() => { }).then(fn);
+    exclusiveLocks.set(key, current);
+    try {
+        return await current;
+    } finally {
+        if (exclusiveLocks.get(key) === current) exclusiveLocks.delete(key);
+    }
+}
+
+// Ommaviy yuborishlar (reklama, bildirishnomalar) bitta umumiy navbatdan o'tadi: parallel ishlasa ham limit oshmaydi
+function waitSendSlot() {
+    return runExclusive('bulk_send', () => new Promise(r => setTimeout(r, CONFIG.bulkSendDelay)));
+}
+
 async function isUserAdmin(userId) {
     if (userId === CONFIG.superAdminId) return true;
     const cached = adminCache.get(userId);
@@ -218,23 +510,168 @@ async function hasPermission(userId, perm) {
     return !!admin.permissions?.[perm];
 }
 
-async function checkSubscription(userId) {
+// fresh = true: keshni chetlab o'tish ("✅ Tasdiqlash" bosilganda)
+async function checkSubscription(userId, { fresh = false } = {}) {
     if (await isUserAdmin(userId)) return [];
-    const channels = await Channel.find().lean();
+    if (!fresh && subCache.get(userId) > Date.now()) return [];
+    const channels = await Channel.find({ isActive: { $ne: false } }).lean();
     if (!channels.length) return [];
-    const missingChannels = [];
-    for (const ch of channels) {
+
+    const [requests, prompts] = await Promise.all([
+        JoinRequest.find({ userId }, 'channelId').lean(),
+        SubPrompt.find({ userId }, 'channelId').lean()
+    ]);
+    const pending = new Set(requests.map(r => r.channelId));
+    const prompted = new Set(prompts.map(p => p.channelId));
+    const results = await Promise.all(channels.map(async ch => {
         try {
             const res = await bot.getChatMember(ch.channelId, userId);
-            if (['left', 'kicked'].includes(res.status)) missingChannels.push(ch);
+            const isMember = !['left', 'kicked'].includes(res.status) && !(res.status === 'restricted' && !res.is_member);
+            if (isMember && prompted.has(ch.channelId)) creditCampaignJoin(ch, userId);
+            return isMember || pending.has(ch.channelId) ? null : ch;
         } catch (e) {
-            // Agar bot kanaldan chiqarib yuborilgan bo'lsa yoki admin bo'lmasa, userga majburlamaymiz
+            // Bot kanaldan chiqarilgan yoki admin emas: kanal sozlamasiga qarab talab qilamiz yoki o'tkazib yuboramiz
             console.error(`Obuna xatosi (${ch.channelId}):`, e.message);
+            return ch.checkErrorPolicy === 'require' && !pending.has(ch.channelId) ? ch : null;
         }
-    }
+    }));
+
+    const missingChannels = results.filter(Boolean);
+    if (!missingChannels.length) subCache.set(userId, Date.now() + CONFIG.subCacheTTL);
     return missingChannels;
 }
 
+// Tug'ilgan yil noma'lum bo'lsa ham voyaga yetmagan deb hisoblaymiz
+function isMinor(user) {
+    if (!user || !user.birthYear) return true;
+    return new Date().getFullYear() - user.birthYear < CONFIG.adultAge;
+}
+
+function isValidReleaseYear(year) {
+    return !isNaN(year) && year >= 1900 && year <= new Date().getFullYear() + 1;
+}
+
+function toggleGenre(list, idx) {
+    const genre = GENRES[idx];
+    if (!genre) return;
+    const pos = list.indexOf(genre);
+    if (pos === -1) list.push(genre);
+    else list.splice(pos, 1);
+}
+
+function buildGenreKeyboard(selected, toggleCb, doneCb, lang) {
+    const rows = [];
+    for (let i = 0; i < GENRES.length; i += 2) {
+        rows.push(GENRES.slice(i, i + 2).map((g, j) => ({
+            text: `${selected.includes(g) ? '✅ ' : ''}${genreName(g, lang)}`,
+            callback_data: toggleCb(i + j)
+        })));
+    }
+    rows.push([{ text: t(lang, 'btn_ready'), callback_data: doneCb }]);
+    return { inline_keyboard: rows };
+}
+
+// "Faollik" segmenti uchun: faqat tugmalar bilan ishlaydigan userlar ham faol hisoblansin.
+// Xabarlarda lastActiveAt user upsert'ining o'zida yoziladi, tugmalarda esa bazaga ortiqcha yozmaslik uchun siyrak
+function touchActivity(userId) {
+    const now = Date.now();
+    if (now - (activityMap.get(userId) || 0) < CONFIG.activityWriteInterval) return;
+    activityMap.set(userId, now);
+    User.updateOne({ telegramId: userId }, { lastActiveAt: new Date(now) }).catch(() => { });
+}
+
+function trackEvent(type, userId, code) {
+    Event.create({ type, userId, code }).catch(e => console.error("Event Error:", e.message));
+}
+
+// Faqat aktiv -> bloklangan o'tishida 'block' hodisasini yozamiz (takroriy xatolar sanalmasin)
+async function markUserBlocked(telegramId) {
+    const res = await User.updateOne({ telegramId, isActive: true }, { isActive: false });
+    if (res.modifiedCount) trackEvent('block', telegramId);
+}
+
+function logAudit(actorId, action, target, before = null, after = null) {
+    AuditLog.create({ actorId, action, target: String(target), before, after }).catch(e => console.error("Audit Error:", e.message));
+}
+
+// "DD.MM.YYYY" yoki "DD.MM.YYYY HH:MM" (Toshkent vaqti) -> Date
+function parseLocalDate(str) {
+    const m = (str || '').trim().match(/^(\d{1,2})\.(\d{1,2})\.(\d{4})(?:\s+(\d{1,2}):(\d{2}))?$/);
+    if (!m) return null;
+    const [, d, mo, y, h = '0', mi = '0'] = m;
+    if (+mo < 1 || +mo > 12 || +d < 1 || +d > 31 || +h > 23 || +mi > 59) return null;
+    return new Date(Date.UTC(+y, +mo - 1, +d, +h - CONFIG.tzOffset, +mi));
+}
+
+function formatLocalDate(date) {
+    if (!date) return '-';
+    const d = new Date(new Date(date).getTime() + CONFIG.tzOffset * 3600 * 1000);
+    const pad = n => String(n).padStart(2, '0');
+    return `${pad(d.getUTCDate())}.${pad(d.getUTCMonth() + 1)}.${d.getUTCFullYear()} ${pad(d.getUTCHours())}:${pad(d.getUTCMinutes())}`;
+}
+
+// --- Fasl/qism yordamchilari (eski yozuvlarda season yo'q => 1-fasl) ---
+
+function getSeasons(movie) {
+    return [...new Set(movie.episodes.map(e => e.season || 1))].sort((a, b) => a - b);
+}
+
+function getSeasonEpisodes(movie, season) {
+    return movie.episodes.filter(e => (e.season || 1) === season).sort((a, b) => a.number - b.number);
+}
+
+function findEpisode(movie, season, number) {
+    return movie.episodes.find(e => (e.season || 1) === season && e.number === number);
+}
+
+function nextEpisodeNumber(movie, season = 1) {
+    return getSeasonEpisodes(movie, season).reduce((max, e) => Math.max(max, e.number || 0), 0) + 1;
+}
+
+function sortEpisodes(movie) {
+    movie.episodes.sort((a, b) => ((a.season || 1) - (b.season || 1)) || (a.number - b.number));
+}
+
+// "2x5" (2-fasl 5-qism) yoki "5" (1-fasl) ko'rinishidagi havola
+function parseEpisodeRef(token) {
+    const m = String(token || '').trim().match(/^(?:(\d+)\s*[x\-.]\s*)?(\d+)$/i);
+    if (!m) return null;
+    return { season: parseInt(m[1] || 1), number: parseInt(m[2]) };
+}
+
+function episodeRef(ep) {
+    return `${ep.season || 1}x${ep.number}`;
+}
+
+function episodeLabel(ep, lang = CONFIG.defaultLanguage) {
+    return t(lang, 'episode_label', { season: ep.season || 1, number: ep.number });
+}
+
+// Kino yoki qism uchun sifat variantlari (eski yozuvlarda faqat fileId bo'ladi)
+function getVideoVariants(item, fallbackQuality) {
+    if (item.variants?.length) return item.variants;
+    return item.fileId ? [{ quality: item.quality || fallbackQuality || 'Video', fileId: item.fileId }] : [];
+}
+
+// Bir xil sifat bo'lsa almashtiriladi, aks holda yangi variant qo'shiladi
+function addVideoVariant(target, variant, fallbackQuality) {
+    if (!target.variants.length && target.fileId) {
+        target.variants.push({ quality: target.quality || fallbackQuality || 'Video', fileId: target.fileId, duration: target.duration });
+    }
+    const idx = target.variants.findIndex(v => v.quality === variant.quality);
+    if (idx === -1) target.variants.push(variant);
+    else target.variants.set(idx, variant);
+    target.fileId = target.variants[0].fileId;
+}
+
+// Asosiy (birinchi) videoni almashtirish: qolgan sifatlar saqlanadi, lekin shu sifat nomli boshqa variant
+// olib tashlanadi - aks holda bir xil nomli ikkita tugma chiqardi
+function replacePrimaryVariant(target, variant) {
+    const rest = target.variants.slice(1).filter(v => v.quality !== variant.quality).map(v => v.toObject());
+    target.variants = [variant, ...rest];
+    target.fileId = variant.fileId;
+}
+
 function detectQuality(w) {
     if (!w) return "480p";
     if (w >= 3840) return "4K UHD";
@@ -251,10 +688,1471 @@ function formatDuration(d) {
     return `${h > 0 ? h + ':' : ''}${m}:${s.toString().padStart(2, '0')}`;
 }
 
-const CANCEL_BTN = {
-    reply_markup: { inline_keyboard: [[{ text: "🚫 Bekor qilish", callback_data: "cancel_action" }]] }
+// Kirill -> Lotin (O'zbek) transliteratsiya jadvali
+const CYR_TO_LAT = {
+    'а': 'a', 'б': 'b', 'в': 'v', 'г': 'g', 'д': 'd', 'е': 'e', 'ё': 'yo', 'ж': 'j', 'з': 'z',
+    'и': 'i', 'й': 'y', 'к': 'k', 'л': 'l', 'м': 'm', 'н': 'n', 'о': 'o', 'п': 'p', 'р': 'r',
+    'с': 's', 'т': 't', 'у': 'u', 'ф': 'f', 'х': 'x', 'ц': 's', 'ч': 'ch', 'ш': 'sh', 'щ': 'sh',
+    'ъ': '', 'ы': 'i', 'ь': '', 'э': 'e', 'ю': 'yu', 'я': 'ya', 'ў': 'o', 'қ': 'q', 'ғ': 'g', 'ҳ': 'h'
+};
+
+// Qidiruv uchun matnni bir xil ko'rinishga keltirish (Kirill/Lotin, apostroflar, belgilar)
+function normalizeText(str) {
+    if (!str) return '';
+    return str.toString()
+        .toLowerCase()
+        .replace(/&(amp|lt|gt|quot);/g, ' ')
+        .replace(/[а-яёўқғҳ]/g, ch => CYR_TO_LAT[ch] ?? ch)
+        .replace(/['`‘’ʻʼ]/g, '')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+// Kino qidiruv so'zlari (searchWords): barcha nomlar + mamlakat va til
+function buildSearchWords(movie) {
+    const text = [movie.title, movie.titles?.ru, movie.titles?.en, movie.country, movie.language].map(normalizeText).join(' ');
+    return [...new Set(text.split(' ').filter(Boolean))];
+}
+
+function levenshtein(a, b) {
+    if (a === b) return 0;
+    if (!a.length) return b.length;
+    if (!b.length) return a.length;
+    let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const cur = [i];
+        for (let j = 1; j <= b.length; j++) {
+            cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+        }
+        prev = cur;
+    }
+    return prev[b.length];
+}
+
+// 0..1 oralig'ida o'xshashlik balli: har bir so'z uchun eng yaqin so'z olinadi
+function similarityScore(query, target) {
+    if (!query || !target) return 0;
+    if (target.includes(query)) return 1;
+    const qWords = query.split(' ');
+    const tWords = target.split(' ');
+    let total = 0;
+    for (const q of qWords) {
+        let best = 0;
+        for (const t of tWords) {
+            if (t.startsWith(q) || (q.length >= 4 && q.startsWith(t) && t.length >= 3)) { best = 1; break; }
+            const score = 1 - levenshtein(q, t) / Math.max(q.length, t.length);
+            if (score > best) best = score;
+        }
+        total += best;
+    }
+    return total / qWords.length;
+}
+
+// Post izohidan kino ma'lumotlarini ajratib olish. Nom va kod majburiy, aks holda null
+function parseImportCaption(caption, patterns) {
+    if (!caption) return null;
+    const pick = key => {
+        try { return (caption.match(new RegExp(patterns[key], 'im'))?.[1] || '').trim(); }
+        catch (e) { return ''; }
+    };
+    const title = pick('title');
+    const code = parseInt(pick('code'));
+    if (!title || isNaN(code)) return null;
+    return { title: sanitize(title), country: sanitize(pick('country')), language: sanitize(pick('language')), code };
+}
+
+function movieLink(code) {
+    return `https://t.me/${BOT_USERNAME}?start=${code}`;
+}
+
+function referralLink(userId) {
+    return `https://t.me/${BOT_USERNAME}?start=ref_${userId}`;
+}
+
+// --- TARJIMALAR (uz / ru / en) ---
+// Kalit tarjimada bo'lmasa o'zbekcha matn ishlatiladi; {nom} - parametr o'rni
+
+const I18N = {
+    uz: {
+        lang_name: "🇺🇿 O'zbekcha",
+        lang_choose: "🌐 Tilni tanlang:",
+        lang_saved: "✅ Til o'zgartirildi: O'zbekcha",
+        session_expired: "⚠️ Sessiya vaqti tugadi. Qaytadan urinib ko'ring.",
+        birth_ask: "👋 Assalomu alaykum! <b>Tug'ilgan yilingizni</b> yozing (Masalan: 2004):",
+        birth_invalid: "❌ Iltimos, to'g'ri yil kiriting (1950-{max}):",
+        birth_saved: "✅ Ma'lumot saqlandi! Botdan foydalanishingiz mumkin.",
+        welcome: "🎬 <b>Professional Kino Bot</b>\n\n🔎 Kino kodini yoki nomini yuboring:",
+        btn_catalog: "🗂 Katalog",
+        btn_invite: "🤝 Do'stlarni taklif qilish",
+        btn_codes_channel: "📂 Kino Kodlari Kanali",
+        btn_back: "🔙 Orqaga",
+        btn_watch: "▶️ TOMOSHA QILISH",
+        btn_favorite: "❤️ Sevimlilar",
+        btn_download: "📥 Yuklab olish ({quality})",
+        btn_share_card: "📤 Kartani ulashish",
+        btn_share_friends: "♻️ Do'stlarga ulashish",
+        btn_seasons: "🔙 Fasllar ({season})",
+        choose: "👇 Tanlang:",
+        cancelled: "Amal bekor qilindi.",
+        refreshed: "🔄 Yangilandi",
+        sub_request: "⚠️ <b>Botdan foydalanish uchun quyidagi kanallarga a'zo bo'ling:</b>",
+        btn_join: "➕ A'zo bo'lish ({name})",
+        btn_confirm: "✅ Tasdiqlash",
+        sub_confirmed: "✅ Obuna tasdiqlandi! Kino kodini yuboring.",
+        sub_missing: "❌ Hali hammasiga a'zo bo'lmadingiz!",
+        search_empty: "🔎 <b>{query}</b> bo'yicha hech narsa topilmadi.\n\nNomini boshqacha yozib ko'ring yoki kino kodini yuboring.",
+        search_results: "🔎 <b>Qidiruv:</b> {query}\n📂 Topildi: <b>{total}</b> ta\n\n👇 Kerakli kinoni tanlang:",
+        search_expired: "⚠️ Qidiruv eskirdi. Nomini qaytadan yuboring.",
+        not_found: "❌ Topilmadi",
+        code_not_found: "❌ <b>Topilmadi.</b> Kod noto'g'ri.",
+        series_not_found: "❌ Serial topilmadi",
+        episode_not_found: "❌ Qism topilmadi",
+        quality_not_found: "❌ Bu sifat topilmadi",
+        error_generic: "❌ <b>Xatolik yuz berdi.</b> Iltimos, keyinroq urinib ko‘ring.",
+        adult_refusal: "Bu kontent faqat 18 yoshdan kattalar uchun!",
+        adult_warning: "🔞 <b>18+ SAHNALAR MAVJUD!</b>",
+        type_movie: "🎬 KINO",
+        type_series: "📺 SERIAL",
+        inline_movie: "🎬 Kino",
+        inline_series: "📺 Serial",
+        inline_code: "Kod",
+        votes: "ovoz",
+        seasons_info: "📂 Fasllar: {seasons} ta | Jami qismlar: {episodes} ta\n👇 Faslni tanlang:",
+        episodes_info: "📂 Jami qismlar: {episodes} ta\n👇 Quyidan qismni tanlang:",
+        season: "{season}-fasl",
+        episode_label: "{season}-fasl {number}-qism",
+        choose_quality: "💿 Sifatni tanlang:",
+        wait: "⏳ Kuting!",
+        wait_short: "⏳ Biroz kuting...",
+        download_forbidden: "🚫 Yuklash taqiqlangan.",
+        sending: "🚀 Yuborilmoqda...",
+        episode_sending: "🚀 {episode} yuborilmoqda...",
+        video_error: "⚠️ Video fayl xatosi yoki o'chirilgan.",
+        rate_ok: "⭐️ {score} baho qabul qilindi!",
+        rate_same: "ℹ️ Siz allaqachon {score}⭐️ bergansiz.",
+        rate_changed: "✏️ Bahoingiz {prev}⭐️ ➡️ {score}⭐️ ga o'zgartirildi!",
+        fav_added: "❤️ Sevimlilarga qo'shildi! Yangi qismlar haqida xabar beramiz.",
+        fav_removed: "💔 Sevimlilardan olib tashlandi.",
+        favorites_title: "❤️ <b>Sevimlilar</b> ({total} ta)\n\n👇 Tanlang:",
+        favorites_empty: "❤️ <b>Sevimlilar ro'yxati bo'sh.</b>\n\nKino kartasidagi \"❤️ Sevimlilar\" tugmasi orqali qo'shing.",
+        new_episode: "🔔 <b>Yangi qism!</b>",
+        catalog_title: "🗂 <b>KATALOG</b>\n\nQaysi bo'lim bo'yicha qidiramiz?",
+        catalog_g: "🎭 Janrlar",
+        catalog_c: "🌍 Davlatlar",
+        catalog_l: "🗣 Tillar",
+        catalog_y: "📅 Yillar",
+        catalog_empty: "{label}: hozircha bo'sh.",
+        catalog_total: "📂 Jami: <b>{total}</b> ta",
+        disc_top: "🏆 Top",
+        disc_top_title: "🏆 <b>Eng yuqori baholanganlar</b>",
+        disc_top_empty: "Hozircha kamida {votes} ta ovoz olgan kino yo'q.",
+        disc_popular: "🔥 Mashhur",
+        disc_popular_title: "🔥 <b>Oxirgi {days} kunda mashhur</b>",
+        disc_popular_empty: "Hozircha ma'lumot yo'q.",
+        disc_new: "🆕 Yangi",
+        disc_new_title: "🆕 <b>Yangi qo'shilganlar va yangi qismlar</b>",
+        disc_new_empty: "Hozircha hech narsa qo'shilmagan.",
+        referral_screen: "🤝 <b>Do'stlaringizni taklif qiling!</b>\n\n🔗 Sizning havolangiz:\n<code>{link}</code>\n\n👥 Taklif qilganlar: <b>{invited}</b>\n✅ Faol: <b>{active}</b>",
+        referral_share_text: "🎬 Eng zo'r kino va seriallar shu botda!",
+        btn_referral_share: "📤 Do'stlarga yuborish",
+        referral_joined: "🎉 <b>{name}</b> sizning havolangiz orqali botga qo'shildi!",
+        new_user: "Yangi foydalanuvchi",
+        btn_cancel: "🚫 Bekor qilish",
+        btn_request: "📝 So'rov qoldirish",
+        req_prompt: "📝 Qaysi kino yoki serialni qo'shishimizni xohlaysiz? <b>Nomini</b> yozing:",
+        req_invalid: "❌ Nomi juda qisqa. Kino yoki serial nomini yozing.",
+        req_limit: "⏳ Bir kunda ko'pi bilan {limit} ta so'rov yuborish mumkin. Ertaga urinib ko'ring.",
+        req_accepted: "✅ So'rovingiz qabul qilindi: <b>{title}</b>\n👥 Jami so'raganlar: <b>{votes}</b>\n\nKino qo'shilishi bilan sizga xabar beramiz!",
+        req_already: "ℹ️ Siz <b>{title}</b> ni allaqachon so'ragansiz (👥 {votes}). Qo'shilishi bilan xabar beramiz.",
+        req_fulfilled: "🎉 Siz so'ragan <b>{title}</b> botga qo'shildi!",
+        genres: GENRES,
+
+        admin_title: "🛡 <b>ADMIN PANEL V15.4</b>",
+        adm_stats: "📊 STATISTIKA",
+        adm_add: "➕ Qo'shish (Kino/Serial)",
+        adm_edit: "📝 Tahrirlash",
+        adm_import: "📥 Ommaviy import",
+        adm_requests: "📝 So'rovlar",
+        adm_channels: "📢 Kanallar",
+        adm_trash: "🗑 Savatcha",
+        adm_users: "👥 Userlar",
+        adm_broadcast: "📨 Reklama",
+        adm_settings: "⚙️ Sozlamalar",
+        adm_admins: "👮‍♂️ Adminlar",
+        adm_backup: "💾 Zaxira",
+        adm_audit: "📜 Audit jurnali",
+        adm_draft: "📝 Tugallanmagan qoralama",
+        no_permission: "⛔️ Ruxsat yo'q!",
+        btn_refresh: "🔄 Yangilash",
+        btn_referral_lb: "🤝 Referallar reytingi",
+        period_1: "Bugun",
+        period_7: "7 kun",
+        period_30: "30 kun",
+        stats_text: "📊 <b>PROFESSIONAL STATISTIKA</b>\n\n" +
+            "👥 <b>Foydalanuvchilar:</b>\n├ Jami: <b>{totalUsers}</b>\n├ Aktiv: <b>{activeUsers}</b>\n├ Bloklagan: <b>{blockedUsers}</b>\n└ Ban qilingan: <b>{bannedUsers}</b>\n\n" +
+            "🎬 <b>Kontent Bazasi:</b>\n├ Kinolar: <b>{totalMovies}</b> ta\n├ Seriallar: <b>{totalSeries}</b> ta\n└ Jami Qismlar: <b>{totalEpisodes}</b> ta\n\n" +
+            "📈 <b>Faollik:</b>\n├ Ko'rishlar: <b>{totalViews}</b>\n└ Yuklashlar: <b>{totalDownloads}</b>\n\n" +
+            "🌐 <b>Tillar:</b> {languages}\n\n" +
+            "🖥 <b>Server Holati:</b>\n├ Uptime: <b>{uptime} soat</b>\n└ RAM: <b>{freeMem}MB / {totalMem}MB</b>",
+        settings_title: "⚙️ <b>Sozlamalar:</b>",
+        set_protect: "🛡 Global Protect",
+        set_download: "📥 Global Download",
+        set_autopost: "📢 Auto-Post",
+        set_adult: "🔞 18+ (yoshi kichiklar)",
+        set_adult_hide: "🙈 Yashirish",
+        set_adult_block: "📥 Faqat yuklashni bloklash",
+        set_trash: "🗑 Savatcha muddati: {days} kun",
+        channels_title: "📢 <b>Kanallar:</b>\n\n⚠️ Bot a'zolikni tekshira olmasa (admin emas va h.k.):\n• <i>o'tkazish</i> — kanal talab qilinmaydi\n• <i>talab</i> — user a'zo emas deb hisoblanadi\n🎯 — homiy kampaniyasi (maqsad yoki muddat)",
+        campaign_header: "🎯 <b>Kampaniyalar:</b>",
+        campaign_until: "⏰ {date} gacha",
+        campaign_done: "✅ yakunlangan ({date})",
+        campaign_finished: "🎯 <b>{name}</b> kanali kampaniyasi yakunlandi: {reason}.\n👥 Bot orqali qo'shilganlar: <b>{joins}</b>\n\nKanal endi majburiy obunada talab qilinmaydi.",
+        campaign_reason_target: "maqsadga erishildi",
+        campaign_reason_date: "muddat tugadi",
+        ch_policy_require: "⚠️ Xato: talab",
+        ch_policy_skip: "⚠️ Xato: o'tkazish",
+        btn_add_main: "➕ Asosiy Kanal",
+        btn_add_codes: "➕ Kodlar Kanali",
+        btn_ready: "💾 Tayyor",
+        perm_denied: "⛔️ Ushbu amal uchun ruxsat yo'q!",
+        video_required: "❌ Video yuboring!",
+        add_poster: "🖼 <b>Poster (Rasm) yuboring:</b>",
+        photo_required: "❌ Iltimos, rasm yuboring!",
+        add_title: "✍️ <b>Nomini yozing:</b>",
+        add_country: "🌍 <b>Davlat:</b>",
+        add_language: "🗣 <b>Til:</b>",
+        add_year: "📅 <b>Chiqarilgan yili:</b>\n(Noma'lum bo'lsa <code>-</code> yuboring)",
+        add_year_invalid: "❌ To'g'ri yil kiriting (1900-{max}) yoki <code>-</code>:",
+        year_invalid: "❌ To'g'ri yil kiriting (1900-{max}):",
+        add_genres: "🎭 <b>Janrlarni tanlang</b> (bir nechtasini belgilash mumkin):",
+        add_code_nan: "❌ Faqat raqam!",
+        add_code_taken: "⚠️ Bu kod band! Boshqa kod yozing.",
+        add_code_trash: "⚠️ Bu kod savatchadagi kinoga tegishli! Boshqa kod yozing yoki uni savatchadan tiklang.",
+        add_done_movie: "✅ <b>Kino qo'shildi!</b> Kod: {code}",
+        add_done_series: "✅ <b>Serial qo'shildi!</b> Kod: {code}",
+        ep_number_invalid: "❌ Qism raqamini yuboring!",
+        ep_exists: "⚠️ {episode} allaqachon bor! Boshqa raqam yuboring.",
+        ep_video: "📤 <b>{episode} videosini yuboring:</b>",
+        ep_name: "✍️ <b>{episode} uchun nom yozing:</b>\n(Masalan: <i>Qasos onlari</i> yoki shunchaki <i>{number}-qism</i>)",
+        ep_exists_done: "⚠️ {episode} allaqachon qo'shilgan.",
+        ep_added: "✅ <b>{episode} (\"{name}\") muvaffaqiyatli qo'shildi!</b>",
+        batch_video_required: "❌ Video yuboring yoki \"✅ Tugatish\" tugmasini bosing.",
+        batch_received: "📥 Qabul qilindi: {count} ta",
+        edit_saved: "✅ Muvaffaqiyatli o'zgartirildi!",
+        movie_not_found: "❌ Kino topilmadi.",
+        var_episode_invalid: "❌ Bunday qism yo'q. Masalan: <code>5</code> yoki <code>2x5</code> (2-fasl 5-qism):",
+        var_video_episode: "📤 <b>{episode} uchun yangi sifatdagi videoni yuboring:</b>\n(Izohga sifat nomini yozish mumkin, masalan: <i>720p</i>; 20 belgigacha)",
+        var_added: "✅ <b>{quality}</b> sifati qo'shildi!",
+        ch_url_prompt: "🔗 <b>Kanal Usernamesi yoki Linkini yuboring:</b>\n(Masalan: <i>@kinolar</i> yoki <i>https://t.me/kinolar</i>)",
+        ch_added: "✅ <b>Kanal muvaffaqiyatli qo'shildi!</b>\n\n🆔 ID: {id}\n🏷 Nom: {name}",
+        ch_add_error: "❌ <b>Xatolik!</b>\n\n1. Bot kanalga <b>Admin</b> qilinganmi?\n2. Username/Link to'g'rimi?\n3. Agar bu 'Private' kanal bo'lsa, iltimos to'g'ridan-to'g'ri <b>ID raqamini</b> (-100...) yuboring.",
+        bc_use_buttons: "👆 Yuqoridagi tugmalardan foydalaning.",
+        bc_schedule_format: "❌ Format: <code>DD.MM.YYYY HH:MM</code>",
+        bc_schedule_past: "❌ Vaqt kelajakda bo'lishi kerak!",
+        bc_scheduled: "⏰ <b>Reklama rejalashtirildi:</b> {date}\n🎯 {segment}",
+        imp_no_source: "❌ Kanal ID sini yozing yoki avval kanaldan bitta postni forward qiling.",
+        imp_bad_range: "❌ Oraliq noto'g'ri (ko'pi bilan {max} ta post).",
+        imp_busy: "⏳ Oldingi oraliq hali import qilinmoqda.",
+        imp_need_video: "❌ Video postni forward qiling, oraliq yozing (<code>100-250</code>) yoki \"✅ Tugatish\" ni bosing.",
+        bk_need_file: "❌ Zaxira <b>.json</b> faylini hujjat sifatida yuboring.",
+        bk_too_big: "❌ Fayl juda katta (20 MB dan oshmasin).",
+        bk_read_error: "❌ Faylni o'qib bo'lmadi: <code>{error}</code>",
+        imp_bad_regex: "❌ Noto'g'ri regex: <code>{error}</code>",
+        imp_pattern_saved: "✅ Shablon saqlandi!",
+        usr_id_invalid: "❌ Faqat raqamli ID kiriting!",
+        usr_not_found: "❌ User topilmadi",
+        admin_super_immune: "❌ Super Admin daxlsiz",
+        system_error: "⚠️ Tizim xatoligi yuz berdi. Qayta urinib ko'ring.",
+        stats_csv_caption: "📄 Statistika: oxirgi {days} kun",
+        add_choose_type: "Nimani qo'shmoqchisiz?",
+        imp_need_settings: "⛔️ Sozlamalar ruxsati kerak!",
+        imp_pattern_prompt: "✍️ <b>{field}</b> uchun yangi regex yuboring (bitta qavsli guruh bilan):",
+        bk_preparing: "⏳ Tayyorlanmoqda...",
+        bk_json_caption: "💾 Zaxira: {movies} kino/serial, {channels} kanal, {admins} admin",
+        bk_csv_caption: "📄 Katalog: {total} ta",
+        bk_restore_prompt: "📥 <b>Zaxira .json faylini yuboring.</b>\nAvval nima o'zgarishi ko'rsatiladi, keyin tasdiqlaysiz.",
+        bk_restoring: "⏳ Tiklanmoqda...",
+        bk_restore_done: "✅ <b>Tayyor!</b>\n\n🎬 Kinolar: +{moviesCreated} yangi, {moviesUpdated} yangilandi\n📢 Kanallar: +{channelsCreated} yangi, {channelsUpdated} yangilandi\n👮‍♂️ Adminlar: +{adminsCreated} yangi, {adminsUpdated} yangilandi\n⚙️ Sozlamalar: {settings}",
+        bk_settings_updated: "yangilandi",
+        bk_settings_same: "o'zgarmadi",
+        bk_restore_error: "❌ <b>Tiklashda xatolik:</b> <code>{error}</code>\n\nBir qismi yozilgan bo'lishi mumkin - qayta urinib ko'ring.",
+        add_video_movie: "📤 <b>Kino videosini yuboring:</b>",
+        add_video_series: "📤 <b>Serial (1-qism) videosini yuboring:</b>",
+        add_adult: "🔞 <b>Yosh chegarasi (18+)?</b>",
+        btn_yes: "✅ Ha",
+        btn_no: "❌ Yo'q",
+        edit_genres_title: "🎭 <b>{title}</b> janrlari:",
+        add_code: "🔢 <b>Kino/Serial Kodini yozing:</b>",
+        edit_code_prompt: "📝 Tahrirlash uchun Kodni yuboring:",
+        edit_prompt_title_lang: "✍️ {lang} nomni yuboring:\n(O'chirish uchun <code>-</code> yuboring)",
+        edit_prompt_title: "✍️ Yangi nomni yuboring:",
+        edit_prompt_country: "🌍 Yangi davlatni yuboring:",
+        edit_prompt_language: "🗣 Yangi tilni yuboring:",
+        edit_prompt_releaseYear: "📅 Chiqarilgan yilni yuboring:",
+        edit_prompt_posterId: "🖼 Yangi posterni (rasm) yuboring:",
+        edit_prompt_fileId: "📹 Yangi video faylni yuboring:",
+        var_episode_prompt: "🔢 <b>Qaysi qismga sifat qo'shamiz?</b>\nQism raqamini yuboring: <code>5</code> yoki <code>2x5</code> (2-fasl 5-qism)",
+        var_video: "📤 <b>Yangi sifatdagi videoni yuboring:</b>\n(Izohga sifat nomini yozish mumkin, masalan: <i>720p</i>; 20 belgigacha)",
+        ch_name_prompt: "✍️ <b>Kanal tugmasida nima deb yozilsin?</b>\n(Masalan: <i>Kino Kanalimiz</i>)",
+        ch_delete_confirm: "📢 <b>{name}</b> kanalini o'chirasizmi?",
+        trash_moved: "🗑 Savatchaga o'tkazildi",
+        bc_post_prompt: "📢 Post yuboring (Text, Rasm, Video...):",
+        bc_stopping: "🛑 To'xtatilmoqda...",
+        bc_not_running: "⚠️ Reklama jarayoni yo'q.",
+        usr_search_prompt: "🔎 User ID (Telegram ID) yuboring:",
+        admin_id_prompt: "Admin ID:",
+        admin_delete_confirm: "👮‍♂️ <code>{id}</code> adminini o'chirasizmi?",
+        movie_delete_confirm: "🗑 <b>{title}</b> ({code}) o'chirilsinmi?",
+        movie_delete_episodes: "📂 {count} ta qism bilan birga.",
+        trash_restored: "♻️ Tiklandi",
+        trash_purge_confirm: "❌ <b>{label}</b> butunlay o'chirilsinmi? Qaytarib bo'lmaydi!",
+        stats_deleted: "(o'chirilgan)",
+        stats_period_text: "📅 <b>STATISTIKA: {period}</b> ({since} dan)\n\n👥 <b>Foydalanuvchilar:</b>\n├ Yangi: <b>+{join}</b>\n├ Ketgan (bloklagan): <b>-{block}</b>\n├ Sof o'sish: <b>{net}</b>\n└ Faol bo'lgan: <b>{active}</b>\n\n📈 <b>Faollik:</b>\n├ Ko'rishlar: <b>{views}</b>\n└ Yuklashlar: <b>{downloads}</b>\n",
+        stats_by_day: "<b>Kunlar bo'yicha</b> (yangi / ketgan / 👁 / 📥):",
+        stats_csv_btn: "📄 CSV yuklab olish",
+        reflb_title: "🤝 <b>REFERALLAR REYTINGI</b>\n\n👥 Jami taklif orqali: <b>{total}</b> (7 kunda: +{week})\n",
+        reflb_empty: "Hozircha referallar yo'q.",
+        reflb_details: "👥 Taklif qilgan: <b>{total}</b> (✅ faol: {active})\n📅 {period7}: <b>+{week}</b> | {period30}: <b>+{month}</b>\n",
+        reflb_back: "🔙 Reyting",
+        edit_title: "📝 Tahrir ({type}): <b>{title}</b> ({code})",
+        edit_btn_title: "🏷 Nom",
+        edit_btn_country: "🌍 Davlat",
+        edit_btn_language: "🗣 Til",
+        edit_btn_year: "📅 Yil",
+        edit_btn_genres: "🎭 Janrlar",
+        edit_btn_poster: "🖼 Poster",
+        edit_btn_delete: "🗑 O'CHIRISH",
+        edit_btn_add_episode: "➕ YANGI QISM QO'SHISH",
+        edit_btn_episodes: "📂 Qismlarni boshqarish ({seasons} fasl, {episodes} qism)",
+        edit_btn_episode_quality: "🎞 Qismga sifat qo'shish",
+        edit_btn_video: "📹 Video",
+        edit_btn_quality: "🎞 Sifat qo'shish",
+        stats_no_data: "Hozircha ma'lumot yo'q.",
+        btn_finish: "✅ Tugatish",
+        imp_field_title: "🏷 Nom",
+        imp_field_country: "🌍 Davlat",
+        imp_field_language: "🗣 Til",
+        imp_field_code: "🔢 Kod",
+        imp_instructions: "📥 <b>Import rejimi</b>\n\n• Saqlash kanalidagi video postlarni shu yerga forward qiling (bir nechtasini birdaniga ham mumkin).\n• Yoki oraliq yozing: <code>-1001234567890 100-250</code> (kanal ID va post raqamlari). Kanaldan bitta post forward qilingan bo'lsa, <code>100-250</code> kifoya. Bot kanalga a'zo bo'lishi kerak.\n\nMa'lumotlar video izohidan shablonlar bo'yicha olinadi. Tugagach \"✅ Tugatish\" ni bosing.",
+        imp_panel_title: "📥 <b>Ommaviy import</b>\n\nVideo izohidan ma'lumot olish shablonlari (regex):\n",
+        imp_panel_note: "Nom va kod topilmagan postlar o'tkazib yuboriladi.",
+        imp_btn_start: "▶️ Importni boshlash",
+        imp_btn_reset: "♻️ Standart shablonlar",
+        imp_fail_video: "video yo'q",
+        imp_fail_caption: "izoh tushunarsiz",
+        imp_fail_error: "xatolik",
+        imp_fail_missing: "post topilmadi",
+        imp_range_done: "🏁 Oraliq {from}-{to} tugadi.",
+        imp_report_created: "📥 <b>Import natijasi</b>\n\n✅ Qo'shildi: <b>{count}</b>",
+        imp_report_duplicates: "♻️ Kod band (dublikat): <b>{count}</b>",
+        imp_report_failed: "❌ Tushunarsiz: <b>{count}</b>",
+        btn_confirm_delete: "✅ Ha, o'chirish",
+        trash_key_taken: "⚠️ Bu kod/ID hozir band, tiklab bo'lmaydi!",
+        trash_title: "🗑 <b>Savatcha</b> ({total} ta)\nO'chirilganlar {days} kundan keyin butunlay o'chadi.\n",
+        trash_empty: "Savatcha bo'sh.",
+        audit_movie_add: "➕ Kino qo'shildi",
+        audit_movie_edit: "📝 Kino tahrirlandi",
+        audit_movie_delete: "🗑 Kino o'chirildi",
+        audit_episode_add: "➕ Qism qo'shildi",
+        audit_episode_edit: "📺 Qism tahrirlandi",
+        audit_episode_delete: "🗑 Qism o'chirildi",
+        audit_episode_renumber: "♻️ Qismlar qayta raqamlandi",
+        audit_variant_add: "🎞 Sifat qo'shildi",
+        audit_variant_delete: "🎞 Sifat o'chirildi",
+        audit_channel_add: "📢 Kanal qo'shildi",
+        audit_channel_edit: "📢 Kanal sozlamasi",
+        audit_channel_delete: "📢 Kanal o'chirildi",
+        audit_user_ban: "🚫 User ban",
+        audit_user_download: "📥 User yuklash ruxsati",
+        audit_setting_change: "⚙️ Sozlama o'zgardi",
+        audit_admin_add: "👮‍♂️ Admin qo'shildi",
+        audit_admin_perm: "🔑 Admin ruxsati",
+        audit_admin_delete: "👮‍♂️ Admin o'chirildi",
+        audit_broadcast_start: "📨 Reklama boshlandi",
+        audit_broadcast_cancel: "📨 Reklama bekor qilindi",
+        audit_broadcast_stop: "🛑 Reklama to'xtatildi",
+        audit_import: "📥 Ommaviy import",
+        audit_restore: "💾 Zaxiradan tiklash",
+        audit_trash_restore: "♻️ Savatchadan tiklandi",
+        audit_trash_purge: "❌ Savatchadan butunlay o'chirildi",
+        audit_campaign_set: "🎯 Kampaniya o'rnatildi",
+        audit_campaign_finish: "🎯 Kampaniya yakunlandi",
+        audit_request_fulfill: "✅ So'rov bajarildi",
+        audit_request_reject: "🚫 So'rov rad etildi",
+        audit_title: "📜 <b>Audit jurnali</b> ({total} ta)\n👤 {actor} | 🏷 {action}\n",
+        audit_all_admins: "Hamma adminlar",
+        audit_all_actions: "Barcha amallar",
+        audit_empty: "Hozircha yozuvlar yo'q.",
+        audit_by_admin: "👤 Admin bo'yicha",
+        audit_by_action: "🏷 Amal bo'yicha",
+        audit_clear: "♻️ Filtrni tozalash",
+        audit_choose_admin: "👤 <b>Adminni tanlang:</b>",
+        audit_choose_action: "🏷 <b>Amal turini tanlang:</b>",
+        bk_btn_merge: "🔀 Birlashtirish (faqat yangilar)",
+        bk_btn_restore: "♻️ Tiklash (yangilash ham)",
+        bk_plan_title: "🔍 <b>Tiklash rejasi (hali hech narsa o'zgarmadi)</b>\n",
+        bk_plan_movies: "🎬 Kinolar (kod)",
+        bk_plan_channels: "📢 Kanallar",
+        bk_plan_admins: "👮‍♂️ Adminlar",
+        bk_plan_create: "➕ Yangi: {count}",
+        bk_plan_update: "✏️ O'zgargan: {count}",
+        bk_plan_rest: "⏭ O'zgarmagan: {unchanged} | ❌ Yaroqsiz: {invalid}",
+        bk_plan_settings_yes: "⚙️ Sozlamalar: faylda bor",
+        bk_plan_settings_no: "⚙️ Sozlamalar: yo'q",
+        bk_plan_modes: "🔀 <b>Birlashtirish</b> — faqat yangilari qo'shiladi.\n♻️ <b>Tiklash</b> — o'zgarganlari ham fayldagidek yoziladi.",
+        bk_panel: "💾 <b>Zaxira nusxa</b>\n\nJSON: kinolar, kanallar, sozlamalar va adminlar.\nCSV: faqat katalog (Excel uchun).\nTiklash faqat JSON fayldan, kod bo'yicha.",
+        bk_btn_json: "📤 JSON eksport",
+        bk_btn_csv: "📄 CSV katalog",
+        bk_btn_file: "📥 Fayldan tiklash",
+        ep_new_season: "➕ Yangi fasl ({season})",
+        ep_season_prompt: "📂 <b>Qaysi faslga qo'shamiz?</b>\n(Tugmani bosing yoki fasl raqamini yozing)",
+        batch_prompt: "📦 <b>{season} qismlari videolarini ketma-ket yuboring</b> (bir nechtasini birdaniga tanlash mumkin).\n\nTugagach \"✅ Tugatish\" ni bosing - raqamlar yuborilgan tartibda beriladi, video izohi qism nomi bo'ladi.",
+        ep_number_prompt: "🔢 <b>{season}: qaysi raqamli qismni qo'shamiz?</b>",
+        ep_btn_add: "➕ Yangi qism",
+        ep_btn_batch: "📦 Ko'p qism yuklash",
+        ep_btn_insert: "🔢 Qism qo'shish (raqam bilan)",
+        ep_btn_renumber: "♻️ {season}ni qayta raqamlash (1..N)",
+        ep_list_title: "📂 <b>{title}</b> — {season} ({count} ta qism)",
+        ep_missing: "⚠️ Tushib qolgan: {numbers}",
+        ep_panel: "📺 <b>{title}</b> | {episode}\n\n🏷 Nom: {name}\n💿 Sifat: {qualities}\n📅 Qo'shilgan: {date}",
+        ep_btn_rename: "✍️ Nom",
+        ep_btn_replace: "📹 Videoni almashtirish",
+        ep_btn_delete: "🗑 O'chirish",
+        ep_btn_list: "🔙 Qismlar",
+        ep_rename_prompt: "✍️ {episode} uchun yangi nom yuboring:",
+        ep_replace_prompt: "📹 {episode} uchun yangi videoni yuboring:",
+        ep_delete_confirm: "✅ Ha, {episode}ni o'chirish",
+        ep_deleted: "🗑 {episode} o'chirildi",
+        ep_renumbered: "♻️ {season}: {count} ta qism qayta raqamlandi",
+        batch_done: "📦 <b>{season}: {count} ta qism qo'shildi:</b> {range}",
+        usr_panel: "👤 <b>User:</b> <a href=\"tg://user?id={id}\">{name}</a>\n🆔 <code>{id}</code>\n🚫 Ban: {banned}",
+        usr_btn_unban: "✅ Bandan Olish",
+        usr_btn_ban: "🚫 Ban Berish",
+        usr_btn_dl_block: "🚷 Yuklashni Taqiq",
+        usr_btn_dl_allow: "📥 Yuklashga Ruxsat",
+        perm_movies: "🎬 Kinolar",
+        perm_channels: "📢 Kanallar",
+        perm_users: "👥 Userlar",
+        perm_broadcast: "📨 Reklama",
+        perm_settings: "⚙️ Sozlamalar",
+        draft_add_content: "➕ Kino/Serial qo'shish",
+        draft_add_episode: "➕ Yangi qism qo'shish",
+        draft_add_channel: "📢 Kanal qo'shish",
+        draft_edit_field: "📝 Tahrirlash",
+        draft_add_variant: "🎞 Sifat qo'shish",
+        draft_add_episode_batch: "📦 Ko'p qism yuklash",
+        draft_edit_episode: "📺 Qismni tahrirlash",
+        draft_import: "📥 Ommaviy import",
+        draft_broadcast: "📨 Reklama",
+        draft_video: "📤 <b>Videoni yuboring:</b>",
+        draft_ep_number: "🔢 <b>Qaysi raqamli qismni qo'shamiz?</b>",
+        draft_ep_video: "📤 <b>Keyingi qism videosini yuboring:</b>",
+        draft_ep_name: "✍️ <b>Qism uchun nom yozing:</b>",
+        draft_title: "📝 <b>Qoralama:</b> {action}\n",
+        draft_step: "📍 Qadam: <b>{step}</b>\n",
+        draft_name: "🏷 Nom: {title}\n",
+        draft_expires: "⏳ Muddati: {date}",
+        draft_btn_resume: "▶️ Davom ettirish",
+        draft_btn_discard: "🗑 Bekor qilish",
+        draft_value: "✍️ Qiymatni yuboring:",
+        draft_batch_continue: "📦 Qismlar videolarini yuborishda davom eting (qabul qilindi: {count} ta).",
+        draft_restarted: "♻️ <b>Bot qayta ishga tushdi.</b>",
+        seg_prompt_SEG_BIRTH: "🎂 <b>Tug'ilgan yil oralig'i:</b>\n(Masalan: <code>1995-2005</code>)",
+        seg_prompt_SEG_JOINED: "📅 <b>Qo'shilgan sana oralig'i:</b>\n(Masalan: <code>01.01.2025-31.03.2025</code> yoki oxirgi N kun: <code>30</code>)",
+        seg_prompt_SEG_ACTIVE: "⚡️ <b>Oxirgi necha kun ichida faol bo'lganlar?</b>\n(Masalan: <code>7</code>)",
+        seg_prompt_SEG_WATCHED: "🎬 <b>Qaysi kinoni ko'rganlar?</b> Kodini yuboring:\n(Oxirgi {days} kunda yuklab olganlar va baho berganlar. Yuklashlar shu funksiya qo'shilgandan beri yoziladi)",
+        seg_prompt_SCHEDULE: "⏰ <b>Yuborish vaqti (Toshkent):</b>\n(Masalan: <code>25.12.2025 18:30</code>)",
+        seg_birth_invalid: "❌ Format: <code>1995-2005</code>",
+        seg_joined_invalid: "❌ Format: <code>01.01.2025-31.03.2025</code> yoki <code>30</code>",
+        seg_days_invalid: "❌ Kunlar sonini yuboring (masalan: <code>7</code>)",
+        seg_now: "hozir",
+        seg_days: "{days} kun",
+        seg_all: "Barcha userlar",
+        bc_audience: "📢 <b>Reklama auditoriyasi</b>\n\n🎯 {segment}\n👥 Qabul qiluvchilar: <b>{count}</b> ta",
+        bc_seg_birth: "🎂 Tug'ilgan yil",
+        bc_seg_joined: "📅 Qo'shilgan sana",
+        bc_seg_active: "⚡️ Faollik",
+        bc_seg_watched: "🎬 Ko'rgan kino",
+        bc_seg_clear: "♻️ Filtrlarni tozalash",
+        bc_send_now: "✅ Hozir yuborish ({count})",
+        bc_schedule: "⏰ Rejalashtirish",
+        bc_queued: "⏳ Hozirda boshqa reklama ketmoqda. Sizniki navbatga qo'yildi.",
+        bc_resumed: "♻️ Reklama davom ettirilmoqda... (✅ {sent})",
+        bc_started: "🚀 Reklama boshlandi...",
+        bc_btn_stop: "🛑 TO'XTATISH",
+        bc_stopped: "🛑 <b>Reklama to'xtatildi!</b>\n✅ Yuborildi: {sent}",
+        bc_finished: "📊 <b>Tugadi:</b>",
+        bc_failed: "⚠️ Reklama xatolik bilan to'xtadi. Tarixdan holatini ko'ring.",
+        bc_status_scheduled: "⏰ Rejalashtirilgan",
+        bc_status_running: "🚀 Ketmoqda",
+        bc_status_completed: "✅ Tugagan",
+        bc_status_stopped: "🛑 To'xtatilgan",
+        bc_status_failed: "⚠️ Xatolik",
+        bc_menu_title: "📨 <b>REKLAMA</b>",
+        bc_menu_running: "🚀 <b>Hozir ketmoqda:</b>",
+        bc_menu_scheduled: "⏰ <b>Rejalashtirilgan:</b>",
+        bc_btn_new: "➕ Yangi reklama",
+        bc_btn_history: "📜 Tarix",
+        bc_history_title: "📜 <b>Reklama tarixi</b> ({total} ta)\n",
+        bc_history_empty: "Hozircha reklama yuborilmagan.",
+        campaign_prompt: "🎯 <b>{name}</b> kanali uchun kampaniya:\n\n• Maqsad (bot orqali qo'shilganlar): <code>500</code>\n• Tugash sanasi: <code>31.12.2026 23:59</code>\n• Ikkalasi: <code>500 31.12.2026</code>\n• Kampaniyani olib tashlash: <code>-</code>\n\nQaysi biri oldin bajarilsa, kanal majburiy obunadan chiqariladi va adminlarga xabar yuboriladi.",
+        campaign_current: "📊 Hozirgi holat:",
+        campaign_invalid: "❌ Noto'g'ri format yoki sana o'tib ketgan. Masalan: <code>500</code>, <code>31.12.2026 23:59</code> yoki <code>500 31.12.2026</code>",
+        campaign_set: "✅ Kampaniya o'rnatildi!",
+        campaign_removed: "✅ Kampaniya olib tashlandi.",
+        channel_not_found: "❌ Kanal topilmadi.",
+        req_state_busy: "⚠️ Sizda tugallanmagan amal bor. Avval uni yakunlang yoki bekor qiling.",
+        rq_title: "📝 <b>Kino so'rovlari</b>\n\n📂 Ochiq: <b>{total}</b> | ✅ Bajarilgan: <b>{fulfilled}</b>",
+        rq_top: "👇 Eng ko'p so'ralganlar:",
+        rq_empty: "Hozircha ochiq so'rov yo'q.",
+        rq_details: "📝 <b>{title}</b>\n\n👥 So'raganlar: <b>{votes}</b>\n📅 Birinchi so'rov: {first}\n🕒 Oxirgi: {last}",
+        rq_btn_fulfill: "✅ Bajarildi (kod biriktirish)",
+        rq_btn_reject: "🚫 Rad etish",
+        rq_not_found: "❌ So'rov topilmadi yoki yopilgan",
+        rq_rejected: "🚫 So'rov rad etildi",
+        rq_fulfill_prompt: "🔢 <b>{title}</b> uchun qo'shilgan kino/serial kodini yuboring:\n(Barcha {votes} ta so'raganga karta yuboriladi)",
+        rq_fulfill_bad_code: "❌ Bunday kodli kino topilmadi. Qaytadan yuboring:",
+        rq_fulfill_done: "✅ <b>{title}</b> ➜ <b>{movie}</b> ({code})\n\n📨 {votes} ta so'raganga xabar yuborilmoqda..."
+    },
+    ru: {
+        lang_name: "🇷🇺 Русский",
+        lang_choose: "🌐 Выберите язык:",
+        lang_saved: "✅ Язык изменён: Русский",
+        session_expired: "⚠️ Время сессии истекло. Попробуйте ещё раз.",
+        birth_ask: "👋 Здравствуйте! Напишите <b>год вашего рождения</b> (например: 2004):",
+        birth_invalid: "❌ Пожалуйста, введите корректный год (1950-{max}):",
+        birth_saved: "✅ Данные сохранены! Можете пользоваться ботом.",
+        welcome: "🎬 <b>Professional Kino Bot</b>\n\n🔎 Отправьте код или название фильма:",
+        btn_catalog: "🗂 Каталог",
+        btn_invite: "🤝 Пригласить друзей",
+        btn_codes_channel: "📂 Канал с кодами фильмов",
+        btn_back: "🔙 Назад",
+        btn_watch: "▶️ СМОТРЕТЬ",
+        btn_favorite: "❤️ Избранное",
+        btn_download: "📥 Скачать ({quality})",
+        btn_share_card: "📤 Поделиться карточкой",
+        btn_share_friends: "♻️ Поделиться с друзьями",
+        btn_seasons: "🔙 Сезоны ({season})",
+        choose: "👇 Выберите:",
+        cancelled: "Действие отменено.",
+        refreshed: "🔄 Обновлено",
+        sub_request: "⚠️ <b>Чтобы пользоваться ботом, подпишитесь на следующие каналы:</b>",
+        btn_join: "➕ Подписаться ({name})",
+        btn_confirm: "✅ Проверить",
+        sub_confirmed: "✅ Подписка подтверждена! Отправьте код фильма.",
+        sub_missing: "❌ Вы подписались ещё не на все каналы!",
+        search_empty: "🔎 По запросу <b>{query}</b> ничего не найдено.\n\nПопробуйте написать название иначе или отправьте код фильма.",
+        search_results: "🔎 <b>Поиск:</b> {query}\n📂 Найдено: <b>{total}</b>\n\n👇 Выберите нужный фильм:",
+        search_expired: "⚠️ Результаты поиска устарели. Отправьте название ещё раз.",
+        not_found: "❌ Не найдено",
+        code_not_found: "❌ <b>Не найдено.</b> Неверный код.",
+        series_not_found: "❌ Сериал не найден",
+        episode_not_found: "❌ Серия не найдена",
+        quality_not_found: "❌ Это качество не найдено",
+        error_generic: "❌ <b>Произошла ошибка.</b> Пожалуйста, попробуйте позже.",
+        adult_refusal: "Этот контент только для лиц старше 18 лет!",
+        adult_warning: "🔞 <b>ЕСТЬ СЦЕНЫ 18+!</b>",
+        type_movie: "🎬 ФИЛЬМ",
+        type_series: "📺 СЕРИАЛ",
+        inline_movie: "🎬 Фильм",
+        inline_series: "📺 Сериал",
+        inline_code: "Код",
+        votes: "голосов",
+        seasons_info: "📂 Сезонов: {seasons} | Всего серий: {episodes}\n👇 Выберите сезон:",
+        episodes_info: "📂 Всего серий: {episodes}\n👇 Выберите серию ниже:",
+        season: "{season} сезон",
+        episode_label: "{season} сезон {number} серия",
+        choose_quality: "💿 Выберите качество:",
+        wait: "⏳ Подождите!",
+        wait_short: "⏳ Подождите немного...",
+        download_forbidden: "🚫 Скачивание запрещено.",
+        sending: "🚀 Отправляем...",
+        episode_sending: "🚀 Отправляем {episode}...",
+        video_error: "⚠️ Ошибка видеофайла или он удалён.",
+        rate_ok: "⭐️ Оценка {score} принята!",
+        rate_same: "ℹ️ Вы уже поставили {score}⭐️.",
+        rate_changed: "✏️ Ваша оценка изменена: {prev}⭐️ ➡️ {score}⭐️!",
+        fav_added: "❤️ Добавлено в избранное! Сообщим о новых сериях.",
+        fav_removed: "💔 Удалено из избранного.",
+        favorites_title: "❤️ <b>Избранное</b> ({total})\n\n👇 Выберите:",
+        favorites_empty: "❤️ <b>Список избранного пуст.</b>\n\nДобавляйте кнопкой \"❤️ Избранное\" на карточке фильма.",
+        new_episode: "🔔 <b>Новая серия!</b>",
+        catalog_title: "🗂 <b>КАТАЛОГ</b>\n\nПо какому разделу ищем?",
+        catalog_g: "🎭 Жанры",
+        catalog_c: "🌍 Страны",
+        catalog_l: "🗣 Языки",
+        catalog_y: "📅 Годы",
+        catalog_empty: "{label}: пока пусто.",
+        catalog_total: "📂 Всего: <b>{total}</b>",
+        disc_top: "🏆 Топ",
+        disc_top_title: "🏆 <b>С самым высоким рейтингом</b>",
+        disc_top_empty: "Пока нет фильмов, набравших хотя бы {votes} голосов.",
+        disc_popular: "🔥 Популярное",
+        disc_popular_title: "🔥 <b>Популярное за последние {days} дней</b>",
+        disc_popular_empty: "Пока нет данных.",
+        disc_new: "🆕 Новинки",
+        disc_new_title: "🆕 <b>Новинки и новые серии</b>",
+        disc_new_empty: "Пока ничего не добавлено.",
+        referral_screen: "🤝 <b>Приглашайте друзей!</b>\n\n🔗 Ваша ссылка:\n<code>{link}</code>\n\n👥 Приглашено: <b>{invited}</b>\n✅ Активных: <b>{active}</b>",
+        referral_share_text: "🎬 Лучшие фильмы и сериалы в этом боте!",
+        btn_referral_share: "📤 Отправить друзьям",
+        referral_joined: "🎉 <b>{name}</b> присоединился к боту по вашей ссылке!",
+        new_user: "Новый пользователь",
+        btn_cancel: "🚫 Отмена",
+        btn_request: "📝 Оставить запрос",
+        req_prompt: "📝 Какой фильм или сериал вы хотите, чтобы мы добавили? Напишите <b>название</b>:",
+        req_invalid: "❌ Слишком короткое название. Напишите название фильма или сериала.",
+        req_limit: "⏳ В день можно отправить не более {limit} запросов. Попробуйте завтра.",
+        req_accepted: "✅ Ваш запрос принят: <b>{title}</b>\n👥 Всего запросили: <b>{votes}</b>\n\nМы сообщим, как только фильм будет добавлен!",
+        req_already: "ℹ️ Вы уже запрашивали <b>{title}</b> (👥 {votes}). Сообщим, когда он будет добавлен.",
+        req_fulfilled: "🎉 Запрошенный вами <b>{title}</b> добавлен в бот!",
+        genres: ['Боевик', 'Комедия', 'Драма', 'Ужасы', 'Фантастика', 'Мелодрама', 'Триллер', 'Приключения', 'Детектив', 'Исторический', 'Мультфильм', 'Документальный', 'Семейный', 'Криминал'],
+
+        admin_title: "🛡 <b>АДМИН ПАНЕЛЬ V15.4</b>",
+        adm_stats: "📊 СТАТИСТИКА",
+        adm_add: "➕ Добавить (Фильм/Сериал)",
+        adm_edit: "📝 Редактировать",
+        adm_import: "📥 Массовый импорт",
+        adm_requests: "📝 Запросы",
+        adm_channels: "📢 Каналы",
+        adm_trash: "🗑 Корзина",
+        adm_users: "👥 Пользователи",
+        adm_broadcast: "📨 Рассылка",
+        adm_settings: "⚙️ Настройки",
+        adm_admins: "👮‍♂️ Админы",
+        adm_backup: "💾 Резервная копия",
+        adm_audit: "📜 Журнал действий",
+        adm_draft: "📝 Незавершённый черновик",
+        no_permission: "⛔️ Нет доступа!",
+        btn_refresh: "🔄 Обновить",
+        btn_referral_lb: "🤝 Рейтинг рефералов",
+        period_1: "Сегодня",
+        period_7: "7 дней",
+        period_30: "30 дней",
+        stats_text: "📊 <b>СТАТИСТИКА</b>\n\n" +
+            "👥 <b>Пользователи:</b>\n├ Всего: <b>{totalUsers}</b>\n├ Активные: <b>{activeUsers}</b>\n├ Заблокировали: <b>{blockedUsers}</b>\n└ Забанены: <b>{bannedUsers}</b>\n\n" +
+            "🎬 <b>База контента:</b>\n├ Фильмы: <b>{totalMovies}</b>\n├ Сериалы: <b>{totalSeries}</b>\n└ Всего серий: <b>{totalEpisodes}</b>\n\n" +
+            "📈 <b>Активность:</b>\n├ Просмотры: <b>{totalViews}</b>\n└ Скачивания: <b>{totalDownloads}</b>\n\n" +
+            "🌐 <b>Языки:</b> {languages}\n\n" +
+            "🖥 <b>Сервер:</b>\n├ Аптайм: <b>{uptime} ч</b>\n└ RAM: <b>{freeMem}MB / {totalMem}MB</b>",
+        settings_title: "⚙️ <b>Настройки:</b>",
+        set_protect: "🛡 Защита контента",
+        set_download: "📥 Скачивание",
+        set_autopost: "📢 Автопостинг",
+        set_adult: "🔞 18+ (несовершеннолетним)",
+        set_adult_hide: "🙈 Скрывать",
+        set_adult_block: "📥 Только запрет скачивания",
+        set_trash: "🗑 Срок хранения корзины: {days} дн.",
+        channels_title: "📢 <b>Каналы:</b>\n\n⚠️ Если бот не может проверить подписку (не админ и т.п.):\n• <i>пропуск</i> — канал не требуется\n• <i>требовать</i> — пользователь считается неподписанным\n🎯 — спонсорская кампания (цель или срок)",
+        campaign_header: "🎯 <b>Кампании:</b>",
+        campaign_until: "⏰ до {date}",
+        campaign_done: "✅ завершена ({date})",
+        campaign_finished: "🎯 Кампания канала <b>{name}</b> завершена: {reason}.\n👥 Подписалось через бота: <b>{joins}</b>\n\nКанал больше не требуется для подписки.",
+        campaign_reason_target: "цель достигнута",
+        campaign_reason_date: "срок истёк",
+        ch_policy_require: "⚠️ Ошибка: требовать",
+        ch_policy_skip: "⚠️ Ошибка: пропуск",
+        btn_add_main: "➕ Основной канал",
+        btn_add_codes: "➕ Канал кодов",
+        btn_ready: "💾 Готово",
+        perm_denied: "⛔️ Нет доступа к этому действию!",
+        video_required: "❌ Отправьте видео!",
+        add_poster: "🖼 <b>Отправьте постер (изображение):</b>",
+        photo_required: "❌ Пожалуйста, отправьте изображение!",
+        add_title: "✍️ <b>Введите название:</b>",
+        add_country: "🌍 <b>Страна:</b>",
+        add_language: "🗣 <b>Язык:</b>",
+        add_year: "📅 <b>Год выпуска:</b>\n(Если неизвестен, отправьте <code>-</code>)",
+        add_year_invalid: "❌ Введите корректный год (1900-{max}) или <code>-</code>:",
+        year_invalid: "❌ Введите корректный год (1900-{max}):",
+        add_genres: "🎭 <b>Выберите жанры</b> (можно несколько):",
+        add_code_nan: "❌ Только число!",
+        add_code_taken: "⚠️ Этот код занят! Введите другой.",
+        add_code_trash: "⚠️ Этот код принадлежит фильму в корзине! Введите другой код или восстановите его из корзины.",
+        add_done_movie: "✅ <b>Фильм добавлен!</b> Код: {code}",
+        add_done_series: "✅ <b>Сериал добавлен!</b> Код: {code}",
+        ep_number_invalid: "❌ Отправьте номер серии!",
+        ep_exists: "⚠️ {episode} уже есть! Отправьте другой номер.",
+        ep_video: "📤 <b>Отправьте видео: {episode}</b>",
+        ep_name: "✍️ <b>Введите название: {episode}</b>\n(Например: <i>Час расплаты</i> или просто <i>Серия {number}</i>)",
+        ep_exists_done: "⚠️ {episode} уже добавлена.",
+        ep_added: "✅ <b>{episode} («{name}») успешно добавлена!</b>",
+        batch_video_required: "❌ Отправьте видео или нажмите «✅ Завершить».",
+        batch_received: "📥 Принято: {count}",
+        edit_saved: "✅ Успешно изменено!",
+        movie_not_found: "❌ Фильм не найден.",
+        var_episode_invalid: "❌ Такой серии нет. Например: <code>5</code> или <code>2x5</code> (2 сезон, 5 серия):",
+        var_video_episode: "📤 <b>Отправьте видео в новом качестве: {episode}</b>\n(В подписи можно указать название качества, например: <i>720p</i>; до 20 символов)",
+        var_added: "✅ Качество <b>{quality}</b> добавлено!",
+        ch_url_prompt: "🔗 <b>Отправьте username или ссылку канала:</b>\n(Например: <i>@kinolar</i> или <i>https://t.me/kinolar</i>)",
+        ch_added: "✅ <b>Канал успешно добавлен!</b>\n\n🆔 ID: {id}\n🏷 Название: {name}",
+        ch_add_error: "❌ <b>Ошибка!</b>\n\n1. Бот назначен <b>админом</b> канала?\n2. Username/ссылка верны?\n3. Если канал приватный, отправьте его <b>ID</b> (-100...).",
+        bc_use_buttons: "👆 Используйте кнопки выше.",
+        bc_schedule_format: "❌ Формат: <code>DD.MM.YYYY HH:MM</code>",
+        bc_schedule_past: "❌ Время должно быть в будущем!",
+        bc_scheduled: "⏰ <b>Рассылка запланирована:</b> {date}\n🎯 {segment}",
+        imp_no_source: "❌ Укажите ID канала или сначала перешлите один пост из канала.",
+        imp_bad_range: "❌ Неверный диапазон (не более {max} постов).",
+        imp_busy: "⏳ Предыдущий диапазон ещё импортируется.",
+        imp_need_video: "❌ Перешлите пост с видео, укажите диапазон (<code>100-250</code>) или нажмите «✅ Завершить».",
+        bk_need_file: "❌ Отправьте файл резервной копии <b>.json</b> как документ.",
+        bk_too_big: "❌ Файл слишком большой (не более 20 МБ).",
+        bk_read_error: "❌ Не удалось прочитать файл: <code>{error}</code>",
+        imp_bad_regex: "❌ Неверный regex: <code>{error}</code>",
+        imp_pattern_saved: "✅ Шаблон сохранён!",
+        usr_id_invalid: "❌ Введите числовой ID!",
+        usr_not_found: "❌ Пользователь не найден",
+        admin_super_immune: "❌ Супер-админа изменить нельзя",
+        system_error: "⚠️ Произошла системная ошибка. Попробуйте ещё раз.",
+        stats_csv_caption: "📄 Статистика: последние {days} дн.",
+        add_choose_type: "Что хотите добавить?",
+        imp_need_settings: "⛔️ Нужен доступ к настройкам!",
+        imp_pattern_prompt: "✍️ Отправьте новый regex для <b>{field}</b> (с одной группой в скобках):",
+        bk_preparing: "⏳ Готовится...",
+        bk_json_caption: "💾 Резервная копия: {movies} фильмов/сериалов, {channels} каналов, {admins} админов",
+        bk_csv_caption: "📄 Каталог: {total}",
+        bk_restore_prompt: "📥 <b>Отправьте файл резервной копии .json.</b>\nСначала будет показано, что изменится, затем вы подтвердите.",
+        bk_restoring: "⏳ Восстановление...",
+        bk_restore_done: "✅ <b>Готово!</b>\n\n🎬 Фильмы: +{moviesCreated} новых, {moviesUpdated} обновлено\n📢 Каналы: +{channelsCreated} новых, {channelsUpdated} обновлено\n👮‍♂️ Админы: +{adminsCreated} новых, {adminsUpdated} обновлено\n⚙️ Настройки: {settings}",
+        bk_settings_updated: "обновлены",
+        bk_settings_same: "без изменений",
+        bk_restore_error: "❌ <b>Ошибка восстановления:</b> <code>{error}</code>\n\nЧасть данных могла быть записана — попробуйте ещё раз.",
+        add_video_movie: "📤 <b>Отправьте видео фильма:</b>",
+        add_video_series: "📤 <b>Отправьте видео сериала (1 серия):</b>",
+        add_adult: "🔞 <b>Возрастное ограничение (18+)?</b>",
+        btn_yes: "✅ Да",
+        btn_no: "❌ Нет",
+        edit_genres_title: "🎭 Жанры: <b>{title}</b>",
+        add_code: "🔢 <b>Введите код фильма/сериала:</b>",
+        edit_code_prompt: "📝 Отправьте код для редактирования:",
+        edit_prompt_title_lang: "✍️ Отправьте название ({lang}):\n(Чтобы удалить, отправьте <code>-</code>)",
+        edit_prompt_title: "✍️ Отправьте новое название:",
+        edit_prompt_country: "🌍 Отправьте новую страну:",
+        edit_prompt_language: "🗣 Отправьте новый язык:",
+        edit_prompt_releaseYear: "📅 Отправьте год выпуска:",
+        edit_prompt_posterId: "🖼 Отправьте новый постер (изображение):",
+        edit_prompt_fileId: "📹 Отправьте новый видеофайл:",
+        var_episode_prompt: "🔢 <b>К какой серии добавить качество?</b>\nОтправьте номер серии: <code>5</code> или <code>2x5</code> (2 сезон, 5 серия)",
+        var_video: "📤 <b>Отправьте видео в новом качестве:</b>\n(В подписи можно указать название качества, например: <i>720p</i>; до 20 символов)",
+        ch_name_prompt: "✍️ <b>Какой текст будет на кнопке канала?</b>\n(Например: <i>Наш киноканал</i>)",
+        ch_delete_confirm: "📢 Удалить канал <b>{name}</b>?",
+        trash_moved: "🗑 Перемещено в корзину",
+        bc_post_prompt: "📢 Отправьте пост (текст, фото, видео...):",
+        bc_stopping: "🛑 Останавливается...",
+        bc_not_running: "⚠️ Рассылка не идёт.",
+        usr_search_prompt: "🔎 Отправьте ID пользователя (Telegram ID):",
+        admin_id_prompt: "ID админа:",
+        admin_delete_confirm: "👮‍♂️ Удалить админа <code>{id}</code>?",
+        movie_delete_confirm: "🗑 Удалить <b>{title}</b> ({code})?",
+        movie_delete_episodes: "📂 Вместе с {count} сериями.",
+        trash_restored: "♻️ Восстановлено",
+        trash_purge_confirm: "❌ Удалить <b>{label}</b> навсегда? Это необратимо!",
+        stats_deleted: "(удалён)",
+        stats_period_text: "📅 <b>СТАТИСТИКА: {period}</b> (с {since})\n\n👥 <b>Пользователи:</b>\n├ Новые: <b>+{join}</b>\n├ Ушли (заблокировали): <b>-{block}</b>\n├ Чистый прирост: <b>{net}</b>\n└ Были активны: <b>{active}</b>\n\n📈 <b>Активность:</b>\n├ Просмотры: <b>{views}</b>\n└ Скачивания: <b>{downloads}</b>\n",
+        stats_by_day: "<b>По дням</b> (новые / ушли / 👁 / 📥):",
+        stats_csv_btn: "📄 Скачать CSV",
+        reflb_title: "🤝 <b>РЕЙТИНГ РЕФЕРАЛОВ</b>\n\n👥 Всего по приглашениям: <b>{total}</b> (за 7 дней: +{week})\n",
+        reflb_empty: "Рефералов пока нет.",
+        reflb_details: "👥 Пригласил: <b>{total}</b> (✅ активны: {active})\n📅 {period7}: <b>+{week}</b> | {period30}: <b>+{month}</b>\n",
+        reflb_back: "🔙 Рейтинг",
+        edit_title: "📝 Редактирование ({type}): <b>{title}</b> ({code})",
+        edit_btn_title: "🏷 Название",
+        edit_btn_country: "🌍 Страна",
+        edit_btn_language: "🗣 Язык",
+        edit_btn_year: "📅 Год",
+        edit_btn_genres: "🎭 Жанры",
+        edit_btn_poster: "🖼 Постер",
+        edit_btn_delete: "🗑 УДАЛИТЬ",
+        edit_btn_add_episode: "➕ ДОБАВИТЬ СЕРИЮ",
+        edit_btn_episodes: "📂 Управление сериями ({seasons} сез., {episodes} сер.)",
+        edit_btn_episode_quality: "🎞 Добавить качество серии",
+        edit_btn_video: "📹 Видео",
+        edit_btn_quality: "🎞 Добавить качество",
+        stats_no_data: "Данных пока нет.",
+        btn_finish: "✅ Завершить",
+        imp_field_title: "🏷 Название",
+        imp_field_country: "🌍 Страна",
+        imp_field_language: "🗣 Язык",
+        imp_field_code: "🔢 Код",
+        imp_instructions: "📥 <b>Режим импорта</b>\n\n• Перешлите сюда видеопосты из канала-хранилища (можно несколько сразу).\n• Или укажите диапазон: <code>-1001234567890 100-250</code> (ID канала и номера постов). Если из канала уже переслан один пост, достаточно <code>100-250</code>. Бот должен быть участником канала.\n\nДанные берутся из подписи к видео по шаблонам. В конце нажмите «✅ Завершить».",
+        imp_panel_title: "📥 <b>Массовый импорт</b>\n\nШаблоны (regex) для чтения данных из подписи к видео:\n",
+        imp_panel_note: "Посты без названия и кода пропускаются.",
+        imp_btn_start: "▶️ Начать импорт",
+        imp_btn_reset: "♻️ Шаблоны по умолчанию",
+        imp_fail_video: "нет видео",
+        imp_fail_caption: "подпись не распознана",
+        imp_fail_error: "ошибка",
+        imp_fail_missing: "пост не найден",
+        imp_range_done: "🏁 Диапазон {from}-{to} завершён.",
+        imp_report_created: "📥 <b>Результат импорта</b>\n\n✅ Добавлено: <b>{count}</b>",
+        imp_report_duplicates: "♻️ Код занят (дубликат): <b>{count}</b>",
+        imp_report_failed: "❌ Не распознано: <b>{count}</b>",
+        btn_confirm_delete: "✅ Да, удалить",
+        trash_key_taken: "⚠️ Этот код/ID сейчас занят, восстановить нельзя!",
+        trash_title: "🗑 <b>Корзина</b> ({total})\nУдалённое стирается навсегда через {days} дн.\n",
+        trash_empty: "Корзина пуста.",
+        audit_movie_add: "➕ Фильм добавлен",
+        audit_movie_edit: "📝 Фильм изменён",
+        audit_movie_delete: "🗑 Фильм удалён",
+        audit_episode_add: "➕ Серия добавлена",
+        audit_episode_edit: "📺 Серия изменена",
+        audit_episode_delete: "🗑 Серия удалена",
+        audit_episode_renumber: "♻️ Серии перенумерованы",
+        audit_variant_add: "🎞 Качество добавлено",
+        audit_variant_delete: "🎞 Качество удалено",
+        audit_channel_add: "📢 Канал добавлен",
+        audit_channel_edit: "📢 Настройка канала",
+        audit_channel_delete: "📢 Канал удалён",
+        audit_user_ban: "🚫 Бан пользователя",
+        audit_user_download: "📥 Право скачивания",
+        audit_setting_change: "⚙️ Настройка изменена",
+        audit_admin_add: "👮‍♂️ Админ добавлен",
+        audit_admin_perm: "🔑 Права админа",
+        audit_admin_delete: "👮‍♂️ Админ удалён",
+        audit_broadcast_start: "📨 Рассылка начата",
+        audit_broadcast_cancel: "📨 Рассылка отменена",
+        audit_broadcast_stop: "🛑 Рассылка остановлена",
+        audit_import: "📥 Массовый импорт",
+        audit_restore: "💾 Восстановление из копии",
+        audit_trash_restore: "♻️ Восстановлено из корзины",
+        audit_trash_purge: "❌ Удалено из корзины навсегда",
+        audit_campaign_set: "🎯 Кампания установлена",
+        audit_campaign_finish: "🎯 Кампания завершена",
+        audit_request_fulfill: "✅ Запрос выполнен",
+        audit_request_reject: "🚫 Запрос отклонён",
+        audit_title: "📜 <b>Журнал аудита</b> ({total})\n👤 {actor} | 🏷 {action}\n",
+        audit_all_admins: "Все админы",
+        audit_all_actions: "Все действия",
+        audit_empty: "Записей пока нет.",
+        audit_by_admin: "👤 По админу",
+        audit_by_action: "🏷 По действию",
+        audit_clear: "♻️ Сбросить фильтр",
+        audit_choose_admin: "👤 <b>Выберите админа:</b>",
+        audit_choose_action: "🏷 <b>Выберите тип действия:</b>",
+        bk_btn_merge: "🔀 Объединить (только новые)",
+        bk_btn_restore: "♻️ Восстановить (с обновлением)",
+        bk_plan_title: "🔍 <b>План восстановления (пока ничего не изменено)</b>\n",
+        bk_plan_movies: "🎬 Фильмы (код)",
+        bk_plan_channels: "📢 Каналы",
+        bk_plan_admins: "👮‍♂️ Админы",
+        bk_plan_create: "➕ Новые: {count}",
+        bk_plan_update: "✏️ Изменённые: {count}",
+        bk_plan_rest: "⏭ Без изменений: {unchanged} | ❌ Некорректные: {invalid}",
+        bk_plan_settings_yes: "⚙️ Настройки: есть в файле",
+        bk_plan_settings_no: "⚙️ Настройки: нет",
+        bk_plan_modes: "🔀 <b>Объединить</b> — добавляются только новые.\n♻️ <b>Восстановить</b> — изменённые тоже перезаписываются из файла.",
+        bk_panel: "💾 <b>Резервная копия</b>\n\nJSON: фильмы, каналы, настройки и админы.\nCSV: только каталог (для Excel).\nВосстановление только из JSON, по коду.",
+        bk_btn_json: "📤 Экспорт JSON",
+        bk_btn_csv: "📄 Каталог CSV",
+        bk_btn_file: "📥 Восстановить из файла",
+        ep_new_season: "➕ Новый сезон ({season})",
+        ep_season_prompt: "📂 <b>В какой сезон добавить?</b>\n(Нажмите кнопку или отправьте номер сезона)",
+        batch_prompt: "📦 <b>Отправляйте видео серий ({season}) по порядку</b> (можно выбрать несколько сразу).\n\nВ конце нажмите «✅ Завершить» — номера присваиваются в порядке отправки, подпись к видео станет названием серии.",
+        ep_number_prompt: "🔢 <b>{season}: какой номер серии добавить?</b>",
+        ep_btn_add: "➕ Новая серия",
+        ep_btn_batch: "📦 Загрузить несколько серий",
+        ep_btn_insert: "🔢 Добавить серию (с номером)",
+        ep_btn_renumber: "♻️ Перенумеровать: {season} (1..N)",
+        ep_list_title: "📂 <b>{title}</b> — {season} ({count} сер.)",
+        ep_missing: "⚠️ Пропущены: {numbers}",
+        ep_panel: "📺 <b>{title}</b> | {episode}\n\n🏷 Название: {name}\n💿 Качество: {qualities}\n📅 Добавлена: {date}",
+        ep_btn_rename: "✍️ Название",
+        ep_btn_replace: "📹 Заменить видео",
+        ep_btn_delete: "🗑 Удалить",
+        ep_btn_list: "🔙 Серии",
+        ep_rename_prompt: "✍️ Отправьте новое название: {episode}",
+        ep_replace_prompt: "📹 Отправьте новое видео: {episode}",
+        ep_delete_confirm: "✅ Да, удалить: {episode}",
+        ep_deleted: "🗑 {episode}: удалена",
+        ep_renumbered: "♻️ {season}: перенумеровано серий — {count}",
+        batch_done: "📦 <b>{season}: добавлено серий — {count}:</b> {range}",
+        usr_panel: "👤 <b>Пользователь:</b> <a href=\"tg://user?id={id}\">{name}</a>\n🆔 <code>{id}</code>\n🚫 Бан: {banned}",
+        usr_btn_unban: "✅ Разбанить",
+        usr_btn_ban: "🚫 Забанить",
+        usr_btn_dl_block: "🚷 Запретить скачивание",
+        usr_btn_dl_allow: "📥 Разрешить скачивание",
+        perm_movies: "🎬 Фильмы",
+        perm_channels: "📢 Каналы",
+        perm_users: "👥 Пользователи",
+        perm_broadcast: "📨 Рассылка",
+        perm_settings: "⚙️ Настройки",
+        draft_add_content: "➕ Добавление фильма/сериала",
+        draft_add_episode: "➕ Добавление серии",
+        draft_add_channel: "📢 Добавление канала",
+        draft_edit_field: "📝 Редактирование",
+        draft_add_variant: "🎞 Добавление качества",
+        draft_add_episode_batch: "📦 Загрузка нескольких серий",
+        draft_edit_episode: "📺 Редактирование серии",
+        draft_import: "📥 Массовый импорт",
+        draft_broadcast: "📨 Рассылка",
+        draft_video: "📤 <b>Отправьте видео:</b>",
+        draft_ep_number: "🔢 <b>Какой номер серии добавить?</b>",
+        draft_ep_video: "📤 <b>Отправьте видео следующей серии:</b>",
+        draft_ep_name: "✍️ <b>Введите название серии:</b>",
+        draft_title: "📝 <b>Черновик:</b> {action}\n",
+        draft_step: "📍 Шаг: <b>{step}</b>\n",
+        draft_name: "🏷 Название: {title}\n",
+        draft_expires: "⏳ Истекает: {date}",
+        draft_btn_resume: "▶️ Продолжить",
+        draft_btn_discard: "🗑 Отменить",
+        draft_value: "✍️ Отправьте значение:",
+        draft_batch_continue: "📦 Продолжайте отправлять видео серий (принято: {count}).",
+        draft_restarted: "♻️ <b>Бот перезапущен.</b>",
+        seg_prompt_SEG_BIRTH: "🎂 <b>Диапазон годов рождения:</b>\n(Например: <code>1995-2005</code>)",
+        seg_prompt_SEG_JOINED: "📅 <b>Диапазон дат регистрации:</b>\n(Например: <code>01.01.2025-31.03.2025</code> или последние N дней: <code>30</code>)",
+        seg_prompt_SEG_ACTIVE: "⚡️ <b>Активные за сколько последних дней?</b>\n(Например: <code>7</code>)",
+        seg_prompt_SEG_WATCHED: "🎬 <b>Кто смотрел какой фильм?</b> Отправьте код:\n(Скачавшие за последние {days} дней и поставившие оценку. Скачивания записываются с момента появления этой функции)",
+        seg_prompt_SCHEDULE: "⏰ <b>Время отправки (Ташкент):</b>\n(Например: <code>25.12.2025 18:30</code>)",
+        seg_birth_invalid: "❌ Формат: <code>1995-2005</code>",
+        seg_joined_invalid: "❌ Формат: <code>01.01.2025-31.03.2025</code> или <code>30</code>",
+        seg_days_invalid: "❌ Отправьте число дней (например: <code>7</code>)",
+        seg_now: "сейчас",
+        seg_days: "{days} дн.",
+        seg_all: "Все пользователи",
+        bc_audience: "📢 <b>Аудитория рассылки</b>\n\n🎯 {segment}\n👥 Получателей: <b>{count}</b>",
+        bc_seg_birth: "🎂 Год рождения",
+        bc_seg_joined: "📅 Дата регистрации",
+        bc_seg_active: "⚡️ Активность",
+        bc_seg_watched: "🎬 Смотрели фильм",
+        bc_seg_clear: "♻️ Сбросить фильтры",
+        bc_send_now: "✅ Отправить сейчас ({count})",
+        bc_schedule: "⏰ Запланировать",
+        bc_queued: "⏳ Сейчас идёт другая рассылка. Ваша поставлена в очередь.",
+        bc_resumed: "♻️ Рассылка возобновлена... (✅ {sent})",
+        bc_started: "🚀 Рассылка началась...",
+        bc_btn_stop: "🛑 ОСТАНОВИТЬ",
+        bc_stopped: "🛑 <b>Рассылка остановлена!</b>\n✅ Отправлено: {sent}",
+        bc_finished: "📊 <b>Завершено:</b>",
+        bc_failed: "⚠️ Рассылка остановилась с ошибкой. Смотрите статус в истории.",
+        bc_status_scheduled: "⏰ Запланирована",
+        bc_status_running: "🚀 Идёт",
+        bc_status_completed: "✅ Завершена",
+        bc_status_stopped: "🛑 Остановлена",
+        bc_status_failed: "⚠️ Ошибка",
+        bc_menu_title: "📨 <b>РАССЫЛКА</b>",
+        bc_menu_running: "🚀 <b>Сейчас идёт:</b>",
+        bc_menu_scheduled: "⏰ <b>Запланированные:</b>",
+        bc_btn_new: "➕ Новая рассылка",
+        bc_btn_history: "📜 История",
+        bc_history_title: "📜 <b>История рассылок</b> ({total})\n",
+        bc_history_empty: "Рассылок пока не было.",
+        campaign_prompt: "🎯 Кампания для канала <b>{name}</b>:\n\n• Цель (подписались через бота): <code>500</code>\n• Дата окончания: <code>31.12.2026 23:59</code>\n• Оба условия: <code>500 31.12.2026</code>\n• Убрать кампанию: <code>-</code>\n\nКак только выполнится одно из условий, канал уберут из обязательной подписки, а админы получат уведомление.",
+        campaign_current: "📊 Текущее состояние:",
+        campaign_invalid: "❌ Неверный формат или дата уже прошла. Например: <code>500</code>, <code>31.12.2026 23:59</code> или <code>500 31.12.2026</code>",
+        campaign_set: "✅ Кампания установлена!",
+        campaign_removed: "✅ Кампания удалена.",
+        channel_not_found: "❌ Канал не найден.",
+        req_state_busy: "⚠️ У вас есть незавершённое действие. Сначала завершите или отмените его.",
+        rq_title: "📝 <b>Запросы фильмов</b>\n\n📂 Открытых: <b>{total}</b> | ✅ Выполнено: <b>{fulfilled}</b>",
+        rq_top: "👇 Самые запрашиваемые:",
+        rq_empty: "Открытых запросов пока нет.",
+        rq_details: "📝 <b>{title}</b>\n\n👥 Запросили: <b>{votes}</b>\n📅 Первый запрос: {first}\n🕒 Последний: {last}",
+        rq_btn_fulfill: "✅ Выполнено (указать код)",
+        rq_btn_reject: "🚫 Отклонить",
+        rq_not_found: "❌ Запрос не найден или закрыт",
+        rq_rejected: "🚫 Запрос отклонён",
+        rq_fulfill_prompt: "🔢 Отправьте код добавленного фильма/сериала для <b>{title}</b>:\n(Карточку получат все {votes} запросивших)",
+        rq_fulfill_bad_code: "❌ Фильм с таким кодом не найден. Отправьте ещё раз:",
+        rq_fulfill_done: "✅ <b>{title}</b> ➜ <b>{movie}</b> ({code})\n\n📨 Уведомляем {votes} запросивших..."
+    },
+    en: {
+        lang_name: "🇬🇧 English",
+        lang_choose: "🌐 Choose your language:",
+        lang_saved: "✅ Language changed: English",
+        session_expired: "⚠️ Your session has expired. Please try again.",
+        birth_ask: "👋 Hello! Please send your <b>year of birth</b> (e.g. 2004):",
+        birth_invalid: "❌ Please enter a valid year (1950-{max}):",
+        birth_saved: "✅ Saved! You can use the bot now.",
+        welcome: "🎬 <b>Professional Kino Bot</b>\n\n🔎 Send a movie code or title:",
+        btn_catalog: "🗂 Catalog",
+        btn_invite: "🤝 Invite friends",
+        btn_codes_channel: "📂 Movie Codes Channel",
+        btn_back: "🔙 Back",
+        btn_watch: "▶️ WATCH",
+        btn_favorite: "❤️ Favorites",
+        btn_download: "📥 Download ({quality})",
+        btn_share_card: "📤 Share card",
+        btn_share_friends: "♻️ Share with friends",
+        btn_seasons: "🔙 Seasons ({season})",
+        choose: "👇 Choose:",
+        cancelled: "Action cancelled.",
+        refreshed: "🔄 Updated",
+        sub_request: "⚠️ <b>To use the bot, please join the following channels:</b>",
+        btn_join: "➕ Join ({name})",
+        btn_confirm: "✅ Check",
+        sub_confirmed: "✅ Subscription confirmed! Send a movie code.",
+        sub_missing: "❌ You haven't joined all the channels yet!",
+        search_empty: "🔎 Nothing found for <b>{query}</b>.\n\nTry spelling the title differently or send the movie code.",
+        search_results: "🔎 <b>Search:</b> {query}\n📂 Found: <b>{total}</b>\n\n👇 Choose a movie:",
+        search_expired: "⚠️ Search results expired. Please send the title again.",
+        not_found: "❌ Not found",
+        code_not_found: "❌ <b>Not found.</b> Invalid code.",
+        series_not_found: "❌ Series not found",
+        episode_not_found: "❌ Episode not found",
+        quality_not_found: "❌ This quality was not found",
+        error_generic: "❌ <b>Something went wrong.</b> Please try again later.",
+        adult_refusal: "This content is for adults (18+) only!",
+        adult_warning: "🔞 <b>CONTAINS 18+ SCENES!</b>",
+        type_movie: "🎬 MOVIE",
+        type_series: "📺 SERIES",
+        inline_movie: "🎬 Movie",
+        inline_series: "📺 Series",
+        inline_code: "Code",
+        votes: "votes",
+        seasons_info: "📂 Seasons: {seasons} | Total episodes: {episodes}\n👇 Choose a season:",
+        episodes_info: "📂 Total episodes: {episodes}\n👇 Choose an episode below:",
+        season: "Season {season}",
+        episode_label: "Season {season} Episode {number}",
+        choose_quality: "💿 Choose quality:",
+        wait: "⏳ Please wait!",
+        wait_short: "⏳ Please wait a moment...",
+        download_forbidden: "🚫 Downloading is disabled.",
+        sending: "🚀 Sending...",
+        episode_sending: "🚀 Sending {episode}...",
+        video_error: "⚠️ The video file is broken or was deleted.",
+        rate_ok: "⭐️ Your {score} rating was accepted!",
+        rate_same: "ℹ️ You have already rated it {score}⭐️.",
+        rate_changed: "✏️ Your rating was changed: {prev}⭐️ ➡️ {score}⭐️!",
+        fav_added: "❤️ Added to favorites! We'll notify you about new episodes.",
+        fav_removed: "💔 Removed from favorites.",
+        favorites_title: "❤️ <b>Favorites</b> ({total})\n\n👇 Choose:",
+        favorites_empty: "❤️ <b>Your favorites list is empty.</b>\n\nAdd titles with the \"❤️ Favorites\" button on a movie card.",
+        new_episode: "🔔 <b>New episode!</b>",
+        catalog_title: "🗂 <b>CATALOG</b>\n\nBrowse by:",
+        catalog_g: "🎭 Genres",
+        catalog_c: "🌍 Countries",
+        catalog_l: "🗣 Languages",
+        catalog_y: "📅 Years",
+        catalog_empty: "{label}: nothing here yet.",
+        catalog_total: "📂 Total: <b>{total}</b>",
+        disc_top: "🏆 Top",
+        disc_top_title: "🏆 <b>Top rated</b>",
+        disc_top_empty: "No titles with at least {votes} votes yet.",
+        disc_popular: "🔥 Popular",
+        disc_popular_title: "🔥 <b>Popular in the last {days} days</b>",
+        disc_popular_empty: "No data yet.",
+        disc_new: "🆕 New",
+        disc_new_title: "🆕 <b>New titles and new episodes</b>",
+        disc_new_empty: "Nothing has been added yet.",
+        referral_screen: "🤝 <b>Invite your friends!</b>\n\n🔗 Your link:\n<code>{link}</code>\n\n👥 Invited: <b>{invited}</b>\n✅ Active: <b>{active}</b>",
+        referral_share_text: "🎬 The best movies and series are in this bot!",
+        btn_referral_share: "📤 Send to friends",
+        referral_joined: "🎉 <b>{name}</b> joined the bot with your link!",
+        new_user: "New user",
+        btn_cancel: "🚫 Cancel",
+        btn_request: "📝 Request this title",
+        req_prompt: "📝 Which movie or series would you like us to add? Send its <b>title</b>:",
+        req_invalid: "❌ The title is too short. Please send a movie or series title.",
+        req_limit: "⏳ You can send at most {limit} requests per day. Please try again tomorrow.",
+        req_accepted: "✅ Your request was received: <b>{title}</b>\n👥 Requested by: <b>{votes}</b>\n\nWe'll let you know as soon as it's added!",
+        req_already: "ℹ️ You have already requested <b>{title}</b> (👥 {votes}). We'll let you know when it's added.",
+        req_fulfilled: "🎉 <b>{title}</b>, which you requested, is now in the bot!",
+        genres: ['Action', 'Comedy', 'Drama', 'Horror', 'Sci-Fi', 'Romance', 'Thriller', 'Adventure', 'Mystery', 'Historical', 'Animation', 'Documentary', 'Family', 'Crime'],
+
+        admin_title: "🛡 <b>ADMIN PANEL V15.4</b>",
+        adm_stats: "📊 STATISTICS",
+        adm_add: "➕ Add (Movie/Series)",
+        adm_edit: "📝 Edit",
+        adm_import: "📥 Bulk import",
+        adm_requests: "📝 Requests",
+        adm_channels: "📢 Channels",
+        adm_trash: "🗑 Trash",
+        adm_users: "👥 Users",
+        adm_broadcast: "📨 Broadcast",
+        adm_settings: "⚙️ Settings",
+        adm_admins: "👮‍♂️ Admins",
+        adm_backup: "💾 Backup",
+        adm_audit: "📜 Audit log",
+        adm_draft: "📝 Unfinished draft",
+        no_permission: "⛔️ Access denied!",
+        btn_refresh: "🔄 Refresh",
+        btn_referral_lb: "🤝 Referral leaderboard",
+        period_1: "Today",
+        period_7: "7 days",
+        period_30: "30 days",
+        stats_text: "📊 <b>STATISTICS</b>\n\n" +
+            "👥 <b>Users:</b>\n├ Total: <b>{totalUsers}</b>\n├ Active: <b>{activeUsers}</b>\n├ Blocked the bot: <b>{blockedUsers}</b>\n└ Banned: <b>{bannedUsers}</b>\n\n" +
+            "🎬 <b>Content:</b>\n├ Movies: <b>{totalMovies}</b>\n├ Series: <b>{totalSeries}</b>\n└ Total episodes: <b>{totalEpisodes}</b>\n\n" +
+            "📈 <b>Activity:</b>\n├ Views: <b>{totalViews}</b>\n└ Downloads: <b>{totalDownloads}</b>\n\n" +
+            "🌐 <b>Languages:</b> {languages}\n\n" +
+            "🖥 <b>Server:</b>\n├ Uptime: <b>{uptime} h</b>\n└ RAM: <b>{freeMem}MB / {totalMem}MB</b>",
+        settings_title: "⚙️ <b>Settings:</b>",
+        set_protect: "🛡 Global Protect",
+        set_download: "📥 Global Download",
+        set_autopost: "📢 Auto-Post",
+        set_adult: "🔞 18+ (for minors)",
+        set_adult_hide: "🙈 Hide",
+        set_adult_block: "📥 Block download only",
+        set_trash: "🗑 Trash retention: {days} days",
+        channels_title: "📢 <b>Channels:</b>\n\n⚠️ If the bot can't check membership (not an admin, etc.):\n• <i>skip</i> — the channel is not required\n• <i>require</i> — the user is treated as not subscribed\n🎯 — sponsor campaign (join target or end date)",
+        campaign_header: "🎯 <b>Campaigns:</b>",
+        campaign_until: "⏰ until {date}",
+        campaign_done: "✅ finished ({date})",
+        campaign_finished: "🎯 The campaign for <b>{name}</b> has ended: {reason}.\n👥 Joined via the bot: <b>{joins}</b>\n\nThe channel is no longer required for subscription.",
+        campaign_reason_target: "target reached",
+        campaign_reason_date: "end date passed",
+        ch_policy_require: "⚠️ On error: require",
+        ch_policy_skip: "⚠️ On error: skip",
+        btn_add_main: "➕ Main Channel",
+        btn_add_codes: "➕ Codes Channel",
+        btn_ready: "💾 Done",
+        perm_denied: "⛔️ You don't have permission for this action!",
+        video_required: "❌ Send a video!",
+        add_poster: "🖼 <b>Send the poster (image):</b>",
+        photo_required: "❌ Please send an image!",
+        add_title: "✍️ <b>Enter the title:</b>",
+        add_country: "🌍 <b>Country:</b>",
+        add_language: "🗣 <b>Language:</b>",
+        add_year: "📅 <b>Release year:</b>\n(Send <code>-</code> if unknown)",
+        add_year_invalid: "❌ Enter a valid year (1900-{max}) or <code>-</code>:",
+        year_invalid: "❌ Enter a valid year (1900-{max}):",
+        add_genres: "🎭 <b>Choose genres</b> (you can pick several):",
+        add_code_nan: "❌ Numbers only!",
+        add_code_taken: "⚠️ This code is taken! Enter another one.",
+        add_code_trash: "⚠️ This code belongs to a title in the trash! Enter another code or restore it from the trash.",
+        add_done_movie: "✅ <b>Movie added!</b> Code: {code}",
+        add_done_series: "✅ <b>Series added!</b> Code: {code}",
+        ep_number_invalid: "❌ Send the episode number!",
+        ep_exists: "⚠️ {episode} already exists! Send another number.",
+        ep_video: "📤 <b>Send the video for {episode}:</b>",
+        ep_name: "✍️ <b>Enter a name for {episode}:</b>\n(For example: <i>The Reckoning</i> or just <i>Episode {number}</i>)",
+        ep_exists_done: "⚠️ {episode} has already been added.",
+        ep_added: "✅ <b>{episode} (\"{name}\") added!</b>",
+        batch_video_required: "❌ Send a video or press \"✅ Finish\".",
+        batch_received: "📥 Received: {count}",
+        edit_saved: "✅ Changes saved!",
+        movie_not_found: "❌ Title not found.",
+        var_episode_invalid: "❌ No such episode. For example: <code>5</code> or <code>2x5</code> (season 2, episode 5):",
+        var_video_episode: "📤 <b>Send the video in the new quality for {episode}:</b>\n(You can put the quality name in the caption, e.g. <i>720p</i>; up to 20 characters)",
+        var_added: "✅ Quality <b>{quality}</b> added!",
+        ch_url_prompt: "🔗 <b>Send the channel username or link:</b>\n(For example: <i>@kinolar</i> or <i>https://t.me/kinolar</i>)",
+        ch_added: "✅ <b>Channel added!</b>\n\n🆔 ID: {id}\n🏷 Name: {name}",
+        ch_add_error: "❌ <b>Error!</b>\n\n1. Is the bot an <b>admin</b> of the channel?\n2. Is the username/link correct?\n3. For a private channel, send its <b>ID</b> (-100...) directly.",
+        bc_use_buttons: "👆 Use the buttons above.",
+        bc_schedule_format: "❌ Format: <code>DD.MM.YYYY HH:MM</code>",
+        bc_schedule_past: "❌ The time must be in the future!",
+        bc_scheduled: "⏰ <b>Broadcast scheduled:</b> {date}\n🎯 {segment}",
+        imp_no_source: "❌ Enter the channel ID or forward one post from the channel first.",
+        imp_bad_range: "❌ Invalid range (at most {max} posts).",
+        imp_busy: "⏳ The previous range is still being imported.",
+        imp_need_video: "❌ Forward a video post, enter a range (<code>100-250</code>) or press \"✅ Finish\".",
+        bk_need_file: "❌ Send the backup <b>.json</b> file as a document.",
+        bk_too_big: "❌ The file is too large (20 MB max).",
+        bk_read_error: "❌ Couldn't read the file: <code>{error}</code>",
+        imp_bad_regex: "❌ Invalid regex: <code>{error}</code>",
+        imp_pattern_saved: "✅ Pattern saved!",
+        usr_id_invalid: "❌ Enter a numeric ID!",
+        usr_not_found: "❌ User not found",
+        admin_super_immune: "❌ The super admin can't be changed",
+        system_error: "⚠️ A system error occurred. Please try again.",
+        stats_csv_caption: "📄 Statistics: last {days} days",
+        add_choose_type: "What would you like to add?",
+        imp_need_settings: "⛔️ Settings permission required!",
+        imp_pattern_prompt: "✍️ Send a new regex for <b>{field}</b> (with one capture group):",
+        bk_preparing: "⏳ Preparing...",
+        bk_json_caption: "💾 Backup: {movies} titles, {channels} channels, {admins} admins",
+        bk_csv_caption: "📄 Catalog: {total}",
+        bk_restore_prompt: "📥 <b>Send the backup .json file.</b>\nYou'll see what will change first, then confirm.",
+        bk_restoring: "⏳ Restoring...",
+        bk_restore_done: "✅ <b>Done!</b>\n\n🎬 Titles: +{moviesCreated} new, {moviesUpdated} updated\n📢 Channels: +{channelsCreated} new, {channelsUpdated} updated\n👮‍♂️ Admins: +{adminsCreated} new, {adminsUpdated} updated\n⚙️ Settings: {settings}",
+        bk_settings_updated: "updated",
+        bk_settings_same: "unchanged",
+        bk_restore_error: "❌ <b>Restore failed:</b> <code>{error}</code>\n\nSome data may have been written — try again.",
+        add_video_movie: "📤 <b>Send the movie video:</b>",
+        add_video_series: "📤 <b>Send the series video (episode 1):</b>",
+        add_adult: "🔞 <b>Age restriction (18+)?</b>",
+        btn_yes: "✅ Yes",
+        btn_no: "❌ No",
+        edit_genres_title: "🎭 Genres of <b>{title}</b>:",
+        add_code: "🔢 <b>Enter the movie/series code:</b>",
+        edit_code_prompt: "📝 Send the code to edit:",
+        edit_prompt_title_lang: "✍️ Send the title ({lang}):\n(Send <code>-</code> to remove it)",
+        edit_prompt_title: "✍️ Send the new title:",
+        edit_prompt_country: "🌍 Send the new country:",
+        edit_prompt_language: "🗣 Send the new language:",
+        edit_prompt_releaseYear: "📅 Send the release year:",
+        edit_prompt_posterId: "🖼 Send the new poster (image):",
+        edit_prompt_fileId: "📹 Send the new video file:",
+        var_episode_prompt: "🔢 <b>Which episode gets the new quality?</b>\nSend the episode number: <code>5</code> or <code>2x5</code> (season 2, episode 5)",
+        var_video: "📤 <b>Send the video in the new quality:</b>\n(You can put the quality name in the caption, e.g. <i>720p</i>; up to 20 characters)",
+        ch_name_prompt: "✍️ <b>What should the channel button say?</b>\n(For example: <i>Our Movie Channel</i>)",
+        ch_delete_confirm: "📢 Delete the <b>{name}</b> channel?",
+        trash_moved: "🗑 Moved to the trash",
+        bc_post_prompt: "📢 Send the post (text, photo, video...):",
+        bc_stopping: "🛑 Stopping...",
+        bc_not_running: "⚠️ No broadcast is running.",
+        usr_search_prompt: "🔎 Send the user ID (Telegram ID):",
+        admin_id_prompt: "Admin ID:",
+        admin_delete_confirm: "👮‍♂️ Remove admin <code>{id}</code>?",
+        movie_delete_confirm: "🗑 Delete <b>{title}</b> ({code})?",
+        movie_delete_episodes: "📂 Along with {count} episodes.",
+        trash_restored: "♻️ Restored",
+        trash_purge_confirm: "❌ Delete <b>{label}</b> permanently? This can't be undone!",
+        stats_deleted: "(deleted)",
+        stats_period_text: "📅 <b>STATISTICS: {period}</b> (since {since})\n\n👥 <b>Users:</b>\n├ New: <b>+{join}</b>\n├ Left (blocked): <b>-{block}</b>\n├ Net growth: <b>{net}</b>\n└ Active: <b>{active}</b>\n\n📈 <b>Activity:</b>\n├ Views: <b>{views}</b>\n└ Downloads: <b>{downloads}</b>\n",
+        stats_by_day: "<b>By day</b> (new / left / 👁 / 📥):",
+        stats_csv_btn: "📄 Download CSV",
+        reflb_title: "🤝 <b>REFERRAL LEADERBOARD</b>\n\n👥 Total invited: <b>{total}</b> (last 7 days: +{week})\n",
+        reflb_empty: "No referrals yet.",
+        reflb_details: "👥 Invited: <b>{total}</b> (✅ active: {active})\n📅 {period7}: <b>+{week}</b> | {period30}: <b>+{month}</b>\n",
+        reflb_back: "🔙 Leaderboard",
+        edit_title: "📝 Editing ({type}): <b>{title}</b> ({code})",
+        edit_btn_title: "🏷 Title",
+        edit_btn_country: "🌍 Country",
+        edit_btn_language: "🗣 Language",
+        edit_btn_year: "📅 Year",
+        edit_btn_genres: "🎭 Genres",
+        edit_btn_poster: "🖼 Poster",
+        edit_btn_delete: "🗑 DELETE",
+        edit_btn_add_episode: "➕ ADD EPISODE",
+        edit_btn_episodes: "📂 Manage episodes ({seasons} seasons, {episodes} episodes)",
+        edit_btn_episode_quality: "🎞 Add episode quality",
+        edit_btn_video: "📹 Video",
+        edit_btn_quality: "🎞 Add quality",
+        stats_no_data: "No data yet.",
+        btn_finish: "✅ Finish",
+        imp_field_title: "🏷 Title",
+        imp_field_country: "🌍 Country",
+        imp_field_language: "🗣 Language",
+        imp_field_code: "🔢 Code",
+        imp_instructions: "📥 <b>Import mode</b>\n\n• Forward video posts from the storage channel here (several at once is fine).\n• Or enter a range: <code>-1001234567890 100-250</code> (channel ID and post numbers). If you've already forwarded a post from the channel, <code>100-250</code> is enough. The bot must be a member of the channel.\n\nData is read from the video caption using the patterns. Press \"✅ Finish\" when done.",
+        imp_panel_title: "📥 <b>Bulk import</b>\n\nPatterns (regex) for reading data from the video caption:\n",
+        imp_panel_note: "Posts without a title and code are skipped.",
+        imp_btn_start: "▶️ Start import",
+        imp_btn_reset: "♻️ Default patterns",
+        imp_fail_video: "no video",
+        imp_fail_caption: "caption not recognized",
+        imp_fail_error: "error",
+        imp_fail_missing: "post not found",
+        imp_range_done: "🏁 Range {from}-{to} finished.",
+        imp_report_created: "📥 <b>Import result</b>\n\n✅ Added: <b>{count}</b>",
+        imp_report_duplicates: "♻️ Code taken (duplicate): <b>{count}</b>",
+        imp_report_failed: "❌ Not recognized: <b>{count}</b>",
+        btn_confirm_delete: "✅ Yes, delete",
+        trash_key_taken: "⚠️ This code/ID is taken now, it can't be restored!",
+        trash_title: "🗑 <b>Trash</b> ({total})\nDeleted items are purged after {days} days.\n",
+        trash_empty: "The trash is empty.",
+        audit_movie_add: "➕ Title added",
+        audit_movie_edit: "📝 Title edited",
+        audit_movie_delete: "🗑 Title deleted",
+        audit_episode_add: "➕ Episode added",
+        audit_episode_edit: "📺 Episode edited",
+        audit_episode_delete: "🗑 Episode deleted",
+        audit_episode_renumber: "♻️ Episodes renumbered",
+        audit_variant_add: "🎞 Quality added",
+        audit_variant_delete: "🎞 Quality deleted",
+        audit_channel_add: "📢 Channel added",
+        audit_channel_edit: "📢 Channel setting",
+        audit_channel_delete: "📢 Channel deleted",
+        audit_user_ban: "🚫 User ban",
+        audit_user_download: "📥 User download permission",
+        audit_setting_change: "⚙️ Setting changed",
+        audit_admin_add: "👮‍♂️ Admin added",
+        audit_admin_perm: "🔑 Admin permission",
+        audit_admin_delete: "👮‍♂️ Admin removed",
+        audit_broadcast_start: "📨 Broadcast started",
+        audit_broadcast_cancel: "📨 Broadcast cancelled",
+        audit_broadcast_stop: "🛑 Broadcast stopped",
+        audit_import: "📥 Bulk import",
+        audit_restore: "💾 Restore from backup",
+        audit_trash_restore: "♻️ Restored from trash",
+        audit_trash_purge: "❌ Purged from trash",
+        audit_campaign_set: "🎯 Campaign set",
+        audit_campaign_finish: "🎯 Campaign finished",
+        audit_request_fulfill: "✅ Request fulfilled",
+        audit_request_reject: "🚫 Request rejected",
+        audit_title: "📜 <b>Audit log</b> ({total})\n👤 {actor} | 🏷 {action}\n",
+        audit_all_admins: "All admins",
+        audit_all_actions: "All actions",
+        audit_empty: "No entries yet.",
+        audit_by_admin: "👤 By admin",
+        audit_by_action: "🏷 By action",
+        audit_clear: "♻️ Clear filter",
+        audit_choose_admin: "👤 <b>Choose an admin:</b>",
+        audit_choose_action: "🏷 <b>Choose an action type:</b>",
+        bk_btn_merge: "🔀 Merge (new only)",
+        bk_btn_restore: "♻️ Restore (update too)",
+        bk_plan_title: "🔍 <b>Restore plan (nothing has changed yet)</b>\n",
+        bk_plan_movies: "🎬 Titles (code)",
+        bk_plan_channels: "📢 Channels",
+        bk_plan_admins: "👮‍♂️ Admins",
+        bk_plan_create: "➕ New: {count}",
+        bk_plan_update: "✏️ Changed: {count}",
+        bk_plan_rest: "⏭ Unchanged: {unchanged} | ❌ Invalid: {invalid}",
+        bk_plan_settings_yes: "⚙️ Settings: in the file",
+        bk_plan_settings_no: "⚙️ Settings: none",
+        bk_plan_modes: "🔀 <b>Merge</b> — only new records are added.\n♻️ <b>Restore</b> — changed records are overwritten from the file too.",
+        bk_panel: "💾 <b>Backup</b>\n\nJSON: titles, channels, settings and admins.\nCSV: catalog only (for Excel).\nRestore works from JSON only, by code.",
+        bk_btn_json: "📤 JSON export",
+        bk_btn_csv: "📄 CSV catalog",
+        bk_btn_file: "📥 Restore from file",
+        ep_new_season: "➕ New season ({season})",
+        ep_season_prompt: "📂 <b>Which season should it go to?</b>\n(Press a button or send the season number)",
+        batch_prompt: "📦 <b>Send the episode videos for {season} one after another</b> (you can select several at once).\n\nPress \"✅ Finish\" when done — numbers follow the sending order, and the video caption becomes the episode name.",
+        ep_number_prompt: "🔢 <b>{season}: which episode number are you adding?</b>",
+        ep_btn_add: "➕ New episode",
+        ep_btn_batch: "📦 Upload several episodes",
+        ep_btn_insert: "🔢 Add episode (by number)",
+        ep_btn_renumber: "♻️ Renumber {season} (1..N)",
+        ep_list_title: "📂 <b>{title}</b> — {season} ({count} episodes)",
+        ep_missing: "⚠️ Missing: {numbers}",
+        ep_panel: "📺 <b>{title}</b> | {episode}\n\n🏷 Name: {name}\n💿 Quality: {qualities}\n📅 Added: {date}",
+        ep_btn_rename: "✍️ Name",
+        ep_btn_replace: "📹 Replace video",
+        ep_btn_delete: "🗑 Delete",
+        ep_btn_list: "🔙 Episodes",
+        ep_rename_prompt: "✍️ Send the new name for {episode}:",
+        ep_replace_prompt: "📹 Send the new video for {episode}:",
+        ep_delete_confirm: "✅ Yes, delete {episode}",
+        ep_deleted: "🗑 {episode} deleted",
+        ep_renumbered: "♻️ {season}: {count} episodes renumbered",
+        batch_done: "📦 <b>{season}: {count} episodes added:</b> {range}",
+        usr_panel: "👤 <b>User:</b> <a href=\"tg://user?id={id}\">{name}</a>\n🆔 <code>{id}</code>\n🚫 Banned: {banned}",
+        usr_btn_unban: "✅ Unban",
+        usr_btn_ban: "🚫 Ban",
+        usr_btn_dl_block: "🚷 Block downloads",
+        usr_btn_dl_allow: "📥 Allow downloads",
+        perm_movies: "🎬 Movies",
+        perm_channels: "📢 Channels",
+        perm_users: "👥 Users",
+        perm_broadcast: "📨 Broadcast",
+        perm_settings: "⚙️ Settings",
+        draft_add_content: "➕ Adding a movie/series",
+        draft_add_episode: "➕ Adding an episode",
+        draft_add_channel: "📢 Adding a channel",
+        draft_edit_field: "📝 Editing",
+        draft_add_variant: "🎞 Adding a quality",
+        draft_add_episode_batch: "📦 Uploading several episodes",
+        draft_edit_episode: "📺 Editing an episode",
+        draft_import: "📥 Bulk import",
+        draft_broadcast: "📨 Broadcast",
+        draft_video: "📤 <b>Send the video:</b>",
+        draft_ep_number: "🔢 <b>Which episode number are you adding?</b>",
+        draft_ep_video: "📤 <b>Send the next episode's video:</b>",
+        draft_ep_name: "✍️ <b>Enter the episode name:</b>",
+        draft_title: "📝 <b>Draft:</b> {action}\n",
+        draft_step: "📍 Step: <b>{step}</b>\n",
+        draft_name: "🏷 Title: {title}\n",
+        draft_expires: "⏳ Expires: {date}",
+        draft_btn_resume: "▶️ Continue",
+        draft_btn_discard: "🗑 Discard",
+        draft_value: "✍️ Send the value:",
+        draft_batch_continue: "📦 Keep sending the episode videos (received: {count}).",
+        draft_restarted: "♻️ <b>The bot was restarted.</b>",
+        seg_prompt_SEG_BIRTH: "🎂 <b>Birth year range:</b>\n(For example: <code>1995-2005</code>)",
+        seg_prompt_SEG_JOINED: "📅 <b>Join date range:</b>\n(For example: <code>01.01.2025-31.03.2025</code> or the last N days: <code>30</code>)",
+        seg_prompt_SEG_ACTIVE: "⚡️ <b>Active within how many days?</b>\n(For example: <code>7</code>)",
+        seg_prompt_SEG_WATCHED: "🎬 <b>Who watched which movie?</b> Send its code:\n(Users who downloaded it in the last {days} days or rated it. Downloads are recorded since this feature was added)",
+        seg_prompt_SCHEDULE: "⏰ <b>Send time (Tashkent):</b>\n(For example: <code>25.12.2025 18:30</code>)",
+        seg_birth_invalid: "❌ Format: <code>1995-2005</code>",
+        seg_joined_invalid: "❌ Format: <code>01.01.2025-31.03.2025</code> or <code>30</code>",
+        seg_days_invalid: "❌ Send a number of days (for example: <code>7</code>)",
+        seg_now: "now",
+        seg_days: "{days} days",
+        seg_all: "All users",
+        bc_audience: "📢 <b>Broadcast audience</b>\n\n🎯 {segment}\n👥 Recipients: <b>{count}</b>",
+        bc_seg_birth: "🎂 Birth year",
+        bc_seg_joined: "📅 Join date",
+        bc_seg_active: "⚡️ Activity",
+        bc_seg_watched: "🎬 Watched movie",
+        bc_seg_clear: "♻️ Clear filters",
+        bc_send_now: "✅ Send now ({count})",
+        bc_schedule: "⏰ Schedule",
+        bc_queued: "⏳ Another broadcast is running. Yours has been queued.",
+        bc_resumed: "♻️ Resuming the broadcast... (✅ {sent})",
+        bc_started: "🚀 Broadcast started...",
+        bc_btn_stop: "🛑 STOP",
+        bc_stopped: "🛑 <b>Broadcast stopped!</b>\n✅ Sent: {sent}",
+        bc_finished: "📊 <b>Finished:</b>",
+        bc_failed: "⚠️ The broadcast stopped with an error. Check its status in the history.",
+        bc_status_scheduled: "⏰ Scheduled",
+        bc_status_running: "🚀 Running",
+        bc_status_completed: "✅ Completed",
+        bc_status_stopped: "🛑 Stopped",
+        bc_status_failed: "⚠️ Failed",
+        bc_menu_title: "📨 <b>BROADCAST</b>",
+        bc_menu_running: "🚀 <b>Running now:</b>",
+        bc_menu_scheduled: "⏰ <b>Scheduled:</b>",
+        bc_btn_new: "➕ New broadcast",
+        bc_btn_history: "📜 History",
+        bc_history_title: "📜 <b>Broadcast history</b> ({total})\n",
+        bc_history_empty: "No broadcasts have been sent yet.",
+        campaign_prompt: "🎯 Campaign for <b>{name}</b>:\n\n• Goal (joins via the bot): <code>500</code>\n• End date: <code>31.12.2026 23:59</code>\n• Both: <code>500 31.12.2026</code>\n• Remove the campaign: <code>-</code>\n\nWhichever comes first, the channel is removed from required subscriptions and admins are notified.",
+        campaign_current: "📊 Current status:",
+        campaign_invalid: "❌ Invalid format or the date has passed. For example: <code>500</code>, <code>31.12.2026 23:59</code> or <code>500 31.12.2026</code>",
+        campaign_set: "✅ Campaign set!",
+        campaign_removed: "✅ Campaign removed.",
+        channel_not_found: "❌ Channel not found.",
+        req_state_busy: "⚠️ You have an unfinished action. Finish or cancel it first.",
+        rq_title: "📝 <b>Movie requests</b>\n\n📂 Open: <b>{total}</b> | ✅ Fulfilled: <b>{fulfilled}</b>",
+        rq_top: "👇 Most requested:",
+        rq_empty: "There are no open requests yet.",
+        rq_details: "📝 <b>{title}</b>\n\n👥 Requested by: <b>{votes}</b>\n📅 First request: {first}\n🕒 Latest: {last}",
+        rq_btn_fulfill: "✅ Fulfilled (attach a code)",
+        rq_btn_reject: "🚫 Reject",
+        rq_not_found: "❌ Request not found or already closed",
+        rq_rejected: "🚫 Request rejected",
+        rq_fulfill_prompt: "🔢 Send the code of the movie/series added for <b>{title}</b>:\n(All {votes} requesters will get its card)",
+        rq_fulfill_bad_code: "❌ No movie with that code. Send it again:",
+        rq_fulfill_done: "✅ <b>{title}</b> ➜ <b>{movie}</b> ({code})\n\n📨 Notifying {votes} requesters..."
+    }
 };
 
+function t(lang, key, params = {}) {
+    const str = I18N[lang]?.[key] ?? I18N.uz[key] ?? key;
+    return str.replace(/\{(\w+)\}/g, (m, name) => params[name] ?? m);
+}
+
+function userLang(user) {
+    return user?.language || CONFIG.defaultLanguage;
+}
+
+// Callbacklarda user hujjati yuklanmaydi, shuning uchun til qisqa muddat keshlanadi
+async function getLang(userId) {
+    const cached = langCache.get(userId);
+    if (cached && cached.expire > Date.now()) return cached.lang;
+    const user = await User.findOne({ telegramId: userId }, { language: 1 }).lean();
+    const lang = userLang(user);
+    langCache.set(userId, { lang, expire: Date.now() + CONFIG.langCacheTTL });
+    return lang;
+}
+
+// Telegram mijozi tiliga qarab boshlang'ich tanlov (uk, be, kk - rus tiliga yaqin)
+function detectLanguage(code) {
+    const lang = (code || '').slice(0, 2);
+    if (CONFIG.languages.includes(lang)) return lang;
+    return ['uk', 'be', 'kk', 'ky', 'tg'].includes(lang) ? 'ru' : CONFIG.defaultLanguage;
+}
+
+function buildLanguageKeyboard(current) {
+    return {
+        inline_keyboard: [CONFIG.languages.map(l => ({
+            text: `${l === current ? '✅ ' : ''}${I18N[l].lang_name}`,
+            callback_data: `lang_set_${l}`
+        }))]
+    };
+}
+
+function buildBirthYearPrompt(lang) {
+    return `${t(lang, 'birth_ask')}\n\n${t(lang, 'lang_choose')}`;
+}
+
+// Tahrirlash panelidagi tarjima nom maydonlari (ed_f_titleRu_) -> Movie.titles kaliti
+const TITLE_FIELDS = { titleRu: 'ru', titleEn: 'en' };
+
+function movieTitle(movie, lang) {
+    return movie.titles?.[lang] || movie.title;
+}
+
+function genreName(genre, lang) {
+    const idx = GENRES.indexOf(genre);
+    return idx === -1 ? genre : (I18N[lang]?.genres || GENRES)[idx];
+}
+
+function cancelBtn(lang) {
+    return { reply_markup: { inline_keyboard: [[{ text: t(lang, 'btn_cancel'), callback_data: "cancel_action" }]] } };
+}
+
 bot.getMe().then(u => {
     BOT_USERNAME = u.username;
     console.log(`🚀 Secure Bot Started: @${BOT_USERNAME}`);
@@ -268,14 +2166,27 @@ bot.on('message', async (msg) => {
     const chatId = msg.chat.id;
     const text = (msg.text || msg.caption || '').trim();
 
-    if (isFlooding(chatId)) return;
+    // Ko'p qismli yuklash va importda videolar ketma-ket keladi, ularni flood deb hisoblamaymiz
+    const isBatchUpload = msg.video && ['ADD_EPISODE_BATCH', 'IMPORT'].includes(state.get(chatId)?.action);
+    if (!isBatchUpload && isFlooding(chatId)) return;
 
     try {
-        let user = await User.findOneAndUpdate(
+        const upsert = await User.findOneAndUpdate(
             { telegramId: chatId },
-            { $setOnInsert: { firstName: sanitize(msg.from.first_name), username: msg.from.username }, isActive: true },
-            { upsert: true, new: true, setDefaultsOnInsert: true }
+            { $setOnInsert: { firstName: sanitize(msg.from.first_name), username: msg.from.username, language: detectLanguage(msg.from.language_code) }, isActive: true, lastActiveAt: new Date() },
+            { upsert: true, new: true, setDefaultsOnInsert: true, includeResultMetadata: true }
         );
+        let user = upsert.value;
+        const lang = userLang(user);
+        // /start argumenti: kino kodi (123) yoki referal (ref_123)
+        const startArg = text.startsWith('/start ') ? text.split(' ')[1] : null;
+        const startCode = startArg && /^\d+$/.test(startArg) ? startArg : null;
+
+        if (!upsert.lastErrorObject?.updatedExisting) {
+            trackEvent('join', chatId);
+            const ref = startArg?.match(/^ref_(\d+)$/);
+            if (ref) await recordReferral(user, parseInt(ref[1]));
+        }
 
         if (user.isBanned) return;
 
@@ -286,61 +2197,99 @@ bot.on('message', async (msg) => {
             // [SECURITY FIX] Sessiya vaqtini tekshirish
             if (Date.now() - (st.timestamp || 0) > CONFIG.stateTTL) {
                 state.delete(chatId);
-                return safeSend(chatId, "⚠️ Sessiya vaqti tugadi. Qaytadan urinib ko'ring.");
+                return safeSend(chatId, t(lang, 'session_expired'));
             }
 
             if (st.action === 'ASK_BIRTH_YEAR') {
                 const year = parseInt(text);
                 const currentYear = new Date().getFullYear();
                 if (isNaN(year) || year < 1950 || year > currentYear) {
-                    return safeSend(chatId, `❌ Iltimos, to'g'ri yil kiriting (1950-${currentYear}):`);
+                    return safeSend(chatId, t(lang, 'birth_invalid', { max: currentYear }), { reply_markup: buildLanguageKeyboard(lang) });
                 }
                 user.birthYear = year;
                 await user.save();
                 const pendingCode = st.pendingCode;
                 state.delete(chatId);
-                await safeSend(chatId, "✅ Ma'lumot saqlandi! Botdan foydalanishingiz mumkin.");
+                await safeSend(chatId, t(lang, 'birth_saved'));
                 if (pendingCode) await handleMovieCodeRequest(chatId, pendingCode, user);
                 return;
             }
 
+            if (st.action === 'REQUEST_TITLE') {
+                state.delete(chatId);
+                // Boshqa buyruq yuborilsa so'rov bekor bo'ladi va buyruq odatdagidek bajariladi
+                if (!text.startsWith('/')) return submitMovieRequest(chatId, user, text);
+            }
             // Admin inputs
-            if (await isUserAdmin(chatId)) {
+            else if (await isUserAdmin(chatId)) {
                 await handleAdminInput(chatId, msg);
                 return;
             }
         }
 
         if (!user.birthYear) {
-            const args = text.startsWith('/start ') ? text.split(' ')[1] : null;
-            state.set(chatId, { action: 'ASK_BIRTH_YEAR', timestamp: Date.now(), pendingCode: args });
-            return safeSend(chatId, "👋 Assalomu alaykum! <b>Tug'ilgan yilingizni</b> yozing (Masalan: 2004):", { parse_mode: 'HTML' });
+            state.set(chatId, { action: 'ASK_BIRTH_YEAR', timestamp: Date.now(), pendingCode: startCode });
+            return safeSend(chatId, buildBirthYearPrompt(lang), { parse_mode: 'HTML', reply_markup: buildLanguageKeyboard(lang) });
         }
 
         if (text.startsWith('/start')) {
             await safeDelete(chatId, user.lastMessageId);
-            const args = text.split(' ')[1];
 
             const missing = await checkSubscription(chatId);
             if (missing.length > 0) {
-                if (args) state.set(chatId, { action: 'WAITING_SUB', pendingCode: args, timestamp: Date.now() });
+                if (startCode) state.set(chatId, { action: 'WAITING_SUB', pendingCode: startCode, timestamp: Date.now() });
                 return sendSubRequest(chatId, missing);
             }
 
-            if (args && /^\d+$/.test(args)) return showMovieCard(chatId, args, user);
+            if (startCode) return showMovieCard(chatId, startCode, user);
             if (await isUserAdmin(chatId)) return showAdminPanel(chatId);
 
             const codesChannel = await Channel.findOne({ type: 'movie_codes' });
-            return safeSend(chatId, `🎬 <b>Professional Kino Bot</b>\n\n🔎 Kino kodini yuboring:`, {
+            return safeSend(chatId, t(lang, 'welcome'), {
                 parse_mode: 'HTML',
-                reply_markup: { inline_keyboard: [[{ text: "📂 Kino Kodlari Kanali", url: codesChannel ? codesChannel.url : `https://t.me/${BOT_USERNAME}` }]] }
+                reply_markup: {
+                    inline_keyboard: [
+                        [{ text: t(lang, 'btn_catalog'), callback_data: "cat_home" }],
+                        Object.keys(DISCOVERY_LISTS).map(k => ({ text: t(lang, `disc_${k}`), callback_data: `disc_${k}_0` })),
+                        [{ text: t(lang, 'btn_invite'), callback_data: "ref_me" }],
+                        [{ text: t(lang, 'btn_codes_channel'), url: codesChannel ? codesChannel.url : `https://t.me/${BOT_USERNAME}` }]
+                    ]
+                }
             });
         }
 
+        if (text === '/lang') return safeSend(chatId, t(lang, 'lang_choose'), { reply_markup: buildLanguageKeyboard(lang) });
+
         if (text === '/admin' && await isUserAdmin(chatId)) return showAdminPanel(chatId);
 
+        if (text === '/favorites') return showFavorites(chatId, user);
+
+        if (text === '/referral') return showReferralScreen(chatId);
+
+        if (text === '/request' || text.startsWith('/request ')) {
+            const missing = await checkSubscription(chatId);
+            if (missing.length > 0) return sendSubRequest(chatId, missing);
+            const title = text.slice('/request'.length).trim();
+            if (title) return submitMovieRequest(chatId, user, title);
+            return promptMovieRequest(chatId, lang);
+        }
+
+        if (text === '/catalog') {
+            const missing = await checkSubscription(chatId);
+            if (missing.length > 0) return sendSubRequest(chatId, missing);
+            return showCatalogMenu(chatId);
+        }
+
+        if (['/top', '/popular', '/new'].includes(text)) {
+            const missing = await checkSubscription(chatId);
+            if (missing.length > 0) return sendSubRequest(chatId, missing);
+            return showDiscoveryList(chatId, text.slice(1));
+        }
+
         if (/^\d+$/.test(text)) {
             await handleMovieCodeRequest(chatId, text, user);
+        } else if (msg.text && !text.startsWith('/') && text.length >= 2) {
+            await handleSearchRequest(chatId, text, user);
         }
 
     } catch (e) {
@@ -357,6 +2306,32 @@ async function handleMovieCodeRequest(chatId, codeStr, user) {
     await showMovieCard(chatId, codeStr, user);
 }
 
+// Tugmalar orqali ochiladigan ro'yxatlar ham buyruqlar kabi obunani talab qiladi
+async function ensureSubscribed(chatId) {
+    const missing = await checkSubscription(chatId);
+    if (missing.length > 0) await sendSubRequest(chatId, missing);
+    return missing.length === 0;
+}
+
+async function handleSearchRequest(chatId, query, user) {
+    const missing = await checkSubscription(chatId);
+    if (missing.length > 0) return sendSubRequest(chatId, missing);
+
+    const conf = await Settings.findOne({ key: 'config' }) || { hideAdultContent: true };
+    const results = await searchMovies(query, { excludeAdult: conf.hideAdultContent && isMinor(user) });
+    if (!results.length) {
+        // "So'rov qoldirish" tugmasi uchun so'rov matni keshda qoladi
+        searchCache.set(chatId, { query: sanitize(query), raw: query, results: [], expire: Date.now() + CONFIG.searchTTL });
+        return safeSend(chatId, t(userLang(user), 'search_empty', { query: sanitize(query) }), {
+            parse_mode: 'HTML',
+            reply_markup: { inline_keyboard: [[{ text: t(userLang(user), 'btn_request'), callback_data: "req_srch" }]] }
+        });
+    }
+    searchCache.set(chatId, { query: sanitize(query), results, expire: Date.now() + CONFIG.searchTTL });
+    const view = buildSearchResultsView(chatId, 0, userLang(user));
+    safeSend(chatId, view.text, { parse_mode: 'HTML', reply_markup: view.markup });
+}
+
 // ==========================================
 // 5. ADMIN LOGIC (UPDATED)
 // ==========================================
@@ -364,82 +2339,80 @@ async function handleMovieCodeRequest(chatId, codeStr, user) {
 async function handleAdminInput(chatId, msg) {
     const st = state.get(chatId);
     const text = (msg.text || msg.caption || '').trim();
+    const lang = await getLang(chatId);
 
     if (st.permissionRequired && !await hasPermission(chatId, st.permissionRequired)) {
         state.delete(chatId);
-        return safeSend(chatId, "⛔️ Ushbu amal uchun ruxsat yo'q!");
+        return safeSend(chatId, t(lang, 'perm_denied'));
     }
 
     try {
         if (st.action === 'ADD_CONTENT') {
             if (st.step === 'VIDEO') {
-                if (!msg.video) return safeSend(chatId, "❌ Video yuboring!", CANCEL_BTN);
+                if (!msg.video) return safeSend(chatId, t(lang, 'video_required'), cancelBtn(lang));
                 st.data = {
                     fileId: msg.video.file_id,
                     quality: detectQuality(msg.video.width),
                     duration: formatDuration(msg.video.duration)
                 };
                 st.step = 'POSTER';
-                safeSend(chatId, "🖼 <b>Poster (Rasm) yuboring:</b>", { parse_mode: 'HTML', ...CANCEL_BTN });
+                safeSend(chatId, t(lang, 'add_poster'), { parse_mode: 'HTML', ...cancelBtn(lang) });
             }
             else if (st.step === 'POSTER') {
-                if (!msg.photo) return safeSend(chatId, "❌ Rasm yuboring!", CANCEL_BTN);
+                if (!msg.photo) return safeSend(chatId, t(lang, 'photo_required'), cancelBtn(lang));
                 st.data.posterId = msg.photo[msg.photo.length - 1].file_id;
                 st.step = 'TITLE';
-                safeSend(chatId, "✍️ <b>Nomini yozing:</b>", { parse_mode: 'HTML', ...CANCEL_BTN });
+                safeSend(chatId, t(lang, 'add_title'), { parse_mode: 'HTML', ...cancelBtn(lang) });
             }
             else if (st.step === 'TITLE') {
                 st.data.title = sanitize(text);
                 st.step = 'COUNTRY';
-                safeSend(chatId, "🌍 <b>Davlat:</b>", { parse_mode: 'HTML', ...CANCEL_BTN });
+                safeSend(chatId, t(lang, 'add_country'), { parse_mode: 'HTML', ...cancelBtn(lang) });
             }
             else if (st.step === 'COUNTRY') {
                 st.data.country = sanitize(text);
                 st.step = 'LANG';
-                safeSend(chatId, "🗣 <b>Til:</b>", { parse_mode: 'HTML', ...CANCEL_BTN });
+                safeSend(chatId, t(lang, 'add_language'), { parse_mode: 'HTML', ...cancelBtn(lang) });
             }
             else if (st.step === 'LANG') {
                 st.data.language = sanitize(text);
-                st.step = 'ADULT';
-                safeSend(chatId, "🔞 <b>Yosh chegarasi (18+)?</b>", {
+                st.step = 'YEAR';
+                safeSend(chatId, t(lang, 'add_year'), { parse_mode: 'HTML', ...cancelBtn(lang) });
+            }
+            else if (st.step === 'YEAR') {
+                if (text !== '-') {
+                    const year = parseInt(text);
+                    if (!isValidReleaseYear(year)) return safeSend(chatId, t(lang, 'add_year_invalid', { max: new Date().getFullYear() + 1 }), { parse_mode: 'HTML', ...cancelBtn(lang) });
+                    st.data.releaseYear = year;
+                }
+                st.data.genres = [];
+                st.step = 'GENRES';
+                safeSend(chatId, t(lang, 'add_genres'), {
                     parse_mode: 'HTML',
-                    reply_markup: {
-                        inline_keyboard: [
-                            [{ text: "✅ Ha", callback_data: "adult_yes" }, { text: "❌ Yo'q", callback_data: "adult_no" }],
-                            [{ text: "🚫 Bekor qilish", callback_data: "cancel_action" }]
-                        ]
-                    }
+                    reply_markup: buildGenreKeyboard(st.data.genres, i => `gen_t_${i}`, 'gen_done', lang)
                 });
             }
             else if (st.step === 'CODE') {
                 const code = parseInt(text);
-                if (isNaN(code)) return safeSend(chatId, "❌ Faqat raqam!");
-                if (await Movie.findOne({ code })) return safeSend(chatId, "⚠️ Bu kod band! Boshqa kod yozing.");
+                if (isNaN(code)) return safeSend(chatId, t(lang, 'add_code_nan'));
+                if (await Movie.findOne({ code })) return safeSend(chatId, t(lang, 'add_code_taken'));
+                if (await Trash.exists({ kind: 'movie', key: String(code) })) return safeSend(chatId, t(lang, 'add_code_trash'));
 
                 const finalData = { code, ...st.data, addedBy: chatId, contentType: st.contentType };
+                const variant = { quality: st.data.quality, fileId: st.data.fileId, duration: st.data.duration };
                 if (st.contentType === 'series') {
-                    finalData.episodes = [{ number: 1, fileId: st.data.fileId, name: '1-qism' }];
+                    finalData.episodes = [{ season: 1, number: 1, fileId: st.data.fileId, variants: [variant], name: '1-qism' }];
                     delete finalData.fileId;
+                } else {
+                    finalData.variants = [variant];
                 }
                 const movie = await Movie.create(finalData);
+                logAudit(chatId, 'movie_add', `#${code}`, null, { title: movie.title, contentType: movie.contentType });
 
-                // Auto Post logic
                 const settings = await Settings.findOne({ key: 'config' });
-                if (settings?.autoPost) {
-                    const codesChannel = await Channel.findOne({ type: 'movie_codes' });
-                    if (codesChannel) {
-                        const typeEmoji = st.contentType === 'series' ? '📺 SERIAL' : '🎬 KINO';
-                        const caption = `${typeEmoji} <b>${movie.title}</b>\n\n🌍 ${movie.country} | 🗣 ${movie.language}\n💿 ${movie.quality} | ⏳ ${movie.duration}\n\n👇 Tomosha qilish:\nhttps://t.me/${BOT_USERNAME}?start=${code}`;
-                        try {
-                            await bot.sendPhoto(codesChannel.channelId, movie.posterId, {
-                                caption, parse_mode: 'HTML',
-                                reply_markup: { inline_keyboard: [[{ text: "▶️ TOMOSHA QILISH", url: `https://t.me/${BOT_USERNAME}?start=${code}` }]] }
-                            });
-                        } catch (e) { console.error("AutoPost Error:", e.message); }
-                    }
-                }
+                if (settings?.autoPost) await publishMovie(movie);
                 state.delete(chatId);
-                safeSend(chatId, `✅ <b>${st.contentType === 'series' ? 'Serial' : 'Kino'} qo'shildi!</b> Kod: ${code}`, { parse_mode: 'HTML' });
+                safeSend(chatId, t(lang, st.contentType === 'series' ? 'add_done_series' : 'add_done_movie', { code }), { parse_mode: 'HTML' });
                 showAdminPanel(chatId);
             }
         }
@@ -447,34 +2420,181 @@ async function handleAdminInput(chatId, msg) {
             const movie = await Movie.findById(st.movieId);
             if (!movie) {
                 state.delete(chatId);
-                return safeSend(chatId, "❌ Serial bazadan topilmadi.");
+                return safeSend(chatId, t(lang, 'series_not_found'));
             }
 
-            if (st.step === 'VIDEO') {
-                if (!msg.video) return safeSend(chatId, "❌ Video (keyingi qism) yuboring!", CANCEL_BTN);
+            if (st.step === 'SEASON') {
+                const season = parseInt(text);
+                if (isNaN(season) || season < 1) return promptEpisodeSeason(chatId, movie);
+                return selectEpisodeSeason(chatId, st, season);
+            }
+            else if (st.step === 'NUMBER') {
+                const num = parseInt(text);
+                if (isNaN(num) || num < 1) return safeSend(chatId, t(lang, 'ep_number_invalid'), cancelBtn(lang));
+                const label = episodeLabel({ season: st.season, number: num }, lang);
+                if (findEpisode(movie, st.season, num)) return safeSend(chatId, t(lang, 'ep_exists', { episode: label }), cancelBtn(lang));
+                st.epNum = num;
+                st.step = 'VIDEO';
+                return safeSend(chatId, t(lang, 'ep_video', { episode: label }), { parse_mode: 'HTML', ...cancelBtn(lang) });
+            }
+            else if (st.step === 'VIDEO') {
+                if (!msg.video) return safeSend(chatId, t(lang, 'video_required'), cancelBtn(lang));
                 st.tempEpisodeData = {
                     fileId: msg.video.file_id,
                     quality: detectQuality(msg.video.width)
                 };
                 st.step = 'NAME';
-                const nextEpNum = movie.episodes.length + 1;
-                safeSend(chatId, `✍️ <b>${nextEpNum}-qism uchun nom yozing:</b>\n(Masalan: <i>Qasos onlari</i> yoki shunchaki <i>${nextEpNum}-qism</i>)`, { parse_mode: 'HTML', ...CANCEL_BTN });
+                const nextEpNum = st.epNum || nextEpisodeNumber(movie, st.season);
+                safeSend(chatId, t(lang, 'ep_name', { episode: episodeLabel({ season: st.season, number: nextEpNum }, lang), number: nextEpNum }), { parse_mode: 'HTML', ...cancelBtn(lang) });
             }
             else if (st.step === 'NAME') {
-                const nextEpNum = movie.episodes.length + 1;
+                const nextEpNum = st.epNum || nextEpisodeNumber(movie, st.season);
+                if (findEpisode(movie, st.season, nextEpNum)) {
+                    state.delete(chatId);
+                    return safeSend(chatId, t(lang, 'ep_exists_done', { episode: episodeLabel({ season: st.season, number: nextEpNum }, lang) }));
+                }
                 const epName = sanitize(text);
-                movie.episodes.push({
+                const episode = {
+                    season: st.season,
                     number: nextEpNum,
                     fileId: st.tempEpisodeData.fileId,
+                    variants: [{ quality: st.tempEpisodeData.quality, fileId: st.tempEpisodeData.fileId }],
                     name: epName,
                     addedAt: Date.now()
-                });
+                };
+                movie.episodes.push(episode);
+                sortEpisodes(movie);
                 movie.quality = st.tempEpisodeData.quality;
                 await movie.save();
                 state.delete(chatId);
-                safeSend(chatId, `✅ <b>${nextEpNum}-qism ("${epName}") muvaffaqiyatli qo'shildi!</b>`);
+                logAudit(chatId, 'episode_add', `#${movie.code} ${episodeRef(episode)}`, null, { name: epName });
+                safeSend(chatId, t(lang, 'ep_added', { episode: episodeLabel(episode, lang), name: epName }), { parse_mode: 'HTML' });
                 showEditMoviePanel(chatId, movie._id);
+                notifyFavoriteSubscribers(movie, episode);
+                announceNewEpisode(movie, episodeLabel(episode));
+            }
+        }
+
+        else if (st.action === 'ADD_EPISODE_BATCH') {
+            if (st.step === 'SEASON') {
+                const season = parseInt(text);
+                if (isNaN(season) || season < 1) return promptEpisodeSeason(chatId, await Movie.findById(st.movieId));
+                return selectEpisodeSeason(chatId, st, season);
+            }
+            if (!msg.video) return safeSend(chatId, t(lang, 'batch_video_required'), { reply_markup: buildBatchKeyboard(lang) });
+            st.timestamp = Date.now(); // Uzoq yuklashlarda sessiya tugab qolmasin
+
+            // Videolar parallel ishlanadi va istalgan tartibda yetib keladi: raqamlar "✅ Tugatish"da message_id tartibida beriladi
+            (st.uploads ||= []).push({
+                messageId: msg.message_id,
+                fileId: msg.video.file_id,
+                quality: detectQuality(msg.video.width),
+                duration: formatDuration(msg.video.duration),
+                name: sanitize(msg.caption)
+            });
+            safeSend(chatId, t(lang, 'batch_received', { count: st.uploads.length }), { reply_to_message_id: msg.message_id, reply_markup: buildBatchKeyboard(lang) });
+        }
+
+        else if (st.action === 'EDIT_EPISODE') {
+            const movie = await Movie.findById(st.movieId);
+            const episode = movie && findEpisode(movie, st.season, st.epNum);
+            if (!episode) {
+                state.delete(chatId);
+                return safeSend(chatId, t(lang, 'episode_not_found'));
+            }
+
+            const before = st.field === 'name' ? { name: episode.name } : { fileId: episode.fileId };
+            if (st.field === 'name') {
+                episode.name = sanitize(text);
+            } else if (st.field === 'video') {
+                if (!msg.video) return safeSend(chatId, t(lang, 'video_required'), cancelBtn(lang));
+                const variant = { quality: detectQuality(msg.video.width), fileId: msg.video.file_id, duration: formatDuration(msg.video.duration) };
+                replacePrimaryVariant(episode, variant);
+            }
+            await movie.save();
+            logAudit(chatId, 'episode_edit', `#${movie.code} ${episodeRef(episode)}`, before, st.field === 'name' ? { name: episode.name } : { fileId: episode.fileId });
+            state.delete(chatId);
+            safeSend(chatId, t(lang, 'edit_saved'));
+            showEpisodePanel(chatId, movie._id, episodeRef(episode));
+        }
+
+        else if (st.action === 'ADD_VARIANT') {
+            const movie = await Movie.findById(st.movieId);
+            if (!movie) {
+                state.delete(chatId);
+                return safeSend(chatId, t(lang, 'movie_not_found'));
+            }
+
+            if (st.step === 'EPISODE') {
+                const ref = parseEpisodeRef(text);
+                const episode = ref && findEpisode(movie, ref.season, ref.number);
+                if (!episode) return safeSend(chatId, t(lang, 'var_episode_invalid'), { parse_mode: 'HTML', ...cancelBtn(lang) });
+                st.season = ref.season;
+                st.epNum = ref.number;
+                st.step = 'VIDEO';
+                return safeSend(chatId, t(lang, 'var_video_episode', { episode: episodeLabel(episode, lang) }), { parse_mode: 'HTML', ...cancelBtn(lang) });
+            }
+
+            if (!msg.video) return safeSend(chatId, t(lang, 'video_required'), cancelBtn(lang));
+            const variant = {
+                quality: sanitize((msg.caption || '').trim().slice(0, 20)) || detectQuality(msg.video.width), // Tugma matni bo'ladi - qisqa
+                fileId: msg.video.file_id,
+                duration: formatDuration(msg.video.duration)
+            };
+            const target = st.epNum ? findEpisode(movie, st.season || 1, st.epNum) : movie;
+            if (!target) {
+                state.delete(chatId);
+                return safeSend(chatId, t(lang, 'episode_not_found'));
+            }
+            addVideoVariant(target, variant, movie.quality);
+            await movie.save();
+            syncChannelPosts(movie);
+            logAudit(chatId, 'variant_add', st.epNum ? `#${movie.code} ${st.season || 1}x${st.epNum}` : `#${movie.code}`, null, { quality: variant.quality });
+            state.delete(chatId);
+            safeSend(chatId, t(lang, 'var_added', { quality: variant.quality }), { parse_mode: 'HTML' });
+            showEditMoviePanel(chatId, movie._id);
+        }
+
+        else if (st.action === 'FULFILL_REQUEST') {
+            const code = parseInt(text);
+            const movie = !isNaN(code) && await Movie.findOne({ code });
+            if (!movie) return safeSend(chatId, t(lang, 'rq_fulfill_bad_code'), cancelBtn(lang));
+
+            const request = await MovieRequest.findOneAndUpdate(
+                { _id: st.requestId, status: 'open' },
+                { status: 'fulfilled', code, resolvedBy: chatId, resolvedAt: new Date() },
+                { new: true }
+            );
+            state.delete(chatId);
+            if (!request) return safeSend(chatId, t(lang, 'rq_not_found'));
+
+            logAudit(chatId, 'request_fulfill', request.title, { status: 'open' }, { status: 'fulfilled', code, votes: request.votes });
+            await safeSend(chatId, t(lang, 'rq_fulfill_done', { title: request.title, movie: movieTitle(movie, lang), code, votes: request.votes }), { parse_mode: 'HTML' });
+            notifyRequesters(request, movie);
+            showRequestsPanel(chatId, 0);
+        }
+        else if (st.action === 'SET_CAMPAIGN') {
+            const ch = await Channel.findById(st.channelId);
+            if (!ch) {
+                state.delete(chatId);
+                return safeSend(chatId, t(lang, 'channel_not_found'));
             }
+            const before = { ...ch.toObject().campaign, isActive: ch.isActive };
+            if (text === '-') {
+                ch.campaign = { joins: 0 };
+            } else {
+                const input = parseCampaignInput(text);
+                if (!input) return safeSend(chatId, t(lang, 'campaign_invalid'), { parse_mode: 'HTML', ...cancelBtn(lang) });
+                ch.campaign = { ...input, joins: 0, startedAt: new Date(), finishedAt: null };
+            }
+            ch.isActive = true; // Yangi kampaniya (yoki olib tashlash) kanalni yana majburiy qiladi
+            await ch.save();
+            await SubPrompt.deleteMany({ channelId: ch.channelId }); // Oldingi so'rovlar yangi kampaniyaga yozilmaydi
+            subCache.clear();
+            logAudit(chatId, 'campaign_set', ch.channelId, before, { ...ch.toObject().campaign, isActive: true });
+            state.delete(chatId);
+            await safeSend(chatId, hasCampaign(ch) ? `${t(lang, 'campaign_set')}\n\n${describeCampaign(ch, lang)}` : t(lang, 'campaign_removed'));
+            showChannelsPanel(chatId);
         }
 
         // --- UPDATED ADD CHANNEL LOGIC ---
@@ -482,7 +2602,7 @@ async function handleAdminInput(chatId, msg) {
             if (st.step === 'NAME') {
                 st.data = { name: sanitize(text) };
                 st.step = 'URL';
-                safeSend(chatId, "🔗 <b>Kanal Usernamesi yoki Linkini yuboring:</b>\n(Masalan: <i>@kinolar</i> yoki <i>https://t.me/kinolar</i>)", { parse_mode: 'HTML', ...CANCEL_BTN });
+                safeSend(chatId, t(lang, 'ch_url_prompt'), { parse_mode: 'HTML', ...cancelBtn(lang) });
             }
             else if (st.step === 'URL') {
                 let username = text;
@@ -496,11 +2616,15 @@ async function handleAdminInput(chatId, msg) {
 
                 let channelId = null;
                 let chatTitle = st.data.name;
+                let url = text.startsWith('http') ? text : `https://t.me/${username.slice(1)}`;
 
                 try {
                     // Agar user to'g'ridan to'g'ri ID yuborsa (-100...)
                     if (/^-100\d+$/.test(text)) {
                         channelId = text;
+                        // Yopiq kanal: so'rov orqali qo'shiladigan havola yaratamiz (so'rov yuborgan user a'zo deb hisoblanadi)
+                        const link = await bot.createChatInviteLink(channelId, { name: 'Kino bot', creates_join_request: true });
+                        url = link.invite_link;
                     } else {
                         // Username orqali ID ni aniqlash
                         const chat = await bot.getChat(username);
@@ -511,17 +2635,19 @@ async function handleAdminInput(chatId, msg) {
 
                     await Channel.findOneAndUpdate(
                         { channelId: channelId },
-                        { channelId: channelId, name: st.data.name, url: text, type: st.type },
+                        { channelId: channelId, name: st.data.name, url, type: st.type },
                         { upsert: true }
                     );
+                    subCache.clear();
 
+                    logAudit(chatId, 'channel_add', channelId, null, { name: st.data.name, url, type: st.type });
                     state.delete(chatId);
-                    safeSend(chatId, `✅ <b>Kanal muvaffaqiyatli qo'shildi!</b>\n\n🆔 ID: ${channelId}\n🏷 Nom: ${st.data.name}`, { parse_mode: 'HTML' });
+                    safeSend(chatId, t(lang, 'ch_added', { id: channelId, name: st.data.name }), { parse_mode: 'HTML' });
                     showChannelsPanel(chatId);
 
                 } catch (e) {
                     console.error("Channel Add Error:", e.message);
-                    safeSend(chatId, "❌ <b>Xatolik!</b>\n\n1. Bot kanalga <b>Admin</b> qilinganmi?\n2. Username/Link to'g'rimi?\n3. Agar bu 'Private' kanal bo'lsa, iltimos to'g'ridan-to'g'ri <b>ID raqamini</b> (-100...) yuboring.", { parse_mode: 'HTML', ...CANCEL_BTN });
+                    safeSend(chatId, t(lang, 'ch_add_error'), { parse_mode: 'HTML', ...cancelBtn(lang) });
                 }
             }
         }
@@ -529,56 +2655,130 @@ async function handleAdminInput(chatId, msg) {
         else if (st.action === 'EDIT_SEARCH') {
             const code = parseInt(text);
             const movie = await Movie.findOne({ code });
-            if (!movie) return safeSend(chatId, "❌ Topilmadi.");
+            if (!movie) return safeSend(chatId, t(lang, 'not_found'));
             state.delete(chatId);
             showEditMoviePanel(chatId, movie._id);
         }
         else if (st.action === 'EDIT_FIELD') {
             const movie = await Movie.findById(st.movieId);
             if (movie) {
+                const path = TITLE_FIELDS[st.field] ? `titles.${TITLE_FIELDS[st.field]}` : st.field;
+                const before = movie.get(path);
                 if (st.field === 'title') movie.title = sanitize(text);
+                else if (TITLE_FIELDS[st.field]) movie.set(path, text === '-' ? undefined : sanitize(text));
                 else if (st.field === 'country') movie.country = sanitize(text);
+                else if (st.field === 'language') movie.language = sanitize(text);
+                else if (st.field === 'releaseYear') {
+                    const year = parseInt(text);
+                    if (!isValidReleaseYear(year)) return safeSend(chatId, t(lang, 'year_invalid', { max: new Date().getFullYear() + 1 }), cancelBtn(lang));
+                    movie.releaseYear = year;
+                }
                 else if (st.field === 'posterId') {
                     if (msg.photo) movie.posterId = msg.photo[msg.photo.length - 1].file_id;
-                    else return safeSend(chatId, "❌ Iltimos, rasm yuboring!", CANCEL_BTN);
+                    else return safeSend(chatId, t(lang, 'photo_required'), cancelBtn(lang));
                 }
                 else if (st.field === 'fileId' && movie.contentType === 'movie') {
                     if (msg.video) {
-                        movie.fileId = msg.video.file_id;
                         movie.quality = detectQuality(msg.video.width);
                         movie.duration = formatDuration(msg.video.duration);
-                    } else return safeSend(chatId, "❌ Video fayl yuboring!", CANCEL_BTN);
+                        replacePrimaryVariant(movie, { quality: movie.quality, fileId: msg.video.file_id, duration: movie.duration });
+                    } else return safeSend(chatId, t(lang, 'video_required'), cancelBtn(lang));
                 }
                 await movie.save();
-                safeSend(chatId, "✅ Muvaffaqiyatli o'zgartirildi!");
+                logAudit(chatId, 'movie_edit', `#${movie.code}`, { [path]: before }, { [path]: movie.get(path) });
+                safeSend(chatId, t(lang, 'edit_saved'));
                 state.delete(chatId);
                 showEditMoviePanel(chatId, st.movieId);
+                if (CHANNEL_POST_FIELDS.includes(st.field)) syncChannelPosts(movie, { media: st.field === 'posterId' });
             } else {
                 state.delete(chatId);
-                safeSend(chatId, "❌ Kino topilmadi.");
+                safeSend(chatId, t(lang, 'movie_not_found'));
             }
         }
         else if (st.action === 'BROADCAST') {
-            st.msg = msg;
-            safeSend(chatId, "📢 Tasdiqlaysizmi?", {
-                parse_mode: 'HTML',
-                reply_markup: { inline_keyboard: [[{ text: "✅ Ha, yuborish", callback_data: "confirm_broadcast" }], [{ text: "❌ Bekor qilish", callback_data: "cancel_action" }]] }
-            });
+            if (!st.step || st.step === 'MESSAGE') {
+                st.msg = msg;
+                st.segment = {};
+                st.step = 'SEGMENT';
+                return showBroadcastSegmentPanel(chatId, st);
+            }
+            if (st.step === 'SEGMENT') return safeSend(chatId, t(lang, 'bc_use_buttons'));
+
+            if (st.step === 'SCHEDULE') {
+                const scheduledAt = parseLocalDate(text);
+                if (!scheduledAt || !text.includes(':')) return safeSend(chatId, t(lang, 'bc_schedule_format'), { parse_mode: 'HTML', ...cancelBtn(lang) });
+                if (scheduledAt <= new Date()) return safeSend(chatId, t(lang, 'bc_schedule_past'), cancelBtn(lang));
+                state.delete(chatId);
+                await createBroadcastJob(chatId, st.msg, st.segment, scheduledAt);
+                return safeSend(chatId, t(lang, 'bc_scheduled', { date: formatLocalDate(scheduledAt), segment: describeSegment(st.segment, lang) }), { parse_mode: 'HTML' });
+            }
+
+            const error = applySegmentInput(st.segment, st.step, text, lang);
+            if (error) return safeSend(chatId, error, { parse_mode: 'HTML', ...cancelBtn(lang) });
+            st.step = 'SEGMENT';
+            showBroadcastSegmentPanel(chatId, st);
+        }
+        else if (st.action === 'IMPORT') {
+            st.timestamp = Date.now();
+            const range = text.match(/^(?:(-?\d+|@\w+)\s+)?(\d+)\s*-\s*(\d+)$/);
+            if (!msg.video && range) {
+                const source = range[1] || st.sourceChatId;
+                const from = parseInt(range[2]), to = parseInt(range[3]);
+                if (!source) return safeSend(chatId, t(lang, 'imp_no_source'), { reply_markup: buildImportKeyboard(lang) });
+                if (to < from || to - from + 1 > CONFIG.importMaxRange) return safeSend(chatId, t(lang, 'imp_bad_range', { max: CONFIG.importMaxRange }), { reply_markup: buildImportKeyboard(lang) });
+                if (activeImports.has(chatId)) return safeSend(chatId, t(lang, 'imp_busy'), { reply_markup: buildImportKeyboard(lang) });
+                importChannelRange(chatId, st, source, from, to);
+                return;
+            }
+            if (!msg.video) return safeSend(chatId, t(lang, 'imp_need_video'), { parse_mode: 'HTML', reply_markup: buildImportKeyboard(lang) });
+
+            const origin = msg.forward_origin?.chat?.id ?? msg.forward_from_chat?.id;
+            if (origin) st.sourceChatId = origin;
+            const patterns = (await Settings.findOne({ key: 'config' }))?.importPatterns || IMPORT_PATTERN_DEFAULTS;
+            await runExclusive(`import_${chatId}`, () => importPost(chatId, st, msg, patterns, lang));
+        }
+        else if (st.action === 'RESTORE') {
+            if (!msg.document) return safeSend(chatId, t(lang, 'bk_need_file'), { parse_mode: 'HTML', ...cancelBtn(lang) });
+            if (msg.document.file_size > CONFIG.backupMaxSize) return safeSend(chatId, t(lang, 'bk_too_big'), cancelBtn(lang));
+
+            let backup;
+            try { backup = await downloadBackupFile(msg.document.file_id); }
+            catch (e) { return safeSend(chatId, t(lang, 'bk_read_error', { error: sanitize(e.message) }), { parse_mode: 'HTML', ...cancelBtn(lang) }); }
+
+            const plan = await planRestore(backup);
+            st.fileId = msg.document.file_id;
+            st.step = 'CONFIRM';
+            safeSend(chatId, describeRestorePlan(plan, lang), { parse_mode: 'HTML', reply_markup: buildRestoreKeyboard(lang) });
+        }
+        else if (st.action === 'EDIT_IMPORT_PATTERN') {
+            try { new RegExp(text, 'im'); }
+            catch (e) { return safeSend(chatId, t(lang, 'imp_bad_regex', { error: sanitize(e.message) }), { parse_mode: 'HTML', ...cancelBtn(lang) }); }
+            const conf = await Settings.findOne({ key: 'config' }) || await Settings.create({});
+            const before = conf.importPatterns[st.field];
+            conf.importPatterns[st.field] = text;
+            await conf.save();
+            logAudit(chatId, 'setting_change', `importPatterns.${st.field}`, { value: before }, { value: text });
+            state.delete(chatId);
+            safeSend(chatId, t(lang, 'imp_pattern_saved'));
+            showImportPanel(chatId);
         }
         else if (st.action === 'SEARCH_USER') {
             const tid = parseInt(text);
-            if (isNaN(tid)) return safeSend(chatId, "❌ Faqat raqamli ID kiriting!");
+            if (isNaN(tid)) return safeSend(chatId, t(lang, 'usr_id_invalid'));
             const u = await User.findOne({ telegramId: tid });
             state.delete(chatId);
             if (u) showUserManagePanel(chatId, u);
-            else safeSend(chatId, "❌ User topilmadi");
+            else safeSend(chatId, t(lang, 'usr_not_found'));
         }
         else if (st.action === 'MANAGE_ADMIN_ID') {
             const tid = parseInt(text);
-            if (isNaN(tid)) return safeSend(chatId, "❌ Faqat raqamli ID!");
-            if (tid === CONFIG.superAdminId) return safeSend(chatId, "❌ Super Admin daxlsiz");
+            if (isNaN(tid)) return safeSend(chatId, t(lang, 'usr_id_invalid'));
+            if (tid === CONFIG.superAdminId) return safeSend(chatId, t(lang, 'admin_super_immune'));
             let adm = await Admin.findOne({ telegramId: tid });
-            if (!adm) adm = await Admin.create({ telegramId: tid, addedBy: chatId });
+            if (!adm) {
+                adm = await Admin.create({ telegramId: tid, addedBy: chatId });
+                logAudit(chatId, 'admin_add', tid, null, { permissions: adm.toObject().permissions });
+            }
             state.delete(chatId);
             showAdminPermsPanel(chatId, adm);
         }
@@ -586,7 +2786,9 @@ async function handleAdminInput(chatId, msg) {
     } catch (e) {
         console.error("Admin Input Error:", e);
         state.delete(chatId);
-        safeSend(chatId, "⚠️ Tizim xatoligi yuz berdi. Qayta urinib ko'ring.");
+        safeSend(chatId, t(lang, 'system_error'));
+    } finally {
+        state.persist(chatId);
     }
 }
 
@@ -595,65 +2797,290 @@ async function handleAdminInput(chatId, msg) {
 // ==========================================
 
 bot.on('callback_query', async (q) => {
+    // Inline rejimda yuborilgan xabarlarda q.message bo'lmaydi
+    if (!q.message) return bot.answerCallbackQuery(q.id).catch(() => { });
     const chatId = q.message.chat.id;
     const data = q.data;
     const msgId = q.message.message_id;
 
+    touchActivity(chatId);
+
     try {
         if (data === 'cancel_action') {
             state.delete(chatId);
             await safeDelete(chatId, msgId);
             if (await isUserAdmin(chatId)) showAdminPanel(chatId);
-            else bot.sendMessage(chatId, "Amal bekor qilindi.");
+            else safeSend(chatId, t(await getLang(chatId), 'cancelled'));
             return;
         }
 
         if (data === 'check_sub') {
-            const missing = await checkSubscription(chatId);
+            const missing = await checkSubscription(chatId, { fresh: true });
             if (missing.length === 0) {
                 await bot.deleteMessage(chatId, msgId);
                 const st = state.get(chatId);
                 if (st && st.pendingCode) {
                     await showMovieCard(chatId, st.pendingCode, await User.findOne({ telegramId: chatId }));
                 } else {
-                    safeSend(chatId, "✅ Obuna tasdiqlandi! Kino kodini yuboring.");
+                    safeSend(chatId, t(await getLang(chatId), 'sub_confirmed'));
                 }
             } else {
-                bot.answerCallbackQuery(q.id, { text: "❌ Hali hammasiga a'zo bo'lmadingiz!", show_alert: true });
+                bot.answerCallbackQuery(q.id, { text: t(await getLang(chatId), 'sub_missing'), show_alert: true });
             }
             return;
         }
 
+        if (data.startsWith('lang_set_')) {
+            const lang = data.split('_')[2];
+            if (!CONFIG.languages.includes(lang)) return;
+            await User.updateOne({ telegramId: chatId }, { language: lang });
+            langCache.set(chatId, { lang, expire: Date.now() + CONFIG.langCacheTTL });
+            bot.answerCallbackQuery(q.id, { text: t(lang, 'lang_saved') });
+            // Birinchi startda: tug'ilgan yil savolini tanlangan tilda qayta chiqaramiz
+            const txt = state.get(chatId)?.action === 'ASK_BIRTH_YEAR' ? buildBirthYearPrompt(lang) : t(lang, 'lang_saved');
+            bot.editMessageText(txt, { chat_id: chatId, message_id: msgId, parse_mode: 'HTML', reply_markup: buildLanguageKeyboard(lang) }).catch(() => { });
+            return;
+        }
+
         // User actions
         if (data.startsWith('rate_')) await handleRating(chatId, data, q.id);
         if (data.startsWith('dl_')) await handleDownloadMovie(chatId, data, q.id);
-        if (data.startsWith('s_nav_')) await handleSeriesNavigation(chatId, data, q.message.message_id, q.id);
+        if (data.startsWith('s_nav_') || data.startsWith('s_seas_')) await handleSeriesNavigation(chatId, data, q.message.message_id, q.id);
         if (data.startsWith('s_dl_')) await handleDownloadEpisode(chatId, data, q.id);
+        if (data.startsWith('fav_')) await handleFavoriteToggle(chatId, data, q.id);
+        if (data.startsWith('favp_')) await showFavorites(chatId, await User.findOne({ telegramId: chatId }), parseInt(data.split('_')[1]), msgId);
+        if (data.startsWith('srch_')) await handleSearchNavigation(chatId, data, msgId, q.id);
+        if (data === 'cat_home' || data.startsWith('cat_d_') || data.startsWith('cat_v_') || data.startsWith('disc_')) {
+            if (!await ensureSubscribed(chatId)) return bot.answerCallbackQuery(q.id).catch(() => { });
+        }
+        if (data === 'cat_home') showCatalogMenu(chatId, msgId);
+        if (data.startsWith('cat_d_')) {
+            const [, , dim, page] = data.split('_');
+            if (CATALOG_DIMENSIONS[dim]) await showCatalogValues(chatId, dim, parseInt(page), msgId);
+        }
+        if (data.startsWith('cat_v_')) {
+            const [, , dim, key, page] = data.split('_');
+            if (CATALOG_DIMENSIONS[dim]) await showCatalogTitles(chatId, dim, key, parseInt(page), msgId);
+        }
+        if (data.startsWith('disc_')) {
+            const [, kind, page] = data.split('_');
+            if (DISCOVERY_LISTS[kind]) await showDiscoveryList(chatId, kind, parseInt(page) || 0, msgId);
+        }
+        if (data === 'ref_me') await showReferralScreen(chatId, msgId);
+        if (data === 'req_new') {
+            bot.answerCallbackQuery(q.id);
+            await promptMovieRequest(chatId, await getLang(chatId));
+        }
+        if (data === 'req_srch') {
+            const cached = searchCache.get(chatId);
+            if (!cached?.raw) return bot.answerCallbackQuery(q.id, { text: t(await getLang(chatId), 'search_expired'), show_alert: true });
+            bot.answerCallbackQuery(q.id);
+            searchCache.delete(chatId);
+            bot.editMessageReplyMarkup({ inline_keyboard: [] }, { chat_id: chatId, message_id: msgId }).catch(() => { });
+            await submitMovieRequest(chatId, await User.findOne({ telegramId: chatId }), cached.raw);
+        }
+        if (data === 'lang_menu') {
+            const lang = await getLang(chatId);
+            safeSend(chatId, t(lang, 'lang_choose'), { reply_markup: buildLanguageKeyboard(lang) });
+        }
+        if (data.startsWith('open_')) {
+            bot.answerCallbackQuery(q.id);
+            await handleMovieCodeRequest(chatId, data.split('_')[1], await User.findOne({ telegramId: chatId }));
+        }
         if (data === 'noop') return bot.answerCallbackQuery(q.id);
 
         // --- ADMIN CALLBACKS ---
         if (!await isUserAdmin(chatId)) return;
+        const lang = await getLang(chatId);
 
         if (data === 'admin_home') showAdminPanel(chatId, msgId);
+        if (data === 'draft_view') showDraftPanel(chatId, msgId);
+        if (data === 'draft_resume') {
+            await safeDelete(chatId, msgId);
+            await resumeDraft(chatId);
+        }
         if (data === 'admin_stats') showStatistics(chatId, msgId);
-
-        if (data === 'admin_add_content_select') {
-            if (!await hasPermission(chatId, 'movies')) return bot.answerCallbackQuery(q.id, { text: "⛔️ Ruxsat yo'q!", show_alert: true });
-            safeSend(chatId, "Nimani qo'shmoqchisiz?", {
+        if (data.startsWith('ref_lb_')) showReferralLeaderboard(chatId, parseInt(data.split('_')[2]) || 0, msgId);
+        if (data.startsWith('ref_u_')) {
+            const [, , uid, page] = data.split('_');
+            showReferrerDetails(chatId, parseInt(uid), parseInt(page) || 0, msgId);
+        }
+        if (data.startsWith('st_p_') || data.startsWith('st_csv_')) {
+            const days = parseInt(data.split('_')[2]);
+            if (!STATS_PERIODS.includes(days)) return bot.answerCallbackQuery(q.id).catch(() => { });
+            if (data.startsWith('st_p_')) await showPeriodStats(chatId, days, msgId);
+            else {
+                const report = await getPeriodStats(days, lang);
+                await bot.sendDocument(chatId, Buffer.from(buildStatsCsv(report)), {
+                    caption: t(lang, 'stats_csv_caption', { days })
+                }, { filename: `stats-${days}d-${new Date().toISOString().slice(0, 10)}.csv`, contentType: 'text/csv' });
+            }
+            bot.answerCallbackQuery(q.id).catch(() => { });
+        }
+
+        if (data === 'admin_add_content_select') {
+            if (!await hasPermission(chatId, 'movies')) return bot.answerCallbackQuery(q.id, { text: t(lang, 'no_permission'), show_alert: true });
+            safeSend(chatId, t(lang, 'add_choose_type'), {
                 reply_markup: {
                     inline_keyboard: [
-                        [{ text: "🎬 KINO", callback_data: "start_add_movie" }, { text: "📺 SERIAL", callback_data: "start_add_series" }],
-                        [{ text: "🚫 Bekor qilish", callback_data: "cancel_action" }]
+                        [{ text: t(lang, 'type_movie'), callback_data: "start_add_movie" }, { text: t(lang, 'type_series'), callback_data: "start_add_series" }],
+                        [{ text: t(lang, 'btn_cancel'), callback_data: "cancel_action" }]
                     ]
                 }
             });
         }
 
+        if (data.startsWith('rq_')) {
+            if (!await hasPermission(chatId, 'movies')) return bot.answerCallbackQuery(q.id, { text: t(lang, 'no_permission'), show_alert: true });
+            const [, act, id, page] = data.split('_'); // rq_list_{page} | rq_v_{id}_{page} | rq_ful_{id} | rq_rej_{id}
+            if (act === 'list') showRequestsPanel(chatId, parseInt(id) || 0, msgId);
+            if (act === 'v') showRequestDetails(chatId, id, parseInt(page) || 0, msgId);
+            if (act === 'ful') {
+                const request = await MovieRequest.findOne({ _id: id, status: 'open' }).catch(() => null);
+                if (!request) return bot.answerCallbackQuery(q.id, { text: t(lang, 'rq_not_found'), show_alert: true });
+                state.set(chatId, { action: 'FULFILL_REQUEST', requestId: id, permissionRequired: 'movies', timestamp: Date.now() });
+                safeSend(chatId, t(lang, 'rq_fulfill_prompt', { title: request.title, votes: request.votes }), { parse_mode: 'HTML', ...cancelBtn(lang) });
+            }
+            if (act === 'rej') {
+                const request = await MovieRequest.findOneAndUpdate({ _id: id, status: 'open' }, { status: 'rejected', resolvedBy: chatId, resolvedAt: new Date() }).catch(() => null);
+                if (request) logAudit(chatId, 'request_reject', request.title, { status: 'open' }, { status: 'rejected', votes: request.votes });
+                bot.answerCallbackQuery(q.id, { text: t(lang, request ? 'rq_rejected' : 'rq_not_found') });
+                showRequestsPanel(chatId, 0, msgId);
+            }
+        }
+
+        if (data === 'admin_import') {
+            if (!await hasPermission(chatId, 'movies')) return bot.answerCallbackQuery(q.id, { text: t(lang, 'no_permission'), show_alert: true });
+            showImportPanel(chatId, msgId);
+        }
+        if (data === 'imp_start') {
+            if (!await hasPermission(chatId, 'movies')) return;
+            state.set(chatId, { action: 'IMPORT', report: { created: [], duplicates: [], failed: [] }, permissionRequired: 'movies', timestamp: Date.now() });
+            await safeDelete(chatId, msgId);
+            safeSend(chatId, t(lang, 'imp_instructions'), { parse_mode: 'HTML', reply_markup: buildImportKeyboard(lang) });
+        }
+        if (data === 'imp_done') {
+            const st = state.get(chatId);
+            if (st && st.action === 'IMPORT') {
+                state.delete(chatId); // Oraliq importi ham shu yerda to'xtaydi
+                await runExclusive(`import_${chatId}`, async () => { });
+                const { created, duplicates, failed } = st.report;
+                if (created.length) logAudit(chatId, 'import', `${created.length} ta`, null, { created: created.length, duplicates: duplicates.length, failed: failed.length });
+                await safeSend(chatId, buildImportReport(st.report, lang), { parse_mode: 'HTML' });
+                showAdminPanel(chatId);
+            }
+        }
+        if (data.startsWith('imp_pat_')) {
+            if (!await hasPermission(chatId, 'settings')) return bot.answerCallbackQuery(q.id, { text: t(lang, 'imp_need_settings'), show_alert: true });
+            const field = data.split('_')[2];
+            if (field === 'reset') {
+                await Settings.updateOne({ key: 'config' }, { importPatterns: IMPORT_PATTERN_DEFAULTS }, { upsert: true });
+                logAudit(chatId, 'setting_change', 'importPatterns', null, IMPORT_PATTERN_DEFAULTS);
+                return showImportPanel(chatId, msgId);
+            }
+            if (!IMPORT_PATTERN_DEFAULTS[field]) return;
+            state.set(chatId, { action: 'EDIT_IMPORT_PATTERN', field, permissionRequired: 'settings', timestamp: Date.now() });
+            safeSend(chatId, t(lang, 'imp_pattern_prompt', { field: t(lang, `imp_field_${field}`) }), { parse_mode: 'HTML', ...cancelBtn(lang) });
+        }
+
+        if (data.startsWith('aud_') && chatId === CONFIG.superAdminId) {
+            const [, actor, act, page] = data.split('_'); // aud_{actorId|0}_{actionIdx|x}_{page}
+            showAuditLog(chatId, parseInt(actor) || 0, act, parseInt(page) || 0, msgId);
+        }
+        if (data.startsWith('audf_') && chatId === CONFIG.superAdminId) {
+            const [, kind, actor, act] = data.split('_'); // audf_{a|t}_{actorId}_{actionIdx}
+            showAuditFilter(chatId, kind, parseInt(actor) || 0, act, msgId);
+        }
+        if (data === 'admin_backup' && chatId === CONFIG.superAdminId) showBackupPanel(chatId, msgId);
+        if (data === 'bk_json' && chatId === CONFIG.superAdminId) {
+            bot.answerCallbackQuery(q.id, { text: t(lang, 'bk_preparing') });
+            const backup = await buildBackup();
+            await bot.sendDocument(chatId, Buffer.from(JSON.stringify(backup, null, 1)), {
+                caption: t(lang, 'bk_json_caption', { movies: backup.movies.length, channels: backup.channels.length, admins: backup.admins.length })
+            }, { filename: `kino-backup-${backup.exportedAt.slice(0, 10)}.json`, contentType: 'application/json' });
+        }
+        if (data === 'bk_csv' && chatId === CONFIG.superAdminId) {
+            bot.answerCallbackQuery(q.id, { text: t(lang, 'bk_preparing') });
+            const movies = await Movie.find().sort({ code: 1 }).lean();
+            await bot.sendDocument(chatId, Buffer.from(buildCatalogCsv(movies)), {
+                caption: t(lang, 'bk_csv_caption', { total: movies.length })
+            }, { filename: `kino-katalog-${new Date().toISOString().slice(0, 10)}.csv`, contentType: 'text/csv' });
+        }
+        if (data === 'bk_restore' && chatId === CONFIG.superAdminId) {
+            state.set(chatId, { action: 'RESTORE', step: 'FILE', timestamp: Date.now() });
+            safeSend(chatId, t(lang, 'bk_restore_prompt'), { parse_mode: 'HTML', ...cancelBtn(lang) });
+        }
+        if ((data === 'rst_merge' || data === 'rst_restore') && chatId === CONFIG.superAdminId) {
+            const st = state.get(chatId);
+            if (st && st.action === 'RESTORE' && st.step === 'CONFIRM') {
+                const mode = data === 'rst_restore' ? 'restore' : 'merge';
+                st.step = 'RUNNING'; // Ikkinchi bosish qayta ishga tushirmasin
+                bot.answerCallbackQuery(q.id, { text: t(lang, 'bk_restoring') }).catch(() => { });
+                await safeDelete(chatId, msgId);
+                try {
+                    const backup = await downloadBackupFile(st.fileId);
+                    const result = await applyRestore(backup, mode);
+                    state.delete(chatId);
+                    logAudit(chatId, 'restore', mode, null, result);
+                    await safeSend(chatId, t(lang, 'bk_restore_done', {
+                        moviesCreated: result.movies.created, moviesUpdated: result.movies.updated,
+                        channelsCreated: result.channels.created, channelsUpdated: result.channels.updated,
+                        adminsCreated: result.admins.created, adminsUpdated: result.admins.updated,
+                        settings: t(lang, result.settings ? 'bk_settings_updated' : 'bk_settings_same')
+                    }), { parse_mode: 'HTML' });
+                    showAdminPanel(chatId);
+                } catch (e) {
+                    // Holat saqlanadi: qayta urinish yoki bekor qilish mumkin
+                    console.error("Restore Error:", e);
+                    st.step = 'CONFIRM';
+                    safeSend(chatId, t(lang, 'bk_restore_error', { error: sanitize(e.message) }), { parse_mode: 'HTML', reply_markup: buildRestoreKeyboard(lang) });
+                }
+            }
+        }
+
         if (data === 'start_add_movie' || data === 'start_add_series') {
             const type = data === 'start_add_movie' ? 'movie' : 'series';
             state.set(chatId, { action: 'ADD_CONTENT', contentType: type, step: 'VIDEO', permissionRequired: 'movies', timestamp: Date.now() });
             await safeDelete(chatId, msgId);
-            safeSend(chatId, `📤 <b>${type === 'movie' ? 'Kino' : 'Serial (1-qism)'} videosini yuboring:</b>`, { parse_mode: 'HTML', ...CANCEL_BTN });
+            safeSend(chatId, t(lang, type === 'movie' ? 'add_video_movie' : 'add_video_series'), { parse_mode: 'HTML', ...cancelBtn(lang) });
+        }
+
+        if (data.startsWith('gen_t_') || data === 'gen_done') {
+            const st = state.get(chatId);
+            if (st && st.action === 'ADD_CONTENT' && st.step === 'GENRES') {
+                if (data === 'gen_done') {
+                    st.step = 'ADULT';
+                    await safeDelete(chatId, msgId);
+                    safeSend(chatId, t(lang, 'add_adult'), { parse_mode: 'HTML', reply_markup: buildAdultKeyboard(lang) });
+                } else {
+                    toggleGenre(st.data.genres, parseInt(data.split('_')[2]));
+                    bot.editMessageReplyMarkup(buildGenreKeyboard(st.data.genres, i => `gen_t_${i}`, 'gen_done', lang), { chat_id: chatId, message_id: msgId }).catch(() => { });
+                }
+            }
+        }
+
+        if (data.startsWith('ed_gen_') || data.startsWith('ed_gt_')) {
+            if (!await hasPermission(chatId, 'movies')) return;
+            const parts = data.split('_'); // ed, gen, movieId | ed, gt, genreIdx, movieId
+            const mid = parts[parts.length - 1];
+            const movie = await Movie.findById(mid);
+            if (!movie) return bot.answerCallbackQuery(q.id, { text: t(lang, 'not_found'), show_alert: true });
+            if (parts[1] === 'gt') {
+                const before = [...movie.genres];
+                toggleGenre(movie.genres, parseInt(parts[2]));
+                await movie.save();
+                syncChannelPosts(movie);
+                logAudit(chatId, 'movie_edit', `#${movie.code}`, { genres: before }, { genres: [...movie.genres] });
+            }
+            bot.editMessageText(t(lang, 'edit_genres_title', { title: movie.title }), {
+                chat_id: chatId, message_id: msgId, parse_mode: 'HTML',
+                reply_markup: buildGenreKeyboard(movie.genres, i => `ed_gt_${i}_${mid}`, `ed_open_${mid}`, lang)
+            }).catch(() => { });
+        }
+
+        if (data.startsWith('ed_open_')) {
+            if (!await hasPermission(chatId, 'movies')) return;
+            showEditMoviePanel(chatId, data.split('_')[2], msgId);
         }
 
         if (['adult_yes', 'adult_no'].includes(data)) {
@@ -662,14 +3089,14 @@ bot.on('callback_query', async (q) => {
                 st.data.isAdult = (data === 'adult_yes');
                 st.step = 'CODE';
                 await safeDelete(chatId, msgId);
-                safeSend(chatId, "🔢 <b>Kino/Serial Kodini yozing:</b>", { parse_mode: 'HTML', ...CANCEL_BTN });
+                safeSend(chatId, t(lang, 'add_code'), { parse_mode: 'HTML', ...cancelBtn(lang) });
             }
         }
 
         if (data === 'admin_edit_movie') {
             if (!await hasPermission(chatId, 'movies')) return;
             state.set(chatId, { action: 'EDIT_SEARCH', permissionRequired: 'movies', timestamp: Date.now() });
-            safeSend(chatId, "📝 Tahrirlash uchun Kodni yuboring:", CANCEL_BTN);
+            safeSend(chatId, t(lang, 'edit_code_prompt'), cancelBtn(lang));
         }
 
         if (data.startsWith('ed_f_')) {
@@ -678,27 +3105,73 @@ bot.on('callback_query', async (q) => {
             const mid = parts[3];
             state.set(chatId, { action: 'EDIT_FIELD', field: field, movieId: mid, permissionRequired: 'movies', timestamp: Date.now() });
 
-            let prompt = "";
-            if (field === 'title') prompt = "✍️ Yangi nomni yuboring:";
-            else if (field === 'country') prompt = "🌍 Yangi davlatni yuboring:";
-            else if (field === 'posterId') prompt = "🖼 Yangi posterni (rasm) yuboring:";
-            else if (field === 'fileId') prompt = "📹 Yangi video faylni yuboring:";
+            const prompt = TITLE_FIELDS[field]
+                ? t(lang, 'edit_prompt_title_lang', { lang: I18N[TITLE_FIELDS[field]].lang_name })
+                : t(lang, `edit_prompt_${field}`);
 
             await safeDelete(chatId, msgId);
-            safeSend(chatId, prompt, CANCEL_BTN);
+            safeSend(chatId, prompt, { parse_mode: 'HTML', ...cancelBtn(lang) });
+        }
+
+        // --- EPISODE MANAGEMENT ---
+        if (data.startsWith('ep_')) {
+            if (!await hasPermission(chatId, 'movies')) return bot.answerCallbackQuery(q.id, { text: t(lang, 'no_permission'), show_alert: true });
+            await handleEpisodeCallback(chatId, data, msgId, q.id);
         }
 
         // [SECURED] Start Adding Episode Callback
         if (data.startsWith('add_ep_')) {
+            if (!await hasPermission(chatId, 'movies')) return;
             const mid = data.split('_')[2];
+            const movie = await Movie.findById(mid);
+            if (!movie) return bot.answerCallbackQuery(q.id, { text: t(lang, 'not_found'), show_alert: true });
             state.set(chatId, {
                 action: 'ADD_EPISODE',
                 movieId: mid,
-                step: 'VIDEO',
+                step: 'SEASON',
+                permissionRequired: 'movies',
+                timestamp: Date.now()
+            });
+            promptEpisodeSeason(chatId, movie);
+        }
+
+        if (data.startsWith('eps_')) {
+            const st = state.get(chatId);
+            if (st && ['ADD_EPISODE', 'ADD_EPISODE_BATCH'].includes(st.action) && st.step === 'SEASON') {
+                await safeDelete(chatId, msgId);
+                await selectEpisodeSeason(chatId, st, parseInt(data.split('_')[1]));
+            }
+        }
+
+        if (data.startsWith('add_q_')) {
+            if (!await hasPermission(chatId, 'movies')) return;
+            const mid = data.split('_')[2];
+            const movie = await Movie.findById(mid);
+            if (!movie) return bot.answerCallbackQuery(q.id, { text: t(lang, 'not_found'), show_alert: true });
+            const isSeries = movie.contentType === 'series';
+            state.set(chatId, {
+                action: 'ADD_VARIANT',
+                movieId: mid,
+                step: isSeries ? 'EPISODE' : 'VIDEO',
                 permissionRequired: 'movies',
                 timestamp: Date.now()
             });
-            safeSend(chatId, "📤 <b>Keyingi qism videosini yuboring:</b>", { parse_mode: 'HTML', ...CANCEL_BTN });
+            safeSend(chatId, t(lang, isSeries ? 'var_episode_prompt' : 'var_video'), { parse_mode: 'HTML', ...cancelBtn(lang) });
+        }
+
+        if (data.startsWith('del_q_')) {
+            if (!await hasPermission(chatId, 'movies')) return;
+            const [, , mid, idxStr] = data.split('_');
+            const movie = await Movie.findById(mid);
+            if (movie && movie.variants.length > 1) {
+                logAudit(chatId, 'variant_delete', `#${movie.code}`, { quality: movie.variants[parseInt(idxStr)]?.quality });
+                movie.variants.splice(parseInt(idxStr), 1);
+                movie.fileId = movie.variants[0].fileId;
+                movie.quality = movie.variants[0].quality;
+                await movie.save();
+                syncChannelPosts(movie);
+            }
+            showEditMoviePanel(chatId, mid, msgId);
         }
 
         if (data === 'admin_channels') {
@@ -717,29 +3190,96 @@ bot.on('callback_query', async (q) => {
                 permissionRequired: 'channels',
                 timestamp: Date.now()
             });
-            safeSend(chatId, "✍️ <b>Kanal tugmasida nima deb yozilsin?</b>\n(Masalan: <i>Kino Kanalimiz</i>)", { parse_mode: 'HTML', ...CANCEL_BTN });
+            safeSend(chatId, t(lang, 'ch_name_prompt'), { parse_mode: 'HTML', ...cancelBtn(lang) });
         }
 
         if (data.startsWith('del_ch_')) {
             if (!await hasPermission(chatId, 'channels')) return;
-            await Channel.findByIdAndDelete(data.split('_')[2]);
+            const ch = await Channel.findById(data.split('_')[2]);
+            if (ch) confirmDeletion(chatId, msgId, t(lang, 'ch_delete_confirm', { name: ch.name }), `delok_ch_${ch._id}`, 'admin_channels', lang);
+        }
+        if (data.startsWith('ch_pol_')) {
+            if (!await hasPermission(chatId, 'channels')) return;
+            const ch = await Channel.findById(data.split('_')[2]);
+            if (ch) {
+                const before = ch.checkErrorPolicy;
+                ch.checkErrorPolicy = before === 'require' ? 'skip' : 'require';
+                await ch.save();
+                subCache.clear();
+                logAudit(chatId, 'channel_edit', ch.channelId, { checkErrorPolicy: before }, { checkErrorPolicy: ch.checkErrorPolicy });
+            }
+            showChannelsPanel(chatId, msgId);
+        }
+        if (data.startsWith('ch_camp_')) {
+            if (!await hasPermission(chatId, 'channels')) return;
+            const ch = await Channel.findById(data.split('_')[2]);
+            if (!ch || ch.type !== 'main') return;
+            state.set(chatId, { action: 'SET_CAMPAIGN', channelId: String(ch._id), permissionRequired: 'channels', timestamp: Date.now() });
+            let txt = t(lang, 'campaign_prompt', { name: ch.name });
+            if (hasCampaign(ch)) txt += `\n\n${t(lang, 'campaign_current')}\n${describeCampaign(ch, lang)}`;
+            safeSend(chatId, txt, { parse_mode: 'HTML', ...cancelBtn(lang) });
+        }
+        if (data.startsWith('delok_ch_')) {
+            if (!await hasPermission(chatId, 'channels')) return;
+            const ch = await Channel.findById(data.split('_')[2]);
+            if (ch) {
+                await moveToTrash('channel', ch, chatId);
+                subCache.clear();
+                logAudit(chatId, 'channel_delete', ch.channelId, { name: ch.name, url: ch.url, type: ch.type });
+                bot.answerCallbackQuery(q.id, { text: t(lang, 'trash_moved') });
+            }
             showChannelsPanel(chatId, msgId);
         }
         if (data === 'admin_broadcast') {
             if (!await hasPermission(chatId, 'broadcast')) return;
-            state.set(chatId, { action: 'BROADCAST', permissionRequired: 'broadcast', timestamp: Date.now() });
-            safeSend(chatId, "📢 Post yuboring (Text, Rasm, Video...):", CANCEL_BTN);
+            showBroadcastMenu(chatId, msgId);
+        }
+        if (data.startsWith('bc_hist_')) {
+            if (!await hasPermission(chatId, 'broadcast')) return;
+            showBroadcastHistory(chatId, parseInt(data.split('_')[2]), msgId);
+        }
+        if (data === 'bc_new') {
+            if (!await hasPermission(chatId, 'broadcast')) return;
+            state.set(chatId, { action: 'BROADCAST', step: 'MESSAGE', permissionRequired: 'broadcast', timestamp: Date.now() });
+            safeSend(chatId, t(lang, 'bc_post_prompt'), cancelBtn(lang));
+        }
+        if (data.startsWith('bc_seg_')) {
+            const st = state.get(chatId);
+            if (st && st.action === 'BROADCAST' && st.msg) {
+                const key = data.replace('bc_seg_', '');
+                if (key === 'clear') {
+                    st.segment = {};
+                    await safeDelete(chatId, msgId);
+                    showBroadcastSegmentPanel(chatId, st);
+                } else if (SEGMENT_STEPS.includes(key)) {
+                    st.step = key;
+                    await safeDelete(chatId, msgId);
+                    safeSend(chatId, segmentPrompt(key, lang), { parse_mode: 'HTML', ...cancelBtn(lang) });
+                }
+            }
         }
         if (data === 'confirm_broadcast') {
             const st = state.get(chatId);
-            if (st && st.msg) { state.delete(chatId); await safeDelete(chatId, msgId); startBroadcast(chatId, st.msg); }
+            if (st && st.msg) {
+                state.delete(chatId);
+                await safeDelete(chatId, msgId);
+                logAudit(chatId, 'broadcast_start', st.msg.message_id, null, { segment: st.segment || {} });
+                startBroadcast(chatId, st.msg, st.segment);
+            }
+        }
+        if (data.startsWith('bc_cancel_')) {
+            if (!await hasPermission(chatId, 'broadcast')) return;
+            const job = await BroadcastJob.findOneAndDelete({ _id: data.split('_')[2], status: 'scheduled' });
+            if (job) logAudit(chatId, 'broadcast_cancel', job._id, { scheduledAt: job.scheduledAt });
+            showBroadcastMenu(chatId, msgId);
         }
         if (data === 'stop_broadcast') {
             if (broadcastController.isActive) {
                 broadcastController.shouldStop = true;
-                bot.answerCallbackQuery(q.id, { text: "🛑 To'xtatilmoqda..." });
+                logAudit(chatId, 'broadcast_stop', broadcastController.jobId, null, { sent: broadcastController.sent });
+                bot.answerCallbackQuery(q.id, { text: t(lang, 'bc_stopping') });
             } else {
-                bot.answerCallbackQuery(q.id, { text: "⚠️ Reklama jarayoni yo'q.", show_alert: true });
+                bot.answerCallbackQuery(q.id, { text: t(lang, 'bc_not_running'), show_alert: true });
             }
         }
 
@@ -748,16 +3288,18 @@ bot.on('callback_query', async (q) => {
             showSettingsPanel(chatId, msgId);
         }
         if (data.startsWith('tog_set_')) {
+            if (!await hasPermission(chatId, 'settings')) return;
             const k = data.split('_')[2];
             const c = await Settings.findOne({ key: 'config' }) || await Settings.create({});
             c[k] = !c[k]; await c.save();
+            logAudit(chatId, 'setting_change', k, { value: !c[k] }, { value: c[k] });
             showSettingsPanel(chatId, msgId);
         }
         if (data === 'admin_users') {
             if (!await hasPermission(chatId, 'users')) return;
             // [TIMESTAMP FIX]
             state.set(chatId, { action: 'SEARCH_USER', permissionRequired: 'users', timestamp: Date.now() });
-            safeSend(chatId, "🔎 User ID (Telegram ID) yuboring:", CANCEL_BTN);
+            safeSend(chatId, t(lang, 'usr_search_prompt'), cancelBtn(lang));
         }
         if (data.startsWith('usr_')) {
             const [_, act, uid] = data.split('_');
@@ -765,32 +3307,178 @@ bot.on('callback_query', async (q) => {
             if (u) {
                 if (act === 'ban') u.isBanned = !u.isBanned;
                 if (act === 'dl') u.restrictions.canDownload = !u.restrictions.canDownload;
-                await u.save(); showUserManagePanel(chatId, u, msgId);
+                await u.save();
+                if (act === 'ban') logAudit(chatId, 'user_ban', uid, { isBanned: !u.isBanned }, { isBanned: u.isBanned });
+                if (act === 'dl') logAudit(chatId, 'user_download', uid, { canDownload: !u.restrictions.canDownload }, { canDownload: u.restrictions.canDownload });
+                showUserManagePanel(chatId, u, msgId);
             }
         }
         if (data === 'admin_permission_setup') {
             // [TIMESTAMP FIX]
             state.set(chatId, { action: 'MANAGE_ADMIN_ID', timestamp: Date.now() });
-            safeSend(chatId, "Admin ID:", CANCEL_BTN);
+            safeSend(chatId, t(lang, 'admin_id_prompt'), cancelBtn(lang));
         }
         if (data.startsWith('perm_')) {
             const [_, k, uid] = data.split('_');
             const a = await Admin.findOne({ telegramId: uid });
-            if (a) { a.permissions[k] = !a.permissions[k]; await a.save(); adminCache.delete(parseInt(uid)); showAdminPermsPanel(chatId, a, msgId); }
+            if (a) {
+                a.permissions[k] = !a.permissions[k]; await a.save(); adminCache.delete(parseInt(uid));
+                logAudit(chatId, 'admin_perm', uid, { [k]: !a.permissions[k] }, { [k]: a.permissions[k] });
+                showAdminPermsPanel(chatId, a, msgId);
+            }
         }
-        if (data.startsWith('del_admin_')) {
+        if (data.startsWith('del_admin_') && chatId === CONFIG.superAdminId) {
+            const uid = data.split('_')[2];
+            confirmDeletion(chatId, msgId, t(lang, 'admin_delete_confirm', { id: uid }), `delok_admin_${uid}`, 'admin_home', lang);
+        }
+        if (data.startsWith('delok_admin_') && chatId === CONFIG.superAdminId) {
             const uid = parseInt(data.split('_')[2]);
-            await Admin.deleteOne({ telegramId: uid });
-            safeSend(chatId, "O'chirildi"); showAdminPanel(chatId);
+            const removed = await Admin.findOne({ telegramId: uid });
+            if (removed) {
+                await moveToTrash('admin', removed, chatId);
+                adminCache.delete(uid);
+                logAudit(chatId, 'admin_delete', uid, { permissions: removed.toObject().permissions });
+            }
+            await safeDelete(chatId, msgId);
+            safeSend(chatId, t(lang, 'trash_moved')); showAdminPanel(chatId);
         }
         if (data.startsWith('ed_del_')) {
-            await Movie.findByIdAndDelete(data.split('_')[2]);
-            safeSend(chatId, "O'chirildi"); showAdminPanel(chatId);
+            if (!await hasPermission(chatId, 'movies')) return;
+            const movie = await Movie.findById(data.split('_')[2]);
+            if (movie) confirmDeletion(chatId, msgId, t(lang, 'movie_delete_confirm', { title: movie.title, code: movie.code }) +
+                (movie.episodes.length ? `\n${t(lang, 'movie_delete_episodes', { count: movie.episodes.length })}` : ''), `ed_delok_${movie._id}`, `ed_open_${movie._id}`, lang);
+        }
+        if (data.startsWith('ed_delok_')) {
+            if (!await hasPermission(chatId, 'movies')) return;
+            const removed = await Movie.findById(data.split('_')[2]);
+            if (removed) {
+                await moveToTrash('movie', removed, chatId);
+                logAudit(chatId, 'movie_delete', `#${removed.code}`, { title: removed.title, contentType: removed.contentType, episodes: removed.episodes.length });
+            }
+            await safeDelete(chatId, msgId);
+            safeSend(chatId, t(lang, 'trash_moved')); showAdminPanel(chatId);
+        }
+        if (data.startsWith('tr_')) {
+            const [, act, arg] = data.split('_'); // tr_list_{page} | tr_res_{id} | tr_del_{id} | tr_delok_{id}
+            if (act === 'list') return showTrashPanel(chatId, parseInt(arg) || 0, msgId);
+            const item = await Trash.findById(arg);
+            if (!item || !await canManageTrash(chatId, item.kind)) return bot.answerCallbackQuery(q.id, { text: t(lang, 'not_found'), show_alert: true });
+            if (act === 'res') {
+                const error = await restoreFromTrash(item, lang);
+                if (error) return bot.answerCallbackQuery(q.id, { text: error, show_alert: true });
+                logAudit(chatId, 'trash_restore', `${item.kind} ${item.key}`, null, { label: item.label });
+                bot.answerCallbackQuery(q.id, { text: t(lang, 'trash_restored') });
+                showTrashPanel(chatId, 0, msgId);
+            }
+            if (act === 'del') confirmDeletion(chatId, msgId, t(lang, 'trash_purge_confirm', { label: sanitize(item.label) }), `tr_delok_${item._id}`, 'tr_list_0', lang);
+            if (act === 'delok') {
+                await Trash.deleteOne({ _id: item._id });
+                logAudit(chatId, 'trash_purge', `${item.kind} ${item.key}`, { label: item.label });
+                showTrashPanel(chatId, 0, msgId);
+            }
+        }
+        if (data === 'trash_ret') {
+            if (!await hasPermission(chatId, 'settings')) return;
+            const c = await Settings.findOne({ key: 'config' }) || await Settings.create({});
+            const options = CONFIG.trashRetentionOptions;
+            const before = c.trashRetentionDays;
+            c.trashRetentionDays = options[(options.indexOf(before) + 1) % options.length];
+            await c.save();
+            logAudit(chatId, 'setting_change', 'trashRetentionDays', { value: before }, { value: c.trashRetentionDays });
+            showSettingsPanel(chatId, msgId);
         }
 
     } catch (e) {
         console.error("Callback Error:", e);
-        bot.answerCallbackQuery(q.id, { text: "Tizim xatosi!" });
+        bot.answerCallbackQuery(q.id, { text: "Tizim xatosi!" }).catch(() => { });
+    } finally {
+        state.persist(chatId);
+    }
+});
+
+// ==========================================
+// 6.1. INLINE MODE (@bot qidiruv)
+// ==========================================
+
+bot.on('inline_query', async (iq) => {
+    const query = (iq.query || '').trim();
+    const offset = parseInt(iq.offset) || 0;
+    const limit = 20;
+
+    try {
+        const user = await User.findOne({ telegramId: iq.from.id }).lean();
+        if (user?.isBanned) return bot.answerInlineQuery(iq.id, [], { cache_time: 60, is_personal: true });
+
+        const conf = await Settings.findOne({ key: 'config' }) || { hideAdultContent: true };
+        const excludeAdult = conf.hideAdultContent && isMinor(user);
+        const filter = excludeAdult ? { isAdult: { $ne: true } } : {};
+
+        let movies;
+        if (!query) {
+            movies = await Movie.find(filter).sort({ views: -1 }).skip(offset).limit(limit).lean();
+        } else if (/^\d+$/.test(query)) {
+            movies = offset ? [] : await Movie.find({ ...filter, code: parseInt(query) }).lean();
+        } else {
+            const codes = (await searchMovies(query, { excludeAdult })).slice(offset, offset + limit).map(m => m.code);
+            const docs = await Movie.find({ code: { $in: codes } }).lean();
+            movies = codes.map(c => docs.find(d => d.code === c)).filter(Boolean);
+        }
+
+        const lang = userLang(user);
+        const results = movies.map(m => buildInlineResult(m, lang));
+        const nextOffset = movies.length === limit ? String(offset + limit) : '';
+        // Doim shaxsiy: 18+ filtri (va til) userga bog'liq. Umumiy keshlansa, kattalarga chiqqan 18+ natijalar
+        // Telegram keshidan voyaga yetmaganlarga ham berilardi
+        await bot.answerInlineQuery(iq.id, results, { cache_time: 300, is_personal: true, next_offset: nextOffset });
+    } catch (e) {
+        console.error("Inline Query Error:", e.message);
+    }
+});
+
+function buildInlineResult(movie, lang) {
+    const caption = buildMovieCaption(movie, lang);
+    const title = movieTitle(movie, lang);
+    const reply_markup = {
+        inline_keyboard: [[{ text: t(lang, 'btn_watch'), url: movieLink(movie.code) }]]
+    };
+    const description = `${t(lang, movie.contentType === 'series' ? 'inline_series' : 'inline_movie')} | ${t(lang, 'inline_code')}: ${movie.code} | ${movie.country || ''}`;
+
+    if (movie.posterId) {
+        return {
+            type: 'photo',
+            id: String(movie.code),
+            photo_file_id: movie.posterId,
+            title,
+            description,
+            caption,
+            parse_mode: 'HTML',
+            reply_markup
+        };
+    }
+    return {
+        type: 'article',
+        id: String(movie.code),
+        title,
+        description,
+        input_message_content: { message_text: caption, parse_mode: 'HTML' },
+        reply_markup
+    };
+}
+
+// ==========================================
+// 6.2. JOIN REQUESTS (yopiq kanallar)
+// ==========================================
+
+// Bot kanalda "a'zolarni qo'shish" huquqiga ega admin bo'lsa, so'rovlar shu yerga keladi
+bot.on('chat_join_request', async (req) => {
+    try {
+        const channelId = String(req.chat.id);
+        const ch = await Channel.findOne({ channelId }).lean();
+        if (!ch) return;
+        await JoinRequest.updateOne({ channelId, userId: req.from.id }, { $setOnInsert: { createdAt: new Date() } }, { upsert: true });
+        // Kampaniya hisobiga so'rov tasdiqlanib a'zo bo'lgandagina yoziladi (checkSubscription)
+    } catch (e) {
+        console.error("Join Request Error:", e.message);
     }
 });
 
@@ -802,172 +3490,630 @@ async function handleRating(userId, data, qId) {
     const [_, codeStr, scoreStr] = data.split('_');
     const code = parseInt(codeStr);
     const score = parseInt(scoreStr);
-    const res = await Movie.updateOne(
-        { code: code, ratedUsers: { $ne: userId } },
-        { $push: { ratedUsers: userId }, $inc: { ratingSum: score, ratingCount: 1 } }
-    );
-    if (res.modifiedCount > 0) bot.answerCallbackQuery(qId, { text: `⭐️ ${score} baho qabul qilindi!` });
-    else bot.answerCallbackQuery(qId, { text: "⛔️ Siz allaqachon ovoz bergansiz!", show_alert: true });
+    const lang = await getLang(userId);
+    if (!(score >= 1 && score <= 5) || !await Movie.exists({ code })) return bot.answerCallbackQuery(qId, { text: t(lang, 'not_found') });
+
+    // Oldingi bahoni atomar almashtiramiz va agregatlarni farq bo'yicha yangilaymiz
+    let prev;
+    try {
+        prev = await Rating.findOneAndUpdate({ code, userId }, { score, legacy: false, $unset: { legacyShare: 1 } }, { upsert: true, new: false });
+    } catch (e) {
+        if (e.code === 11000) return bot.answerCallbackQuery(qId, { text: t(lang, 'wait_short') }); // Bir vaqtda ikki marta bosildi
+        throw e;
+    }
+
+    if (!prev) {
+        await Movie.updateOne({ code }, { $inc: { ratingSum: score, ratingCount: 1, [`ratingDist.${score - 1}`]: 1 } });
+        return bot.answerCallbackQuery(qId, { text: t(lang, 'rate_ok', { score }) });
+    }
+    if (prev.score === score && !prev.legacy) return bot.answerCallbackQuery(qId, { text: t(lang, 'rate_same', { score }) });
+
+    // Eski ovoz yaxlitlangan o'rtacha bilan yozilgan: summadan uning aniq ulushini ayiramiz, aks holda o'rtacha siljiydi
+    const prevValue = prev.legacy ? (prev.legacyShare ?? prev.score) : prev.score;
+    await Movie.updateOne({ code }, { $inc: { ratingSum: score - prevValue, [`ratingDist.${prev.score - 1}`]: -1, [`ratingDist.${score - 1}`]: 1 } });
+    bot.answerCallbackQuery(qId, { text: prev.score === score ? t(lang, 'rate_same', { score }) : t(lang, 'rate_changed', { prev: prev.score, score }) });
 }
 
-async function handleDownloadMovie(userId, data, qId) {
-    if (isDownloadFlooding(userId)) return bot.answerCallbackQuery(qId, { text: `⏳ Kuting!`, show_alert: true });
+// Eski sxema: Movie.ratedUsers (faqat kim ovoz bergani) + ratingSum/ratingCount.
+// Individual baholar saqlanmagan, shuning uchun har bir eski ovozga yaxlitlangan o'rtacha baho yoziladi (taqsimot uchun).
+// ratingSum aniq qoladi; eski ovoz o'zgartirilganda handleRating summadan legacyShare ni ayiradi
+async function migrateRatings() {
+    try {
+        const cursor = Movie.collection.find(
+            { $or: [{ ratedUsers: { $exists: true } }, { ratingDist: { $exists: false } }] },
+            { projection: { code: 1, ratedUsers: 1, ratingSum: 1, ratingCount: 1 } }
+        );
+        let migrated = 0;
+        for await (const m of cursor) {
+            const dist = [0, 0, 0, 0, 0];
+            const voters = m.ratedUsers || [];
+            if (m.ratingCount > 0) {
+                const share = m.ratingSum / m.ratingCount;
+                const avg = Math.min(5, Math.max(1, Math.round(share)));
+                dist[avg - 1] = m.ratingCount;
+                if (voters.length) {
+                    await Rating.insertMany(voters.map(userId => ({ code: m.code, userId, score: avg, legacy: true, legacyShare: share })), { ordered: false })
+                        .catch(e => { if (e.code !== 11000) throw e; });
+                }
+            }
+            await Movie.collection.updateOne({ _id: m._id }, { $set: { ratingDist: dist }, $unset: { ratedUsers: "" } });
+            if (voters.length) migrated++;
+        }
+        if (migrated) console.log(`⭐️ ${migrated} ta kino reytingi yangi kolleksiyaga ko'chirildi`);
+    } catch (e) {
+        console.error("Rating Migration Error:", e.message);
+    }
+}
 
+function formatRatingDistribution(movie) {
+    if (!movie.ratingCount) return '';
+    const dist = movie.ratingDist || [];
+    let txt = '';
+    for (let star = 5; star >= 1; star--) {
+        const count = dist[star - 1] || 0;
+        const pct = Math.round(count / movie.ratingCount * 100);
+        txt += `${star}⭐️ ${'▰'.repeat(Math.round(pct / 10))}${'▱'.repeat(10 - Math.round(pct / 10))} ${pct}%\n`;
+    }
+    return txt;
+}
+
+async function handleFavoriteToggle(userId, data, qId) {
     const code = parseInt(data.split('_')[1]);
+    const lang = await getLang(userId);
+    if (!await Movie.exists({ code })) return bot.answerCallbackQuery(qId, { text: t(lang, 'not_found'), show_alert: true });
+
+    const added = await User.updateOne({ telegramId: userId, favorites: { $ne: code } }, { $push: { favorites: code } });
+    if (added.modifiedCount > 0) {
+        return bot.answerCallbackQuery(qId, { text: t(lang, 'fav_added'), show_alert: true });
+    }
+    await User.updateOne({ telegramId: userId }, { $pull: { favorites: code } });
+    bot.answerCallbackQuery(qId, { text: t(lang, 'fav_removed') });
+}
+
+async function showFavorites(chatId, user, page = 0, msgId = null) {
+    const limit = CONFIG.searchPageSize;
+    const lang = userLang(user);
+    // Yosh chegarasi bu yerda ham: tug'ilgan yil so'ralishidan oldin saqlangan 18+ kinolar ko'rinmasin
+    const filter = { code: { $in: user?.favorites || [] }, ...await getCatalogFilter(chatId) };
+    const total = await Movie.countDocuments(filter);
+    const movies = await Movie.find(filter, { code: 1, title: 1, titles: 1, contentType: 1 })
+        .sort({ title: 1 }).skip(page * limit).limit(limit).lean();
+
+    const txt = total ? t(lang, 'favorites_title', { total }) : t(lang, 'favorites_empty');
+    const kb = buildMovieButtons(movies, lang);
+    const navRow = buildPageNavRow('favp', page, total, limit);
+    if (navRow.length) kb.push(navRow);
+
+    const opts = { parse_mode: 'HTML', reply_markup: { inline_keyboard: kb } };
+    if (msgId) bot.editMessageText(txt, { chat_id: chatId, message_id: msgId, ...opts }).catch(() => { });
+    else safeSend(chatId, txt, opts);
+}
+
+// Yangi qism qo'shilganda serialni saqlagan userlarga xabar (reklama kabi tezlik cheklovi bilan)
+// Bir guruh userga xabar (send har bir user uchun chaqiriladi). Bloklaganlar belgilanadi, yuborilganlar soni qaytadi
+async function notifyUsers(query, send) {
+    let sent = 0;
+    const cursor = User.find({ ...query, isBanned: false, isActive: true }, { telegramId: 1, language: 1 }).cursor();
+    for (let user = await cursor.next(); user != null; user = await cursor.next()) {
+        await waitSendSlot();
+        try {
+            await send(user);
+            sent++;
+        } catch (e) {
+            if (e.response && (e.response.statusCode === 403 || e.response.statusCode === 400)) {
+                await markUserBlocked(user.telegramId);
+            }
+        }
+    }
+    return sent;
+}
+
+async function notifyFavoriteSubscribers(movie, episode) {
+    const epName = episode.name ? ` (${episode.name})` : '';
+    const render = lang => ({
+        text: `${t(lang, 'new_episode')}\n\n📺 <b>${movieTitle(movie, lang)}</b> | ${episodeLabel(episode, lang)}${epName}`,
+        opts: { parse_mode: 'HTML', reply_markup: { inline_keyboard: [[{ text: t(lang, 'btn_watch'), callback_data: `open_${movie.code}` }]] } }
+    });
+    const messages = Object.fromEntries(CONFIG.languages.map(l => [l, render(l)]));
+
+    try {
+        await notifyUsers({ favorites: movie.code }, user => {
+            const { text, opts } = messages[userLang(user)];
+            return bot.sendMessage(user.telegramId, text, opts);
+        });
+    } catch (e) {
+        console.error("Favorite Notify Error:", e.message);
+    }
+}
+
+async function handleDownloadMovie(userId, data, qId) {
+    const lang = await getLang(userId);
+    if (isDownloadFlooding(userId)) return bot.answerCallbackQuery(qId, { text: t(lang, 'wait'), show_alert: true });
+
+    const [, codeStr, idxStr] = data.split('_');
+    const code = parseInt(codeStr);
     const movie = await Movie.findOne({ code });
-    if (!movie) return bot.answerCallbackQuery(qId, { text: "❌ Topilmadi", show_alert: true });
+    if (!movie) return bot.answerCallbackQuery(qId, { text: t(lang, 'not_found'), show_alert: true });
+
+    const variant = getVideoVariants(movie)[parseInt(idxStr) || 0];
+    if (!variant) return bot.answerCallbackQuery(qId, { text: t(lang, 'quality_not_found'), show_alert: true });
 
     const user = await User.findOne({ telegramId: userId });
     const conf = await Settings.findOne({ key: 'config' }) || { globalDownload: true };
-    if (!conf.globalDownload || !user.restrictions.canDownload) return bot.answerCallbackQuery(qId, { text: "🚫 Yuklash taqiqlangan.", show_alert: true });
+    if (!conf.globalDownload || !user.restrictions.canDownload) return bot.answerCallbackQuery(qId, { text: t(lang, 'download_forbidden'), show_alert: true });
+    if (movie.isAdult && isMinor(user)) return bot.answerCallbackQuery(qId, { text: t(lang, 'adult_refusal'), show_alert: true });
 
-    bot.answerCallbackQuery(qId, { text: "🚀 Yuborilmoqda..." });
+    bot.answerCallbackQuery(qId, { text: t(lang, 'sending') });
     bot.sendChatAction(userId, 'upload_video');
     Movie.updateOne({ code }, { $inc: { downloads: 1 } }).exec();
+    trackEvent('download', userId, code);
 
     const protect = conf.globalProtection || user.restrictions.contentProtected;
     try {
-        await bot.sendVideo(userId, movie.fileId, {
-            caption: `🎬 <b>${movie.title}</b>\n\n🤖 @${BOT_USERNAME}`,
+        await bot.sendVideo(userId, variant.fileId, {
+            caption: `🎬 <b>${movieTitle(movie, lang)}</b> | 💿 ${variant.quality}\n\n🤖 @${BOT_USERNAME}`,
             parse_mode: 'HTML',
             protect_content: protect
         });
     } catch (e) {
-        safeSend(userId, "⚠️ Video fayl xatosi yoki o'chirilgan.");
+        safeSend(userId, t(lang, 'video_error'));
     }
 }
 
 async function handleDownloadEpisode(userId, data, qId) {
-    if (isDownloadFlooding(userId)) return bot.answerCallbackQuery(qId, { text: `⏳ Kuting!`, show_alert: true });
-
-    const [_, __, codeStr, epNumStr] = data.split('_');
+    const [_, __, codeStr, refStr, idxStr] = data.split('_');
     const code = parseInt(codeStr);
-    const epNum = parseInt(epNumStr);
+    const ref = parseEpisodeRef(refStr);
+    const lang = await getLang(userId);
 
     const movie = await Movie.findOne({ code });
-    if (!movie || movie.contentType !== 'series') return bot.answerCallbackQuery(qId, { text: "❌ Serial topilmadi", show_alert: true });
+    if (!movie || movie.contentType !== 'series') return bot.answerCallbackQuery(qId, { text: t(lang, 'series_not_found'), show_alert: true });
+
+    const episode = ref && findEpisode(movie, ref.season, ref.number);
+    if (!episode) return bot.answerCallbackQuery(qId, { text: t(lang, 'episode_not_found'), show_alert: true });
+    const epLabel = episodeLabel(episode, lang);
+    const title = movieTitle(movie, lang);
+
+    // Bir nechta sifat bo'lsa avval tanlash tugmalarini ko'rsatamiz
+    const variants = getVideoVariants(episode, movie.quality);
+    if (idxStr === undefined && variants.length > 1) {
+        bot.answerCallbackQuery(qId);
+        return safeSend(userId, `📺 <b>${title}</b> | ${epLabel}\n\n${t(lang, 'choose_quality')}`, {
+            parse_mode: 'HTML',
+            reply_markup: { inline_keyboard: variants.map((v, i) => [{ text: `📥 ${v.quality}`, callback_data: `s_dl_${code}_${episodeRef(episode)}_${i}` }]) }
+        });
+    }
+    const variant = variants[parseInt(idxStr) || 0];
+    if (!variant) return bot.answerCallbackQuery(qId, { text: t(lang, 'quality_not_found'), show_alert: true });
 
-    const episode = movie.episodes.find(e => e.number === epNum);
-    if (!episode) return bot.answerCallbackQuery(qId, { text: "❌ Qism topilmadi", show_alert: true });
+    if (isDownloadFlooding(userId)) return bot.answerCallbackQuery(qId, { text: t(lang, 'wait'), show_alert: true });
 
     const user = await User.findOne({ telegramId: userId });
     const conf = await Settings.findOne({ key: 'config' }) || { globalDownload: true };
-    if (!conf.globalDownload || !user.restrictions.canDownload) return bot.answerCallbackQuery(qId, { text: "🚫 Yuklash taqiqlangan.", show_alert: true });
+    if (!conf.globalDownload || !user.restrictions.canDownload) return bot.answerCallbackQuery(qId, { text: t(lang, 'download_forbidden'), show_alert: true });
+    if (movie.isAdult && isMinor(user)) return bot.answerCallbackQuery(qId, { text: t(lang, 'adult_refusal'), show_alert: true });
 
-    bot.answerCallbackQuery(qId, { text: `🚀 ${epNum}-qism yuborilmoqda...` });
+    bot.answerCallbackQuery(qId, { text: t(lang, 'episode_sending', { episode: epLabel }) });
+    trackEvent('download', userId, code);
     bot.sendChatAction(userId, 'upload_video');
 
     const protect = conf.globalProtection || user.restrictions.contentProtected;
     const epNameDisplay = episode.name ? ` (${episode.name})` : '';
 
     try {
-        await bot.sendVideo(userId, episode.fileId, {
-            caption: `📺 <b>${movie.title}</b> | ${epNum}-qism${epNameDisplay}\n\n🤖 @${BOT_USERNAME}`,
+        await bot.sendVideo(userId, variant.fileId, {
+            caption: `📺 <b>${title}</b> | ${epLabel}${epNameDisplay}\n\n🤖 @${BOT_USERNAME}`,
             parse_mode: 'HTML',
             protect_content: protect
         });
     } catch (e) {
-        safeSend(userId, "⚠️ Video fayl xatosi.");
+        safeSend(userId, t(lang, 'video_error'));
     }
 }
 
 async function handleSeriesNavigation(userId, data, msgId, qId) {
-    const [_, __, codeStr, pageStr] = data.split('_');
+    // s_nav_{code}_{page}_{season} yoki s_seas_{code} (fasllar ro'yxatiga qaytish)
+    const [_, act, codeStr, pageStr, seasonStr] = data.split('_');
     const code = parseInt(codeStr);
-    const page = parseInt(pageStr);
+    const page = parseInt(pageStr) || 0;
+    const season = act === 'nav' && seasonStr ? parseInt(seasonStr) : null;
 
+    const lang = await getLang(userId);
     const movie = await Movie.findOne({ code });
-    if (!movie) return bot.answerCallbackQuery(qId, { text: "❌ Serial topilmadi" });
+    if (!movie) return bot.answerCallbackQuery(qId, { text: t(lang, 'series_not_found') });
 
-    const keyboard = generateSeriesKeyboard(movie, page);
+    const keyboard = generateSeriesKeyboard(movie, lang, page, season);
 
     try {
         await bot.editMessageReplyMarkup(keyboard, { chat_id: userId, message_id: msgId });
         bot.answerCallbackQuery(qId);
     } catch (e) {
-        bot.answerCallbackQuery(qId, { text: "🔄 Yangilandi" });
+        bot.answerCallbackQuery(qId, { text: t(lang, 'refreshed') });
     }
 }
 
-function generateSeriesKeyboard(movie, page = 0) {
-    const limit = 5;
-    const totalEps = movie.episodes.length;
-    const start = page * limit;
-    const end = start + limit;
-    const currentEps = movie.episodes.slice(start, end);
+// Avval Mongo'da har bir so'zning boshidagi 2 harf bo'yicha nomzodlar tanlanadi (searchWords indeksi), keyin faqat ular fuzzy baholanadi.
+// Shu sababli birinchi ikki harfdagi xato topilmaydi - qolgan xatolar o'xshashlik bo'yicha tuzatiladi.
+// Nomzodlar ko'rishlar bo'yicha kesilmaydi: kam ko'rilgan, lekin aynan mos kino ham baholanadi
+async function searchMovies(query, { excludeAdult = false } = {}) {
+    const q = normalizeText(query);
+    if (!q) return [];
+
+    const words = q.split(' ');
+    const prefixes = [...new Set((words.some(w => w.length >= 2) ? words.filter(w => w.length >= 2) : words).map(w => w.slice(0, 2)))];
+    const filter = { searchWords: { $all: prefixes.map(p => new RegExp(`^${p}`)) } };
+    if (excludeAdult) filter.isAdult = { $ne: true };
+    const cursor = Movie.find(filter, { code: 1, title: 1, titles: 1, country: 1, language: 1, contentType: 1, views: 1 })
+        .lean()
+        .cursor({ batchSize: CONFIG.searchBatchSize });
+    const scored = [];
+    for await (const m of cursor) {
+        // Asosiy nom va tarjima nomlarning eng yaxshi mosligi
+        const titleScore = Math.max(...[m.title, m.titles?.ru, m.titles?.en].filter(Boolean).map(title => similarityScore(q, normalizeText(title))), 0);
+        const metaScore = similarityScore(q, normalizeText(`${m.country || ''} ${m.language || ''}`)) * 0.8;
+        const score = Math.max(titleScore, metaScore);
+        if (score >= 0.7) scored.push({ code: m.code, title: m.title, titles: m.titles, contentType: m.contentType, views: m.views, score });
+    }
 
-    const epButtons = currentEps.map(ep => ({
-        text: `${ep.number}`,
-        callback_data: `s_dl_${movie.code}_${ep.number}`
-    }));
+    return scored
+        .sort((a, b) => (b.score - a.score) || (b.views - a.views))
+        .slice(0, CONFIG.searchMaxResults);
+}
 
-    const rows = [];
-    let tempRow = [];
-    for (let i = 0; i < epButtons.length; i++) {
-        tempRow.push(epButtons[i]);
-        if (tempRow.length === 5 || i === epButtons.length - 1) {
-            rows.push(tempRow);
-            tempRow = [];
+// Qidiruv maydoni qo'shilishidan oldingi (yoki bazaga to'g'ridan-to'g'ri yozilgan) kinolar uchun searchWords to'ldiriladi
+async function migrateSearchWords() {
+    try {
+        const cursor = Movie.collection.find(
+            { searchWords: { $exists: false } },
+            { projection: { title: 1, titles: 1, country: 1, language: 1 } }
+        );
+        let ops = [], migrated = 0;
+        for await (const m of cursor) {
+            ops.push({ updateOne: { filter: { _id: m._id }, update: { $set: { searchWords: buildSearchWords(m) } } } });
+            if (ops.length === 500) { await Movie.collection.bulkWrite(ops, { ordered: false }); migrated += ops.length; ops = []; }
         }
+        if (ops.length) { await Movie.collection.bulkWrite(ops, { ordered: false }); migrated += ops.length; }
+        if (migrated) console.log(`🔎 ${migrated} ta kino qidiruv indeksiga qo'shildi`);
+    } catch (e) {
+        console.error("Search Migration Error:", e.message);
     }
+}
 
-    const navRow = [];
-    if (page > 0) {
-        navRow.push({ text: "⬅️", callback_data: `s_nav_${movie.code}_${page - 1}` });
-    }
-    if (end < totalEps) {
-        navRow.push({ text: "➡️", callback_data: `s_nav_${movie.code}_${page + 1}` });
-    }
+function buildSearchResultsView(chatId, page, lang) {
+    const cached = searchCache.get(chatId);
+    const limit = CONFIG.searchPageSize;
+    const total = cached.results.length;
+    const start = page * limit;
+    const end = start + limit;
 
-    const ratingRow = [1, 2, 3, 4, 5].map(r => ({ text: `${r}⭐️`, callback_data: `rate_${movie.code}_${r}` }));
+    const rows = buildMovieButtons(cached.results.slice(start, end), lang);
+
+    const navRow = buildPageNavRow('srch', page, total, limit);
+    if (navRow.length) rows.push(navRow);
 
     return {
-        inline_keyboard: [
-            ratingRow,
-            ...rows,
-            navRow,
-            [{ text: "♻️ Do'stlarga ulashish", url: `https://t.me/share/url?url=https://t.me/${BOT_USERNAME}?start=${movie.code}` }]
-        ]
+        text: t(lang, 'search_results', { query: cached.query, total }),
+        markup: { inline_keyboard: rows }
     };
 }
 
-async function showMovieCard(chatId, code, user) {
+function buildMovieButtons(movies, lang, badge = () => '') {
+    return movies.map(m => [{
+        text: `${badge(m)}${m.contentType === 'series' ? '📺' : '🎬'} ${movieTitle(m, lang)} (${m.code})`,
+        callback_data: `open_${m.code}`
+    }]);
+}
+
+async function handleSearchNavigation(userId, data, msgId, qId) {
+    const page = parseInt(data.split('_')[1]);
+    const lang = await getLang(userId);
+    if (!searchCache.has(userId)) {
+        return bot.answerCallbackQuery(qId, { text: t(lang, 'search_expired'), show_alert: true });
+    }
+
+    const view = buildSearchResultsView(userId, page, lang);
     try {
-        const movie = await Movie.findOneAndUpdate(
-            { code: parseInt(code) },
-            { $inc: { views: 1 } },
-            { new: true }
-        );
+        await bot.editMessageText(view.text, { chat_id: userId, message_id: msgId, parse_mode: 'HTML', reply_markup: view.markup });
+        bot.answerCallbackQuery(qId);
+    } catch (e) {
+        bot.answerCallbackQuery(qId, { text: t(lang, 'refreshed') });
+    }
+}
 
-        if (!movie) {
-            return safeSend(chatId, "❌ <b>Topilmadi.</b> Kod noto'g'ri.", { parse_mode: 'HTML' });
+// --- TOP / MASHHUR / YANGI ro'yxatlari ---
+// Matnlar I18N'da: disc_{kind}, disc_{kind}_title, disc_{kind}_empty
+
+const DISCOVERY_LISTS = {
+    top: {
+        badge: m => `⭐️ ${m.avg.toFixed(1)} | `,
+        fetch: filter => Movie.aggregate([
+            { $match: { ...filter, ratingCount: { $gte: CONFIG.topMinVotes } } },
+            { $addFields: { avg: { $divide: ['$ratingSum', '$ratingCount'] } } },
+            { $sort: { avg: -1, ratingCount: -1 } },
+            { $limit: CONFIG.searchMaxResults },
+            { $project: { code: 1, title: 1, titles: 1, contentType: 1, avg: 1 } }
+        ])
+    },
+    popular: {
+        badge: m => `🔥 ${m.hits} | `,
+        fetch: async filter => {
+            const hits = await Event.aggregate([
+                { $match: { type: { $in: ['view', 'download'] }, createdAt: { $gte: new Date(Date.now() - CONFIG.popularDays * 86400000) } } },
+                { $group: { _id: '$code', hits: { $sum: 1 } } },
+                { $sort: { hits: -1 } },
+                { $limit: CONFIG.searchMaxResults * 2 } // Filtrdan (18+, o'chirilgan) keyin ham ro'yxat to'lsin
+            ]);
+            const movies = await Movie.find({ ...filter, code: { $in: hits.map(h => h._id) } }, { code: 1, title: 1, titles: 1, contentType: 1 }).lean();
+            const byCode = new Map(movies.map(m => [m.code, m]));
+            return hits.filter(h => byCode.has(h._id)).slice(0, CONFIG.searchMaxResults).map(h => ({ ...byCode.get(h._id), hits: h.hits }));
         }
+    },
+    new: {
+        badge: m => m.contentType === 'series' && m.lastAddedAt > m.createdAt ? '🆕 ' : '',
+        fetch: filter => Movie.aggregate([
+            { $match: filter },
+            // Serial uchun oxirgi qism qo'shilgan vaqt hisobga olinadi
+            { $addFields: { lastAddedAt: { $max: ['$createdAt', { $max: { $ifNull: ['$episodes.addedAt', []] } }] } } },
+            { $sort: { lastAddedAt: -1 } },
+            { $limit: CONFIG.searchMaxResults },
+            { $project: { code: 1, title: 1, titles: 1, contentType: 1, createdAt: 1, lastAddedAt: 1 } }
+        ])
+    }
+};
 
-        const rating = movie.ratingCount > 0 ? (movie.ratingSum / movie.ratingCount).toFixed(1) : "0";
-        const typeText = movie.contentType === 'series' ? '📺 SERIAL' : '🎬 KINO';
+async function showDiscoveryList(chatId, kind, page = 0, msgId = null) {
+    const list = DISCOVERY_LISTS[kind];
+    const limit = CONFIG.searchPageSize;
+    const lang = await getLang(chatId);
+    const movies = await list.fetch(await getCatalogFilter(chatId));
 
-        let caption = `${typeText}: <b>${movie.title}</b>\n\n🌍 ${movie.country} | 🗣 ${movie.language}\n💿 ${movie.quality} | ⏳ ${movie.duration}\n\n👁 ${movie.views} | ⭐️ ${rating}\n\n`;
-        if (movie.isAdult) caption += "🔞 <b>18+ SAHNALAR MAVJUD!</b>\n";
-        if (movie.contentType === 'series') caption += `📂 Jami qismlar: ${movie.episodes.length} ta\n👇 Quyidan qismni tanlang:`;
+    const title = t(lang, `disc_${kind}_title`, { days: CONFIG.popularDays });
+    const txt = `${title}\n\n${movies.length ? t(lang, 'choose') : t(lang, `disc_${kind}_empty`, { votes: CONFIG.topMinVotes })}`;
+    const kb = buildMovieButtons(movies.slice(page * limit, (page + 1) * limit), lang, list.badge);
+    const navRow = buildPageNavRow(`disc_${kind}`, page, movies.length, limit);
+    if (navRow.length) kb.push(navRow);
+    kb.push(Object.keys(DISCOVERY_LISTS).filter(k => k !== kind).map(k => ({ text: t(lang, `disc_${k}`), callback_data: `disc_${k}_0` })));
 
-        let markup;
+    const opts = { parse_mode: 'HTML', reply_markup: { inline_keyboard: kb } };
+    if (msgId) bot.editMessageText(txt, { chat_id: chatId, message_id: msgId, ...opts }).catch(() => { });
+    else safeSend(chatId, txt, opts);
+}
 
-        if (movie.contentType === 'series') {
-            markup = generateSeriesKeyboard(movie, 0);
-        } else {
-            markup = {
-                inline_keyboard: [
-                    // Rating row
-                    [1, 2, 3, 4, 5].map(r => ({ text: `${r}⭐️`, callback_data: `rate_${movie.code}_${r}` })),
-                    // Download row
-                    [{ text: `📥 Yuklab olish (${movie.quality})`, callback_data: `dl_${movie.code}` }],
-                    // Share row
-                    [{ text: "♻️ Do'stlarga ulashish", url: `https://t.me/share/url?url=https://t.me/${BOT_USERNAME}?start=${movie.code}` }]
-                ]
-            };
-        }
+// --- CATALOG (Janr / Davlat / Til / Yil bo'yicha) ---
 
-        if (movie.posterId) {
+// Sarlavhalar I18N'da: catalog_{dim}
+const CATALOG_DIMENSIONS = {
+    g: { field: 'genres' },
+    c: { field: 'country' },
+    l: { field: 'language' },
+    y: { field: 'releaseYear' }
+};
+
+async function getCatalogFilter(userId) {
+    const user = await User.findOne({ telegramId: userId }).lean();
+    const conf = await Settings.findOne({ key: 'config' }) || { hideAdultContent: true };
+    return conf.hideAdultContent && isMinor(user) ? { isAdult: { $ne: true } } : {};
+}
+
+// Tanlangan o'lchov bo'yicha qiymatlar ro'yxati
+async function getCatalogValues(dim, filter) {
+    const field = CATALOG_DIMENSIONS[dim].field;
+    const pipeline = [{ $match: { ...filter, [field]: { $nin: [null, ''] } } }];
+    if (field === 'genres') pipeline.push({ $unwind: '$genres' });
+    pipeline.push({ $group: { _id: `$${field}`, count: { $sum: 1 } } });
+
+    const values = (await Movie.aggregate(pipeline)).map(v => ({ value: v._id, count: v.count }));
+    if (field === 'genres') return values.sort((a, b) => GENRES.indexOf(a.value) - GENRES.indexOf(b.value));
+    if (field === 'releaseYear') return values.sort((a, b) => b.value - a.value);
+    return values.sort((a, b) => String(a.value).localeCompare(String(b.value)));
+}
+
+// callback_data uchun qiymatning qisqa barqaror kaliti: ro'yxat o'zgarsa ham (yangi davlat qo'shilsa) o'sha qiymatga olib boradi
+function catalogValueKey(value) {
+    return crypto.createHash('md5').update(String(value)).digest('hex').slice(0, 10);
+}
+
+function buildPageNavRow(prefix, page, total, limit) {
+    const navRow = [];
+    if (page > 0) navRow.push({ text: "⬅️", callback_data: `${prefix}_${page - 1}` });
+    if (total > limit) navRow.push({ text: `${page + 1}/${Math.ceil(total / limit)}`, callback_data: 'noop' });
+    if ((page + 1) * limit < total) navRow.push({ text: "➡️", callback_data: `${prefix}_${page + 1}` });
+    return navRow;
+}
+
+async function showCatalogMenu(chatId, msgId = null) {
+    const lang = await getLang(chatId);
+    const kb = [
+        [{ text: t(lang, 'catalog_g'), callback_data: "cat_d_g_0" }, { text: t(lang, 'catalog_c'), callback_data: "cat_d_c_0" }],
+        [{ text: t(lang, 'catalog_l'), callback_data: "cat_d_l_0" }, { text: t(lang, 'catalog_y'), callback_data: "cat_d_y_0" }]
+    ];
+    const txt = t(lang, 'catalog_title');
+    const opts = { parse_mode: 'HTML', reply_markup: { inline_keyboard: kb } };
+
+    if (msgId) bot.editMessageText(txt, { chat_id: chatId, message_id: msgId, ...opts }).catch(() => { });
+    else safeSend(chatId, txt, opts);
+}
+
+async function showCatalogValues(chatId, dim, page, msgId) {
+    const limit = 10;
+    const lang = await getLang(chatId);
+    const values = await getCatalogValues(dim, await getCatalogFilter(chatId));
+    const start = page * limit;
+
+    const buttons = values.slice(start, start + limit).map((v, i) => ({
+        text: `${dim === 'g' ? genreName(v.value, lang) : v.value} (${v.count})`,
+        callback_data: `cat_v_${dim}_${catalogValueKey(v.value)}_0`
+    }));
+    const kb = [];
+    for (let i = 0; i < buttons.length; i += 2) kb.push(buttons.slice(i, i + 2));
+
+    const navRow = buildPageNavRow(`cat_d_${dim}`, page, values.length, limit);
+    if (navRow.length) kb.push(navRow);
+    kb.push([{ text: t(lang, 'btn_back'), callback_data: "cat_home" }]);
+
+    const label = t(lang, `catalog_${dim}`);
+    const txt = values.length ? `${label}:` : t(lang, 'catalog_empty', { label });
+    bot.editMessageText(txt, { chat_id: chatId, message_id: msgId, parse_mode: 'HTML', reply_markup: { inline_keyboard: kb } }).catch(() => { });
+}
+
+async function showCatalogTitles(chatId, dim, key, page, msgId) {
+    const limit = CONFIG.searchPageSize;
+    const lang = await getLang(chatId);
+    const filter = await getCatalogFilter(chatId);
+    const entry = (await getCatalogValues(dim, filter)).find(v => catalogValueKey(v.value) === key);
+    if (!entry) return showCatalogValues(chatId, dim, 0, msgId);
+
+    const query = { ...filter, [CATALOG_DIMENSIONS[dim].field]: entry.value };
+    const total = await Movie.countDocuments(query);
+    const movies = await Movie.find(query, { code: 1, title: 1, titles: 1, contentType: 1 })
+        .sort({ views: -1 }).skip(page * limit).limit(limit).lean();
+
+    const kb = buildMovieButtons(movies, lang);
+    const navRow = buildPageNavRow(`cat_v_${dim}_${key}`, page, total, limit);
+    if (navRow.length) kb.push(navRow);
+    kb.push([{ text: t(lang, 'btn_back'), callback_data: `cat_d_${dim}_0` }]);
+
+    const value = dim === 'g' ? genreName(entry.value, lang) : entry.value;
+    const txt = `${t(lang, `catalog_${dim}`)} ➜ <b>${value}</b>\n${t(lang, 'catalog_total', { total })}`;
+    bot.editMessageText(txt, { chat_id: chatId, message_id: msgId, parse_mode: 'HTML', reply_markup: { inline_keyboard: kb } }).catch(() => { });
+}
+
+// season = null bo'lsa va bir nechta fasl bo'lsa, avval fasl tanlash tugmalari chiqadi
+function generateSeriesKeyboard(movie, lang, page = 0, season = null) {
+    const ratingRow = [1, 2, 3, 4, 5].map(r => ({ text: `${r}⭐️`, callback_data: `rate_${movie.code}_${r}` }));
+    const seasons = getSeasons(movie);
+
+    if (season === null && seasons.length > 1) {
+        const seasonRows = [];
+        for (let i = 0; i < seasons.length; i += 3) {
+            seasonRows.push(seasons.slice(i, i + 3).map(s => ({ text: `📂 ${t(lang, 'season', { season: s })}`, callback_data: `s_nav_${movie.code}_0_${s}` })));
+        }
+        return {
+            inline_keyboard: [
+                ratingRow,
+                ...seasonRows,
+                [{ text: t(lang, 'btn_favorite'), callback_data: `fav_${movie.code}` }],
+                ...buildShareRows(movie.code, lang)
+            ]
+        };
+    }
+
+    const currentSeason = season ?? seasons[0] ?? 1;
+    const seasonEps = getSeasonEpisodes(movie, currentSeason);
+    const limit = 5;
+    const totalEps = seasonEps.length;
+    const start = page * limit;
+    const end = start + limit;
+    const currentEps = seasonEps.slice(start, end);
+
+    const epButtons = currentEps.map(ep => ({
+        text: `${ep.number}`,
+        callback_data: `s_dl_${movie.code}_${episodeRef(ep)}`
+    }));
+
+    const rows = [];
+    let tempRow = [];
+    for (let i = 0; i < epButtons.length; i++) {
+        tempRow.push(epButtons[i]);
+        if (tempRow.length === 5 || i === epButtons.length - 1) {
+            rows.push(tempRow);
+            tempRow = [];
+        }
+    }
+
+    const navRow = [];
+    if (page > 0) {
+        navRow.push({ text: "⬅️", callback_data: `s_nav_${movie.code}_${page - 1}_${currentSeason}` });
+    }
+    if (end < totalEps) {
+        navRow.push({ text: "➡️", callback_data: `s_nav_${movie.code}_${page + 1}_${currentSeason}` });
+    }
+    if (seasons.length > 1) {
+        navRow.push({ text: t(lang, 'btn_seasons', { season: t(lang, 'season', { season: currentSeason }) }), callback_data: `s_seas_${movie.code}` });
+    }
+
+    return {
+        inline_keyboard: [
+            ratingRow,
+            ...rows,
+            navRow,
+            [{ text: t(lang, 'btn_favorite'), callback_data: `fav_${movie.code}` }],
+            ...buildShareRows(movie.code, lang)
+        ]
+    };
+}
+
+// Kino kartasi matni (bot ichida va inline rejimda bir xil)
+function buildMovieCaption(movie, lang = CONFIG.defaultLanguage) {
+    const rating = movie.ratingCount > 0 ? (movie.ratingSum / movie.ratingCount).toFixed(1) : "0";
+    const typeText = t(lang, movie.contentType === 'series' ? 'type_series' : 'type_movie');
+
+    let caption = `${typeText}: <b>${movieTitle(movie, lang)}</b>${movie.releaseYear ? ` (${movie.releaseYear})` : ''}\n\n🌍 ${movie.country} | 🗣 ${movie.language}\n`;
+    if (movie.genres?.length) caption += `🎭 ${movie.genres.map(g => genreName(g, lang)).join(', ')}\n`;
+    const qualities = movie.contentType === 'movie' ? getVideoVariants(movie).map(v => v.quality).join(' / ') : '';
+    caption += `💿 ${qualities || movie.quality} | ⏳ ${movie.duration}\n\n👁 ${movie.views} | ⭐️ ${rating} (${movie.ratingCount} ${t(lang, 'votes')})\n`;
+    caption += `${formatRatingDistribution(movie)}\n`;
+    if (movie.isAdult) caption += `${t(lang, 'adult_warning')}\n`;
+    return caption;
+}
+
+function buildShareRows(code, lang) {
+    return [
+        [{ text: t(lang, 'btn_share_card'), switch_inline_query: String(code) }],
+        [{ text: t(lang, 'btn_share_friends'), url: `https://t.me/share/url?url=${movieLink(code)}` }]
+    ];
+}
+
+async function showMovieCard(chatId, code, user) {
+    try {
+        const movie = await Movie.findOne({ code: parseInt(code) });
+        const lang = userLang(user);
+
+        if (!movie) {
+            return safeSend(chatId, t(lang, 'code_not_found'), {
+                parse_mode: 'HTML',
+                reply_markup: { inline_keyboard: [[{ text: t(lang, 'btn_request'), callback_data: "req_new" }]] }
+            });
+        }
+
+        // 18+ kontentni yashirish rejimi: kartani umuman ko'rsatmaymiz
+        if (movie.isAdult && isMinor(user)) {
+            const conf = await Settings.findOne({ key: 'config' }) || { hideAdultContent: true };
+            if (conf.hideAdultContent) return safeSend(chatId, `🔞 <b>${t(lang, 'adult_refusal')}</b>`, { parse_mode: 'HTML' });
+        }
+
+        await Movie.updateOne({ _id: movie._id }, { $inc: { views: 1 } });
+        trackEvent('view', chatId, movie.code);
+        movie.views += 1;
+
+        let caption = buildMovieCaption(movie, lang);
+        if (movie.contentType === 'series') {
+            const seasonCount = getSeasons(movie).length;
+            caption += seasonCount > 1
+                ? t(lang, 'seasons_info', { seasons: seasonCount, episodes: movie.episodes.length })
+                : t(lang, 'episodes_info', { episodes: movie.episodes.length });
+        }
+
+        let markup;
+
+        if (movie.contentType === 'series') {
+            markup = generateSeriesKeyboard(movie, lang, 0);
+        } else {
+            markup = {
+                inline_keyboard: [
+                    // Rating row
+                    [1, 2, 3, 4, 5].map(r => ({ text: `${r}⭐️`, callback_data: `rate_${movie.code}_${r}` })),
+                    // Download rows (har bir sifat uchun alohida)
+                    ...getVideoVariants(movie).map((v, i) => [{ text: t(lang, 'btn_download', { quality: v.quality }), callback_data: `dl_${movie.code}_${i}` }]),
+                    // Favorites row
+                    [{ text: t(lang, 'btn_favorite'), callback_data: `fav_${movie.code}` }],
+                    // Share rows
+                    ...buildShareRows(movie.code, lang)
+                ]
+            };
+        }
+
+        if (movie.posterId) {
             await bot.sendPhoto(chatId, movie.posterId, {
                 caption,
                 parse_mode: 'HTML',
@@ -978,7 +4124,7 @@ async function showMovieCard(chatId, code, user) {
         }
     } catch (err) {
         console.error("showMovieCard Error:", err);
-        await safeSend(chatId, "❌ <b>Xatolik yuz berdi.</b> Iltimos, keyinroq urinib ko‘ring.", { parse_mode: 'HTML' });
+        await safeSend(chatId, t(userLang(user), 'error_generic'), { parse_mode: 'HTML' });
     }
 }
 
@@ -986,23 +4132,30 @@ async function showMovieCard(chatId, code, user) {
 function showAdminPanel(chatId, msgId = null) {
     isUserAdmin(chatId).then(isAdmin => {
         if (!isAdmin) return;
-        Admin.findOne({ telegramId: chatId }).then(admin => {
+        Promise.all([Admin.findOne({ telegramId: chatId }), getLang(chatId)]).then(([admin, lang]) => {
             const p = chatId === CONFIG.superAdminId ? { movies: true, channels: true, users: true, broadcast: true, settings: true, admins: true } : (admin?.permissions || {});
 
             const buttons = [];
-            buttons.push([{ text: "📊 STATISTIKA", callback_data: "admin_stats" }]);
+            buttons.push([{ text: t(lang, 'adm_stats'), callback_data: "admin_stats" }]);
 
             if (p.movies) buttons.push([
-                { text: "➕ Qo'shish (Kino/Serial)", callback_data: "admin_add_content_select" },
-                { text: "📝 Tahrirlash", callback_data: "admin_edit_movie" }
+                { text: t(lang, 'adm_add'), callback_data: "admin_add_content_select" },
+                { text: t(lang, 'adm_edit'), callback_data: "admin_edit_movie" }
             ]);
-            if (p.channels) buttons.push([{ text: "📢 Kanallar", callback_data: "admin_channels" }]);
-            if (p.users) buttons.push([{ text: "👥 Userlar", callback_data: "admin_users" }]);
-            if (p.broadcast) buttons.push([{ text: "📨 Reklama", callback_data: "admin_broadcast" }]);
-            if (p.settings) buttons.push([{ text: "⚙️ Sozlamalar", callback_data: "admin_settings" }]);
-            if (chatId === CONFIG.superAdminId) buttons.push([{ text: "👮‍♂️ Adminlar", callback_data: "admin_permission_setup" }]);
+            if (p.movies) buttons.push([{ text: t(lang, 'adm_import'), callback_data: "admin_import" }, { text: t(lang, 'adm_requests'), callback_data: "rq_list_0" }]);
+            if (p.channels) buttons.push([{ text: t(lang, 'adm_channels'), callback_data: "admin_channels" }]);
+            if (p.movies || p.channels) buttons.push([{ text: t(lang, 'adm_trash'), callback_data: "tr_list_0" }]);
+            if (p.users) buttons.push([{ text: t(lang, 'adm_users'), callback_data: "admin_users" }]);
+            if (p.broadcast) buttons.push([{ text: t(lang, 'adm_broadcast'), callback_data: "admin_broadcast" }]);
+            if (p.settings) buttons.push([{ text: t(lang, 'adm_settings'), callback_data: "admin_settings" }]);
+            if (chatId === CONFIG.superAdminId) {
+                buttons.push([{ text: t(lang, 'adm_admins'), callback_data: "admin_permission_setup" }, { text: t(lang, 'adm_backup'), callback_data: "admin_backup" }]);
+                buttons.push([{ text: t(lang, 'adm_audit'), callback_data: "aud_0_x_0" }]);
+            }
+            if (DRAFT_ACTIONS.includes(state.get(chatId)?.action)) buttons.push([{ text: t(lang, 'adm_draft'), callback_data: "draft_view" }]);
+            buttons.push([{ text: I18N[lang].lang_name, callback_data: "lang_menu" }]);
 
-            const txt = "🛡 <b>ADMIN PANEL V15.4</b>";
+            const txt = t(lang, 'admin_title');
             const opts = { parse_mode: 'HTML', reply_markup: { inline_keyboard: buttons } };
 
             if (msgId) bot.editMessageText(txt, { chat_id: chatId, message_id: msgId, ...opts }).catch(() => { });
@@ -1031,149 +4184,1746 @@ async function showStatistics(chatId, msgId) {
         }
     ]);
     const m = metrics[0] || { totalViews: 0, totalDownloads: 0, totalEpisodes: 0 };
+    // Tilni tanlamagan eski userlar standart til hisobiga qo'shiladi
+    const langStats = await User.aggregate([{ $group: { _id: { $ifNull: ['$language', CONFIG.defaultLanguage] }, count: { $sum: 1 } } }]);
+    const languages = CONFIG.languages.map(l => `${l.toUpperCase()} <b>${langStats.find(x => x._id === l)?.count || 0}</b>`).join(' | ');
 
     const uptime = ((Date.now() - startTime) / 1000 / 3600).toFixed(2);
     const freeMem = (os.freemem() / 1024 / 1024).toFixed(0);
     const totalMem = (os.totalmem() / 1024 / 1024).toFixed(0);
 
-    const txt = `📊 <b>PROFESSIONAL STATISTIKA</b>\n\n` +
-        `👥 <b>Foydalanuvchilar:</b>\n` +
-        `├ Jami: <b>${totalUsers}</b>\n` +
-        `├ Aktiv: <b>${activeUsers}</b>\n` +
-        `├ Bloklagan: <b>${blockedUsers}</b>\n` +
-        `└ Ban qilingan: <b>${bannedUsers}</b>\n\n` +
-        `🎬 <b>Kontent Bazasi:</b>\n` +
-        `├ Kinolar: <b>${totalMovies}</b> ta\n` +
-        `├ Seriallar: <b>${totalSeries}</b> ta\n` +
-        `└ Jami Qismlar: <b>${m.totalEpisodes}</b> ta\n\n` +
-        `📈 <b>Faollik:</b>\n` +
-        `├ Ko'rishlar: <b>${m.totalViews}</b>\n` +
-        `└ Yuklashlar: <b>${m.totalDownloads}</b>\n\n` +
-        `🖥 <b>Server Holati:</b>\n` +
-        `├ Uptime: <b>${uptime} soat</b>\n` +
-        `└ RAM: <b>${freeMem}MB / ${totalMem}MB</b>`;
-
-    const kb = { inline_keyboard: [[{ text: "🔄 Yangilash", callback_data: "admin_stats" }], [{ text: "🔙 Orqaga", callback_data: "admin_home" }]] };
+    const lang = await getLang(chatId);
+    const txt = t(lang, 'stats_text', {
+        totalUsers, activeUsers, blockedUsers, bannedUsers, totalMovies, totalSeries,
+        totalEpisodes: m.totalEpisodes, totalViews: m.totalViews, totalDownloads: m.totalDownloads,
+        languages, uptime, freeMem, totalMem
+    });
+
+    const kb = {
+        inline_keyboard: [
+            STATS_PERIODS.map(d => ({ text: `📅 ${t(lang, `period_${d}`)}`, callback_data: `st_p_${d}` })),
+            [{ text: t(lang, 'btn_referral_lb'), callback_data: "ref_lb_0" }],
+            [{ text: t(lang, 'btn_refresh'), callback_data: "admin_stats" }],
+            [{ text: t(lang, 'btn_back'), callback_data: "admin_home" }]
+        ]
+    };
 
     if (msgId) bot.editMessageText(txt, { chat_id: chatId, message_id: msgId, parse_mode: 'HTML', reply_markup: kb }).catch(() => { });
     else safeSend(chatId, txt, { parse_mode: 'HTML', reply_markup: kb });
 }
 
-async function showEditMoviePanel(chatId, mid, msgId = null) {
-    const m = await Movie.findById(mid);
-    if (!m) return safeSend(chatId, "❌ Topilmadi");
+// --- REFERAL DASTURI ---
 
-    const typeStr = m.contentType === 'series' ? "📺 SERIAL" : "🎬 KINO";
-    const txt = `📝 Tahrir (${typeStr}): <b>${m.title}</b> (${m.code})`;
+// Faqat yangi qo'shilgan user uchun chaqiriladi; o'zini o'zi taklif qilish va noma'lum ID hisoblanmaydi
+async function recordReferral(user, referrerId) {
+    if (referrerId === user.telegramId || !await User.exists({ telegramId: referrerId })) return;
+    await User.updateOne({ _id: user._id, referredBy: null }, { referredBy: referrerId });
+    user.referredBy = referrerId;
+    const lang = await getLang(referrerId);
+    safeSend(referrerId, t(lang, 'referral_joined', { name: user.firstName || t(lang, 'new_user') }), { parse_mode: 'HTML' });
+}
 
-    const kb = [
-        [{ text: "🏷 Nom", callback_data: `ed_f_title_${mid}` }, { text: "🌍 Davlat", callback_data: `ed_f_country_${mid}` }],
-        [{ text: "🖼 Poster", callback_data: `ed_f_posterId_${mid}` }, { text: "🗑 O'CHIRISH", callback_data: `ed_del_${mid}` }]
-    ];
+async function showReferralScreen(chatId, msgId = null) {
+    const [invited, active] = await Promise.all([
+        User.countDocuments({ referredBy: chatId }),
+        User.countDocuments({ referredBy: chatId, isActive: true })
+    ]);
+    const lang = await getLang(chatId);
+    const link = referralLink(chatId);
+    const txt = t(lang, 'referral_screen', { link, invited, active });
+    const shareText = t(lang, 'referral_share_text');
+    const kb = [[{ text: t(lang, 'btn_referral_share'), url: `https://t.me/share/url?url=${encodeURIComponent(link)}&text=${encodeURIComponent(shareText)}` }]];
 
-    if (m.contentType === 'series') {
-        kb.push([{ text: `➕ YANGI QISM QO'SHISH (${m.episodes.length + 1})`, callback_data: `add_ep_${mid}` }]);
-    } else {
-        kb.push([{ text: "📹 Video", callback_data: `ed_f_fileId_${mid}` }]);
+    const opts = { parse_mode: 'HTML', reply_markup: { inline_keyboard: kb } };
+    if (msgId) bot.editMessageText(txt, { chat_id: chatId, message_id: msgId, ...opts }).catch(() => { });
+    else safeSend(chatId, txt, opts);
+}
+
+async function showReferralLeaderboard(chatId, page, msgId) {
+    const limit = 10;
+    const [rows, totalReferred, weekReferred] = await Promise.all([
+        User.aggregate([
+            { $match: { referredBy: { $ne: null } } },
+            { $group: { _id: '$referredBy', invited: { $sum: 1 }, active: { $sum: { $cond: ['$isActive', 1, 0] } } } },
+            { $sort: { invited: -1, active: -1 } },
+            { $limit: CONFIG.searchMaxResults }
+        ]),
+        User.countDocuments({ referredBy: { $ne: null } }),
+        User.countDocuments({ referredBy: { $ne: null }, joinedAt: { $gte: localDayStart(6) } })
+    ]);
+    const pageRows = rows.slice(page * limit, (page + 1) * limit);
+    const names = await getUserNames(pageRows.map(r => r._id));
+    const lang = await getLang(chatId);
+
+    let txt = t(lang, 'reflb_title', { total: totalReferred, week: weekReferred });
+    if (!rows.length) txt += `\n${t(lang, 'reflb_empty')}`;
+    const kb = pageRows.map((r, i) => [{
+        text: `${page * limit + i + 1}. ${names.get(r._id) || r._id} — ${r.invited} (✅ ${r.active})`,
+        callback_data: `ref_u_${r._id}_0`
+    }]);
+    const navRow = buildPageNavRow('ref_lb', page, rows.length, limit);
+    if (navRow.length) kb.push(navRow);
+    kb.push([{ text: t(lang, 'btn_back'), callback_data: "admin_stats" }]);
+
+    bot.editMessageText(txt, { chat_id: chatId, message_id: msgId, parse_mode: 'HTML', reply_markup: { inline_keyboard: kb } }).catch(() => { });
+}
+
+async function showReferrerDetails(chatId, referrerId, page, msgId) {
+    const limit = 15;
+    const filter = { referredBy: referrerId };
+    const [referrer, total, active, week, month, invited] = await Promise.all([
+        User.findOne({ telegramId: referrerId }).lean(),
+        User.countDocuments(filter),
+        User.countDocuments({ ...filter, isActive: true }),
+        User.countDocuments({ ...filter, joinedAt: { $gte: localDayStart(6) } }),
+        User.countDocuments({ ...filter, joinedAt: { $gte: localDayStart(29) } }),
+        User.find(filter, 'telegramId firstName joinedAt isActive').sort({ joinedAt: -1 }).skip(page * limit).limit(limit).lean()
+    ]);
+
+    const lang = await getLang(chatId);
+    let txt = `👤 <b>${referrer?.firstName || ''}</b> <code>${referrerId}</code>\n\n` +
+        t(lang, 'reflb_details', { total, active, week, month, period7: t(lang, 'period_7'), period30: t(lang, 'period_30') });
+    for (const u of invited) txt += `\n${u.isActive ? '✅' : '🚫'} ${u.firstName || ''} <code>${u.telegramId}</code> — ${formatLocalDate(u.joinedAt)}`;
+
+    const kb = [];
+    const navRow = buildPageNavRow(`ref_u_${referrerId}`, page, total, limit);
+    if (navRow.length) kb.push(navRow);
+    kb.push([{ text: t(lang, 'reflb_back'), callback_data: "ref_lb_0" }]);
+    bot.editMessageText(txt, { chat_id: chatId, message_id: msgId, parse_mode: 'HTML', reply_markup: { inline_keyboard: kb } }).catch(() => { });
+}
+
+// --- KINO SO'ROVLARI (botda yo'q kinolar navbati) ---
+
+async function promptMovieRequest(chatId, lang) {
+    // Adminning tugallanmagan qoralamasi ustidan yozib yubormaslik uchun
+    const action = state.get(chatId)?.action;
+    if (action && !['WAITING_SUB', 'REQUEST_TITLE'].includes(action)) return safeSend(chatId, t(lang, 'req_state_busy'), cancelBtn(lang));
+    state.set(chatId, { action: 'REQUEST_TITLE', timestamp: Date.now() });
+    return safeSend(chatId, t(lang, 'req_prompt'), { parse_mode: 'HTML', ...cancelBtn(lang) });
+}
+
+// Nomlar ikki tomonlama o'xshash bo'lsa bitta so'rov ("Avatar" va "Avatar 2" birlashmaydi)
+function isSameRequest(a, b) {
+    return Math.min(similarityScore(a, b), similarityScore(b, a)) >= CONFIG.requestMergeScore;
+}
+
+// Nomzodlar Mongo'da har bir so'zning boshidagi 2 harf bo'yicha tanlanadi (searchMovies kabi), keyin fuzzy solishtiriladi
+async function findSimilarRequest(key) {
+    const words = key.split(' ');
+    const prefixes = [...new Set((words.some(w => w.length >= 2) ? words.filter(w => w.length >= 2) : words).map(w => w.slice(0, 2)))];
+    const candidates = await MovieRequest.find({ status: 'open', $and: prefixes.map(p => ({ key: new RegExp(`(^| )${p}`) })) }, { key: 1 }).lean();
+    return candidates.find(r => isSameRequest(key, r.key));
+}
+
+async function submitMovieRequest(chatId, user, rawTitle) {
+    const lang = userLang(user);
+    const title = sanitize(rawTitle).slice(0, 100);
+    const key = normalizeText(title);
+    if (key.length < 2) return safeSend(chatId, t(lang, 'req_invalid'));
+
+    const recent = await RequestVote.countDocuments({ userId: chatId, createdAt: { $gt: new Date(Date.now() - 86400000) } });
+    if (recent >= CONFIG.requestDailyLimit) return safeSend(chatId, t(lang, 'req_limit', { limit: CONFIG.requestDailyLimit }));
+
+    const match = await findSimilarRequest(key);
+    // Bir vaqtda kelgan bir xil so'rovlar ikkita yozuv yaratmasligi uchun yaratish navbat bilan (shu orada paydo bo'lganini qayta tekshiramiz)
+    const request = match ? await MovieRequest.findById(match._id) : await runExclusive('movie_request', async () => {
+        const again = await findSimilarRequest(key);
+        return again ? MovieRequest.findById(again._id) : MovieRequest.create({ title, key });
+    });
+
+    try {
+        await RequestVote.create({ requestId: request._id, userId: chatId });
+    } catch (e) {
+        if (e.code === 11000) return safeSend(chatId, t(lang, 'req_already', { title: request.title, votes: request.votes }), { parse_mode: 'HTML' });
+        throw e;
+    }
+    const updated = await MovieRequest.findByIdAndUpdate(request._id, { $inc: { votes: 1 } }, { new: true });
+    safeSend(chatId, t(lang, 'req_accepted', { title: updated.title, votes: updated.votes }), { parse_mode: 'HTML' });
+}
+
+// So'rov bajarilganda barcha so'raganlarga kino kartasi
+async function notifyRequesters(request, movie) {
+    const render = lang => ({
+        caption: `${t(lang, 'req_fulfilled', { title: request.title })}\n\n${buildMovieCaption(movie, lang)}`,
+        reply_markup: { inline_keyboard: [[{ text: t(lang, 'btn_watch'), callback_data: `open_${movie.code}` }]] }
+    });
+    const messages = Object.fromEntries(CONFIG.languages.map(l => [l, render(l)]));
+
+    try {
+        const conf = await Settings.findOne({ key: 'config' }) || { hideAdultContent: true };
+        const query = { telegramId: { $in: await RequestVote.distinct('userId', { requestId: request._id }) } };
+        if (movie.isAdult && conf.hideAdultContent) query.birthYear = { $lte: new Date().getFullYear() - CONFIG.adultAge };
+        await notifyUsers(query, user => {
+            const { caption, reply_markup } = messages[userLang(user)];
+            return movie.posterId
+                ? bot.sendPhoto(user.telegramId, movie.posterId, { caption, parse_mode: 'HTML', reply_markup })
+                : bot.sendMessage(user.telegramId, caption, { parse_mode: 'HTML', reply_markup });
+        });
+    } catch (e) {
+        console.error("Request Notify Error:", e.message);
     }
+}
+
+async function showRequestsPanel(chatId, page, msgId = null) {
+    const limit = 10;
+    const lang = await getLang(chatId);
+    const [total, requests, fulfilled] = await Promise.all([
+        MovieRequest.countDocuments({ status: 'open' }),
+        MovieRequest.find({ status: 'open' }).sort({ votes: -1, createdAt: 1 }).skip(page * limit).limit(limit).lean(),
+        MovieRequest.countDocuments({ status: 'fulfilled' })
+    ]);
 
-    kb.push([{ text: "🔙 Orqaga", callback_data: "admin_home" }]);
+    let txt = t(lang, 'rq_title', { total, fulfilled });
+    txt += `\n\n${t(lang, requests.length ? 'rq_top' : 'rq_empty')}`;
+    const kb = requests.map(r => [{ text: `👥 ${r.votes} | ${r.title}`, callback_data: `rq_v_${r._id}_${page}` }]);
+    const navRow = buildPageNavRow('rq_list', page, total, limit);
+    if (navRow.length) kb.push(navRow);
+    kb.push([{ text: t(lang, 'btn_back'), callback_data: "admin_home" }]);
 
     const opts = { parse_mode: 'HTML', reply_markup: { inline_keyboard: kb } };
     if (msgId) bot.editMessageText(txt, { chat_id: chatId, message_id: msgId, ...opts }).catch(() => { });
     else safeSend(chatId, txt, opts);
 }
 
-async function showChannelsPanel(chatId, msgId) {
-    const channels = await Channel.find();
-    const btns = channels.map(c => [{ text: `${c.type === 'main' ? '📢' : '📂'} ${c.name}`, callback_data: 'noop' }, { text: "🗑", callback_data: `del_ch_${c._id}` }]);
-    btns.push([{ text: "➕ Asosiy Kanal", callback_data: "add_ch_main" }]);
-    btns.push([{ text: "➕ Kodlar Kanali", callback_data: "add_ch_codes" }]);
-    btns.push([{ text: "🔙 Orqaga", callback_data: "admin_home" }]);
-    bot.editMessageText("📢 <b>Kanallar:</b>", { chat_id: chatId, message_id: msgId, parse_mode: 'HTML', reply_markup: { inline_keyboard: btns } }).catch(() => { });
+async function showRequestDetails(chatId, id, page, msgId) {
+    const request = await MovieRequest.findById(id).lean().catch(() => null);
+    if (!request) return showRequestsPanel(chatId, page, msgId);
+
+    const lang = await getLang(chatId);
+    const txt = t(lang, 'rq_details', { title: request.title, votes: request.votes, first: formatLocalDate(request.createdAt), last: formatLocalDate(request.updatedAt) });
+    const kb = [];
+    if (request.status === 'open') {
+        kb.push([{ text: t(lang, 'rq_btn_fulfill'), callback_data: `rq_ful_${id}` }]);
+        kb.push([{ text: t(lang, 'rq_btn_reject'), callback_data: `rq_rej_${id}` }]);
+    }
+    kb.push([{ text: t(lang, 'btn_back'), callback_data: `rq_list_${page}` }]);
+    bot.editMessageText(txt, { chat_id: chatId, message_id: msgId, parse_mode: 'HTML', reply_markup: { inline_keyboard: kb } }).catch(() => { });
 }
 
-async function showSettingsPanel(chatId, msgId) {
-    const conf = await Settings.findOne({ key: 'config' }) || await Settings.create({});
-    const kb = {
-        inline_keyboard: [
-            [{ text: `🛡 Global Protect: ${conf.globalProtection ? "✅" : "❌"}`, callback_data: "tog_set_globalProtection" }],
-            [{ text: `📥 Global Download: ${conf.globalDownload ? "✅" : "❌"}`, callback_data: "tog_set_globalDownload" }],
-            [{ text: `📢 Auto-Post: ${conf.autoPost ? "✅" : "❌"}`, callback_data: "tog_set_autoPost" }],
-            [{ text: "🔙 Orqaga", callback_data: "admin_home" }]
-        ]
+// --- DAVRIY STATISTIKA (Event kolleksiyasi asosida) ---
+
+const STATS_PERIODS = [1, 7, 30];
+
+// Toshkent vaqti bo'yicha kun boshi (daysAgo = 0 -> bugun 00:00)
+function localDayStart(daysAgo = 0) {
+    const offset = CONFIG.tzOffset * 3600 * 1000;
+    const local = new Date(Date.now() + offset);
+    return new Date(Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate() - daysAgo) - offset);
+}
+
+async function getPeriodStats(days, lang) {
+    const since = localDayStart(days - 1);
+    const timezone = `${CONFIG.tzOffset >= 0 ? '+' : '-'}${String(Math.abs(CONFIG.tzOffset)).padStart(2, '0')}:00`;
+
+    const [byDay, top, activeUsers] = await Promise.all([
+        Event.aggregate([
+            { $match: { createdAt: { $gte: since } } },
+            { $group: { _id: { day: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt', timezone } }, type: '$type' }, count: { $sum: 1 } } }
+        ]),
+        Event.aggregate([
+            { $match: { type: { $in: ['view', 'download'] }, createdAt: { $gte: since } } },
+            { $group: { _id: '$code', views: { $sum: { $cond: [{ $eq: ['$type', 'view'] }, 1, 0] } }, downloads: { $sum: { $cond: [{ $eq: ['$type', 'download'] }, 1, 0] } } } },
+            { $sort: { views: -1, downloads: -1 } },
+            { $limit: 10 }
+        ]),
+        User.countDocuments({ lastActiveAt: { $gte: since } })
+    ]);
+
+    // Har bir kun uchun qator (hodisa bo'lmagan kunlar ham 0 bilan chiqadi)
+    const daily = [];
+    for (let i = days - 1; i >= 0; i--) {
+        const date = new Date(localDayStart(i).getTime() + CONFIG.tzOffset * 3600 * 1000).toISOString().slice(0, 10);
+        daily.push({ date, join: 0, block: 0, view: 0, download: 0 });
+    }
+    const dayIndex = new Map(daily.map(d => [d.date, d]));
+    for (const row of byDay) {
+        const d = dayIndex.get(row._id.day);
+        if (d) d[row._id.type] = row.count;
+    }
+
+    const totals = daily.reduce((acc, d) => {
+        for (const k of ['join', 'block', 'view', 'download']) acc[k] += d[k];
+        return acc;
+    }, { join: 0, block: 0, view: 0, download: 0 });
+
+    const titles = await Movie.find({ code: { $in: top.map(t => t._id) } }, 'code title').lean();
+    const titleMap = new Map(titles.map(t => [t.code, t.title]));
+
+    return {
+        days,
+        since,
+        daily,
+        totals,
+        activeUsers,
+        top: top.map(row => ({ code: row._id, title: titleMap.get(row._id) || t(lang, 'stats_deleted'), views: row.views, downloads: row.downloads }))
     };
-    bot.editMessageText("⚙️ <b>Sozlamalar:</b>", { chat_id: chatId, message_id: msgId, parse_mode: 'HTML', reply_markup: kb }).catch(() => { });
 }
 
-async function showUserManagePanel(chatId, u, msgId = null) {
-    const txt = `👤 <b>User:</b> <a href="tg://user?id=${u.telegramId}">${sanitize(u.firstName)}</a>\n🆔 <code>${u.telegramId}</code>\n🚫 Ban: ${u.isBanned ? '✅' : "❌"}`;
+async function showPeriodStats(chatId, days, msgId) {
+    const lang = await getLang(chatId);
+    const r = await getPeriodStats(days, lang);
+    const net = r.totals.join - r.totals.block;
+
+    let txt = t(lang, 'stats_period_text', {
+        period: t(lang, `period_${days}`), since: formatLocalDate(r.since).slice(0, 10),
+        join: r.totals.join, block: r.totals.block, net: `${net >= 0 ? '+' : ''}${net}`,
+        active: r.activeUsers, views: r.totals.view, downloads: r.totals.download
+    });
+
+    if (days > 1) {
+        txt += `\n${t(lang, 'stats_by_day')}\n<pre>`;
+        for (const d of r.daily) txt += `${d.date.slice(8, 10)}.${d.date.slice(5, 7)}  +${String(d.join).padEnd(5)} -${String(d.block).padEnd(5)} ${String(d.view).padEnd(6)} ${d.download}\n`;
+        txt += `</pre>`;
+    }
+
+    txt += `\n🔥 <b>TOP 10</b> (👁 / 📥):\n`;
+    if (!r.top.length) txt += `${t(lang, 'stats_no_data')}\n`;
+    r.top.forEach((row, i) => { txt += `${i + 1}. ${row.title} (<code>${row.code}</code>) — ${row.views} / ${row.downloads}\n`; });
+
     const kb = {
         inline_keyboard: [
-            [{ text: u.isBanned ? "✅ Bandan Olish" : "🚫 Ban Berish", callback_data: `usr_ban_${u.telegramId}` }],
-            [{ text: u.restrictions.canDownload ? "🚷 Yuklashni Taqiq" : "📥 Yuklashga Ruxsat", callback_data: `usr_dl_${u.telegramId}` }],
-            [{ text: "🔙 Orqaga", callback_data: "admin_users" }]
+            STATS_PERIODS.map(d => ({ text: `${d === days ? '• ' : ''}${t(lang, `period_${d}`)}`, callback_data: `st_p_${d}` })),
+            [{ text: t(lang, 'stats_csv_btn'), callback_data: `st_csv_${days}` }],
+            [{ text: t(lang, 'btn_back'), callback_data: "admin_stats" }]
         ]
     };
-    if (msgId) bot.editMessageText(txt, { chat_id: chatId, message_id: msgId, parse_mode: 'HTML', reply_markup: kb }).catch(() => { });
-    else safeSend(chatId, txt, { parse_mode: 'HTML', reply_markup: kb });
+    bot.editMessageText(txt, { chat_id: chatId, message_id: msgId, parse_mode: 'HTML', reply_markup: kb }).catch(() => { });
 }
 
-async function showAdminPermsPanel(chatId, admin, msgId = null) {
-    const p = admin.permissions;
-    const txt = `👮‍♂️ <b>Admin:</b> <code>${admin.telegramId}</code>`;
+function buildStatsCsv(report) {
+    const lines = ['date,new_users,churned_users,views,downloads'];
+    for (const d of report.daily) lines.push([d.date, d.join, d.block, d.view, d.download].join(','));
+    lines.push('', 'rank,code,title,views,downloads');
+    report.top.forEach((t, i) => lines.push([i + 1, t.code, `"${String(t.title).replace(/"/g, '""')}"`, t.views, t.downloads].join(',')));
+    return '\uFEFF' + lines.join('\n');
+}
+
+async function showEditMoviePanel(chatId, mid, msgId = null) {
+    const lang = await getLang(chatId);
+    const m = await Movie.findById(mid);
+    if (!m) return safeSend(chatId, t(lang, 'not_found'));
+
+    const typeStr = t(lang, m.contentType === 'series' ? 'type_series' : 'type_movie');
+    const translations = Object.entries(TITLE_FIELDS).map(([, l]) => `${I18N[l].lang_name}: ${m.titles?.[l] || '-'}`).join('\n');
+    const txt = `${t(lang, 'edit_title', { type: typeStr, title: m.title, code: m.code })}\n\n${translations}`;
+
     const kb = [
-        [{ text: `🎬 Movies: ${p.movies ? '✅' : '❌'}`, callback_data: `perm_movies_${admin.telegramId}` }],
-        [{ text: `📢 Channels: ${p.channels ? '✅' : '❌'}`, callback_data: `perm_channels_${admin.telegramId}` }],
-        [{ text: `👥 Users: ${p.users ? '✅' : '❌'}`, callback_data: `perm_users_${admin.telegramId}` }],
-        [{ text: `📨 Broadcast: ${p.broadcast ? '✅' : '❌'}`, callback_data: `perm_broadcast_${admin.telegramId}` }],
-        [{ text: `⚙️ Settings: ${p.settings ? '✅' : '❌'}`, callback_data: `perm_settings_${admin.telegramId}` }],
-        [{ text: "🗑 O'chirish", callback_data: `del_admin_${admin.telegramId}` }],
-        [{ text: "🔙 Orqaga", callback_data: "admin_home" }]
+        [{ text: t(lang, 'edit_btn_title'), callback_data: `ed_f_title_${mid}` }, { text: t(lang, 'edit_btn_country'), callback_data: `ed_f_country_${mid}` }],
+        Object.entries(TITLE_FIELDS).map(([field, l]) => ({ text: `🏷 ${I18N[l].lang_name}`, callback_data: `ed_f_${field}_${mid}` })),
+        [{ text: t(lang, 'edit_btn_language'), callback_data: `ed_f_language_${mid}` }, { text: t(lang, 'edit_btn_year'), callback_data: `ed_f_releaseYear_${mid}` }],
+        [{ text: t(lang, 'edit_btn_genres'), callback_data: `ed_gen_${mid}` }],
+        [{ text: t(lang, 'edit_btn_poster'), callback_data: `ed_f_posterId_${mid}` }, { text: t(lang, 'edit_btn_delete'), callback_data: `ed_del_${mid}` }]
     ];
+
+    if (m.contentType === 'series') {
+        kb.push([{ text: t(lang, 'edit_btn_add_episode'), callback_data: `add_ep_${mid}` }]);
+        kb.push([{ text: t(lang, 'edit_btn_episodes', { seasons: getSeasons(m).length, episodes: m.episodes.length }), callback_data: `ep_list_${mid}_0_0` }]);
+        kb.push([{ text: t(lang, 'edit_btn_episode_quality'), callback_data: `add_q_${mid}` }]);
+    } else {
+        kb.push([{ text: t(lang, 'edit_btn_video'), callback_data: `ed_f_fileId_${mid}` }, { text: t(lang, 'edit_btn_quality'), callback_data: `add_q_${mid}` }]);
+        const variants = getVideoVariants(m);
+        if (variants.length > 1) kb.push(variants.map((v, i) => ({ text: `🗑 ${v.quality}`, callback_data: `del_q_${mid}_${i}` })));
+    }
+
+    kb.push([{ text: t(lang, 'btn_back'), callback_data: "admin_home" }]);
+
     const opts = { parse_mode: 'HTML', reply_markup: { inline_keyboard: kb } };
     if (msgId) bot.editMessageText(txt, { chat_id: chatId, message_id: msgId, ...opts }).catch(() => { });
     else safeSend(chatId, txt, opts);
 }
 
-function sendSubRequest(chatId, channels) {
-    const btns = channels.map(c => [{ text: `➕ A'zo bo'lish (${c.name})`, url: c.url }]);
-    btns.push([{ text: "✅ Tasdiqlash", callback_data: "check_sub" }]);
-    safeSend(chatId, "⚠️ <b>Botdan foydalanish uchun quyidagi kanallarga a'zo bo'ling:</b>", { parse_mode: 'HTML', reply_markup: { inline_keyboard: btns } });
+// --- AVTO-POST (Kodlar kanallari) ---
+// Kanal posti matnida ishlatiladigan maydonlar: shular tahrirlansa postlar yangilanadi
+// (janrlar, sifatlar va qismlar o'z handlerlarida yangilanadi)
+const CHANNEL_POST_FIELDS = ['title', 'country', 'language', 'releaseYear', 'posterId', 'fileId'];
+
+function buildChannelPostCaption(movie) {
+    const typeEmoji = movie.contentType === 'series' ? '📺 SERIAL' : '🎬 KINO';
+    const year = movie.releaseYear ? ` (${movie.releaseYear})` : '';
+    const variants = movie.contentType === 'series' ? movie.episodes.flatMap(ep => getVideoVariants(ep, movie.quality)) : getVideoVariants(movie);
+    const qualities = [...new Set(variants.map(v => v.quality))].join(', ') || movie.quality;
+    let caption = `${typeEmoji} <b>${movie.title}</b>${year}\n\n🌍 ${movie.country} | 🗣 ${movie.language}\n`;
+    if (movie.genres?.length) caption += `🎭 ${movie.genres.join(', ')}\n`;
+    caption += `💿 ${qualities} | ⏳ ${movie.duration}\n`;
+    if (movie.contentType === 'series' && movie.episodes.length) {
+        const latest = movie.episodes.reduce((a, b) => (b.addedAt > a.addedAt ? b : a));
+        caption += `📂 Qismlar: ${movie.episodes.length} ta | 🆕 ${episodeLabel(latest)}\n`;
+    }
+    return caption + `\n👇 Tomosha qilish:\n${movieLink(movie.code)}`;
 }
 
-// Broadcast Controller
-async function startBroadcast(adminId, message) {
-    if (broadcastController.isActive) return safeSend(adminId, "⚠️ Hozirda boshqa reklama ketmoqda!");
+function buildChannelPostKeyboard(movie) {
+    return { inline_keyboard: [[{ text: "▶️ TOMOSHA QILISH", url: movieLink(movie.code) }]] };
+}
 
-    broadcastController.isActive = true;
-    broadcastController.shouldStop = false;
+// Bitta kinoning kanal postlari navbat bilan yangilanadi: parallel sync/publish bir xil channelPosts ni o'qib, ikki marta post qilmasin.
+// Navbat ichida channelPosts bazadan qayta o'qiladi (oldingi chaqiruv o'zgartirgan bo'lishi mumkin)
+function withChannelPosts(movie, fn) {
+    return runExclusive(`post_${movie.code}`, async () => {
+        const fresh = await Movie.findById(movie._id, { channelPosts: 1 }).lean();
+        movie.channelPosts = fresh?.channelPosts || [];
+        return fn();
+    });
+}
 
-    let count = 0, blocked = 0;
-    const startTime = Date.now();
-    const stopMsg = await safeSend(adminId, "🚀 Reklama boshlandi...", { reply_markup: { inline_keyboard: [[{ text: "🛑 TO'XTATISH", callback_data: "stop_broadcast" }]] } });
+// Hali post qilinmagan barcha kodlar kanallariga yuboradi (yangi qo'shilgan kanal ham shu yerda to'ldiriladi)
+async function publishMovie(movie) {
+    return withChannelPosts(movie, () => postToNewChannels(movie));
+}
 
-    const cursor = User.find({ isBanned: false, isActive: true }).cursor();
+async function postToNewChannels(movie) {
+    const posted = new Set((movie.channelPosts || []).map(p => p.channelId));
+    const channels = (await Channel.find({ type: 'movie_codes' }).lean()).filter(c => !posted.has(c.channelId));
+    if (!channels.length) return;
 
-    for (let user = await cursor.next(); user != null; user = await cursor.next()) {
-        if (broadcastController.shouldStop) {
-            broadcastController.isActive = false;
-            return safeSend(adminId, `🛑 <b>Reklama to'xtatildi!</b>\n✅ Yuborildi: ${count}`);
+    const caption = buildChannelPostCaption(movie);
+    const opts = { parse_mode: 'HTML', reply_markup: buildChannelPostKeyboard(movie) };
+    for (const ch of channels) {
+        try {
+            const sent = movie.posterId
+                ? await bot.sendPhoto(ch.channelId, movie.posterId, { caption, ...opts })
+                : await bot.sendMessage(ch.channelId, caption, opts);
+            const post = { channelId: ch.channelId, messageId: sent.message_id, isPhoto: !!movie.posterId };
+            await Movie.updateOne({ _id: movie._id }, { $push: { channelPosts: post } });
+            movie.channelPosts?.push(post);
+        } catch (e) { console.error(`AutoPost Error (${ch.channelId}):`, e.message); }
+    }
+}
+
+// Mavjud postlarni kinoning joriy ma'lumotlariga moslab tahrirlaydi; o'chirilgan postlar ro'yxatdan olib tashlanadi.
+// Matnli postga poster qo'shilsa, uni rasmga aylantirib bo'lmaydi: post o'chirilib qaytadan yuboriladi
+async function syncChannelPosts(movie, { media = false } = {}) {
+    try {
+        await withChannelPosts(movie, () => editChannelPosts(movie, media));
+    } catch (e) {
+        console.error("AutoPost Sync Error:", e.message);
+    }
+}
+
+async function editChannelPosts(movie, media) {
+    if (!movie.channelPosts?.length) return;
+    const caption = buildChannelPostCaption(movie);
+    const reply_markup = buildChannelPostKeyboard(movie);
+    const dropPost = async post => {
+        await Movie.updateOne({ _id: movie._id }, { $pull: { channelPosts: { channelId: post.channelId, messageId: post.messageId } } });
+        movie.channelPosts = movie.channelPosts.filter(p => p.messageId !== post.messageId || p.channelId !== post.channelId);
+    };
+
+    let republish = false;
+    for (const post of [...movie.channelPosts]) {
+        const target = { chat_id: post.channelId, message_id: post.messageId, reply_markup };
+        try {
+            if (!post.isPhoto && media && movie.posterId) {
+                await bot.deleteMessage(post.channelId, post.messageId).catch(() => { });
+                await dropPost(post);
+                republish = true;
+            } else if (!post.isPhoto) await bot.editMessageText(caption, { ...target, parse_mode: 'HTML' });
+            else if (media && movie.posterId) await bot.editMessageMedia({ type: 'photo', media: movie.posterId, caption, parse_mode: 'HTML' }, target);
+            else await bot.editMessageCaption(caption, { ...target, parse_mode: 'HTML' });
+        } catch (e) {
+            const desc = e.response?.body?.description || e.message;
+            if (/not modified/i.test(desc)) continue;
+            if (/message to edit not found|chat not found/i.test(desc)) {
+                await dropPost(post);
+                continue;
+            }
+            console.error(`AutoPost Sync Error (${post.channelId}):`, desc);
+        }
+    }
+    if (republish) await postToNewChannels(movie);
+}
+
+// Kino savatchaga tushganda kanal postlari ham olib tashlanadi; o'chirib bo'lmaganlari ro'yxatda qoladi
+async function deleteChannelPosts(movie) {
+    return withChannelPosts(movie, async () => {
+        const kept = [];
+        for (const post of movie.channelPosts) {
+            try {
+                await bot.deleteMessage(post.channelId, post.messageId);
+            } catch (e) {
+                const desc = e.response?.body?.description || e.message;
+                if (/message to delete not found|chat not found/i.test(desc)) continue;
+                console.error(`AutoPost Delete Error (${post.channelId}):`, desc);
+                kept.push(post);
+            }
         }
+        movie.channelPosts = kept;
+    });
+}
+
+// Yangi qism: asosiy post yangilanadi va unga javob tariqasida e'lon yuboriladi; post bo'lmagan kanallarga to'liq post
+async function announceNewEpisode(movie, label) {
+    try {
+        const settings = await Settings.findOne({ key: 'config' });
+        if (!settings?.autoPost) return;
+
+        await withChannelPosts(movie, async () => {
+            await editChannelPosts(movie, false);
+            const text = `🆕 <b>${movie.title}</b> — ${label} qo'shildi!\n\n👇 Tomosha qilish:\n${movieLink(movie.code)}`;
+            for (const post of movie.channelPosts) {
+                await bot.sendMessage(post.channelId, text, {
+                    parse_mode: 'HTML',
+                    reply_to_message_id: post.messageId,
+                    allow_sending_without_reply: true,
+                    reply_markup: buildChannelPostKeyboard(movie)
+                }).catch(e => console.error(`AutoPost Episode Error (${post.channelId}):`, e.message));
+            }
+            await postToNewChannels(movie);
+        });
+    } catch (e) {
+        console.error("AutoPost Episode Error:", e.message);
+    }
+}
+
+// --- BULK IMPORT (Saqlash kanalidan forward qilingan postlar) ---
+
+// Tugmalar tartibi; nomlari I18N dagi imp_field_{field}
+const IMPORT_FIELDS = ['title', 'country', 'language', 'code'];
+
+function buildImportKeyboard(lang) {
+    return { inline_keyboard: [[{ text: t(lang, 'btn_finish'), callback_data: "imp_done" }]] };
+}
+
+async function showImportPanel(chatId, msgId = null) {
+    const lang = await getLang(chatId);
+    const conf = await Settings.findOne({ key: 'config' });
+    const patterns = conf?.importPatterns || IMPORT_PATTERN_DEFAULTS;
+    let txt = t(lang, 'imp_panel_title');
+    for (const k of IMPORT_FIELDS) txt += `${t(lang, `imp_field_${k}`)}: <code>${sanitize(patterns[k])}</code>\n`;
+    txt += `\n${t(lang, 'imp_panel_note')}`;
+
+    const fieldBtn = k => ({ text: `✏️ ${t(lang, `imp_field_${k}`)}`, callback_data: `imp_pat_${k}` });
+    const kb = [
+        [{ text: t(lang, 'imp_btn_start'), callback_data: "imp_start" }],
+        IMPORT_FIELDS.slice(0, 2).map(fieldBtn),
+        IMPORT_FIELDS.slice(2).map(fieldBtn),
+        [{ text: t(lang, 'imp_btn_reset'), callback_data: "imp_pat_reset" }],
+        [{ text: t(lang, 'btn_back'), callback_data: "admin_home" }]
+    ];
+    const opts = { parse_mode: 'HTML', reply_markup: { inline_keyboard: kb } };
+    if (msgId) bot.editMessageText(txt, { chat_id: chatId, message_id: msgId, ...opts }).catch(() => { });
+    else safeSend(chatId, txt, opts);
+}
+
+// Bitta postdan Movie yaratish. Natija st.report ga yoziladi, xatolar importni to'xtatmaydi
+async function importPost(chatId, st, post, patterns, lang) {
+    const ref = `#${post.forward_origin?.message_id ?? post.forward_from_message_id ?? post.message_id}`;
+    if (!post.video) return st.report.failed.push(`${ref} (${t(lang, 'imp_fail_video')})`);
+
+    const parsed = parseImportCaption(post.caption, patterns);
+    if (!parsed) return st.report.failed.push(`${ref} (${t(lang, 'imp_fail_caption')})`);
+    if (await Movie.exists({ code: parsed.code }) || await Trash.exists({ kind: 'movie', key: String(parsed.code) })) return st.report.duplicates.push(parsed.code);
+
+    const quality = detectQuality(post.video.width);
+    const duration = formatDuration(post.video.duration);
+    try {
+        await Movie.create({
+            ...parsed,
+            contentType: 'movie',
+            posterId: post.video.thumbnail?.file_id || post.video.thumb?.file_id,
+            fileId: post.video.file_id,
+            quality,
+            duration,
+            variants: [{ quality, fileId: post.video.file_id, duration }],
+            addedBy: chatId
+        });
+        st.report.created.push(parsed.code);
+    } catch (e) {
+        if (e.code === 11000) return st.report.duplicates.push(parsed.code);
+        console.error("Import Error:", e.message);
+        st.report.failed.push(`${ref} (${t(lang, 'imp_fail_error')})`);
+    }
+}
+
+// Kanal postlarini admin chatiga forward qilib, o'qib, keyin o'chiramiz (Bot API kanal tarixini bermaydi)
+async function importChannelRange(chatId, st, source, from, to) {
+    activeImports.add(chatId);
+    const lang = await getLang(chatId);
+    const status = await safeSend(chatId, `⏳ Import: ${from}-${to}...`);
+    const patterns = (await Settings.findOne({ key: 'config' }))?.importPatterns || IMPORT_PATTERN_DEFAULTS;
 
+    for (let id = from; id <= to; id++) {
+        if (state.get(chatId) !== st) break; // "Tugatish" bosildi yoki sessiya tugadi
         try {
-            await bot.copyMessage(user.telegramId, message.chat.id, message.message_id);
-            count++;
+            const post = await bot.forwardMessage(chatId, source, id, { disable_notification: true });
+            await runExclusive(`import_${chatId}`, () => importPost(chatId, st, post, patterns, lang));
+            await safeDelete(chatId, post.message_id);
         } catch (e) {
-            if (e.response && (e.response.statusCode === 403 || e.response.statusCode === 400)) {
-                blocked++;
-                await User.updateOne({ _id: user._id }, { isActive: false });
+            const retryAfter = e.response?.body?.parameters?.retry_after;
+            if (retryAfter) {
+                await new Promise(r => setTimeout(r, retryAfter * 1000));
+                id--;
+                continue;
             }
+            st.report.failed.push(`#${id} (${t(lang, 'imp_fail_missing')})`);
+        }
+        st.timestamp = Date.now();
+        if ((id - from) % 20 === 19) {
+            state.persist(chatId);
+            if (status) bot.editMessageText(`⏳ Import: ${id}/${to} | ✅ ${st.report.created.length} | ♻️ ${st.report.duplicates.length} | ❌ ${st.report.failed.length}`, { chat_id: chatId, message_id: status.message_id }).catch(() => { });
         }
-        await new Promise(r => setTimeout(r, 40)); // 25 msg/sec to stay safe
+        await new Promise(r => setTimeout(r, CONFIG.importDelay));
     }
 
-    broadcastController.isActive = false;
-    safeDelete(adminId, stopMsg.message_id);
-    safeSend(adminId, `📊 <b>Tugadi:</b>\n✅: ${count}\n🚫: ${blocked}\n⏱: ${((Date.now() - startTime) / 1000).toFixed(1)}s`, { parse_mode: 'HTML' });
-}
\ No newline at end of file
+    activeImports.delete(chatId);
+    if (state.get(chatId) === st) {
+        state.persist(chatId);
+        safeSend(chatId, `${t(lang, 'imp_range_done', { from, to })}\n\n${buildImportReport(st.report, lang)}`, { parse_mode: 'HTML', reply_markup: buildImportKeyboard(lang) });
+    }
+}
+
+function buildImportReport(report, lang) {
+    const list = arr => arr.length > 30 ? `${arr.slice(0, 30).join(', ')} ... (+${arr.length - 30})` : arr.join(', ');
+    let txt = t(lang, 'imp_report_created', { count: report.created.length });
+    if (report.created.length) txt += `\n<code>${list(report.created)}</code>`;
+    txt += `\n\n${t(lang, 'imp_report_duplicates', { count: report.duplicates.length })}`;
+    if (report.duplicates.length) txt += `\n<code>${list(report.duplicates)}</code>`;
+    txt += `\n\n${t(lang, 'imp_report_failed', { count: report.failed.length })}`;
+    if (report.failed.length) txt += `\n${list(report.failed)}`;
+    return txt;
+}
+
+// --- TRASH (Savatcha) ---
+
+const TRASH_KINDS = {
+    movie: { model: Movie, key: 'code', permission: 'movies', emoji: '🎬' },
+    channel: { model: Channel, key: 'channelId', permission: 'channels', emoji: '📢' },
+    admin: { model: Admin, key: 'telegramId', permission: 'admins', emoji: '👮‍♂️' }
+};
+
+function confirmDeletion(chatId, msgId, text, okCb, backCb, lang) {
+    bot.editMessageText(text, {
+        chat_id: chatId, message_id: msgId, parse_mode: 'HTML',
+        reply_markup: { inline_keyboard: [[{ text: t(lang, 'btn_confirm_delete'), callback_data: okCb }], [{ text: t(lang, 'btn_no'), callback_data: backCb }]] }
+    }).catch(() => { });
+}
+
+async function canManageTrash(userId, kind) {
+    if (kind === 'admin') return userId === CONFIG.superAdminId;
+    return hasPermission(userId, TRASH_KINDS[kind].permission);
+}
+
+// Hujjatni savatchaga ko'chiramiz (asl kolleksiyadan o'chadi, shuning uchun kod ham ishlamay qoladi)
+async function moveToTrash(kind, doc, actorId) {
+    const { key } = TRASH_KINDS[kind];
+    const label = kind === 'movie' ? `${doc.title} (${doc.code})` : kind === 'channel' ? doc.name : String(doc.telegramId);
+    if (kind === 'movie') await deleteChannelPosts(doc);
+    await Trash.create({ kind, key: String(doc[key]), label, data: doc.toObject(), deletedBy: actorId });
+    await TRASH_KINDS[kind].model.deleteOne({ _id: doc._id });
+}
+
+async function restoreFromTrash(item, lang) {
+    const { model, key } = TRASH_KINDS[item.kind];
+    if (await model.exists({ [key]: item.data[key] })) return t(lang, 'trash_key_taken');
+    const doc = await model.create(item.data);
+    await Trash.deleteOne({ _id: item._id });
+    if (item.kind === 'admin') adminCache.delete(item.data.telegramId);
+    if (item.kind === 'channel') subCache.clear();
+    if (item.kind === 'movie') {
+        const settings = await Settings.findOne({ key: 'config' });
+        if (settings?.autoPost) publishMovie(doc).then(() => syncChannelPosts(doc)).catch(e => console.error("AutoPost Restore Error:", e.message));
+    }
+    return null;
+}
+
+async function showTrashPanel(chatId, page, msgId) {
+    const kinds = [];
+    for (const kind of Object.keys(TRASH_KINDS)) if (await canManageTrash(chatId, kind)) kinds.push(kind);
+    if (!kinds.length) return;
+
+    const limit = 8;
+    const lang = await getLang(chatId);
+    const conf = await Settings.findOne({ key: 'config' }) || { trashRetentionDays: 30 };
+    const [total, items] = await Promise.all([
+        Trash.countDocuments({ kind: { $in: kinds } }),
+        Trash.find({ kind: { $in: kinds } }, '-data').sort({ deletedAt: -1 }).skip(page * limit).limit(limit).lean()
+    ]);
+
+    let txt = t(lang, 'trash_title', { total, days: conf.trashRetentionDays });
+    if (!items.length) txt += `\n${t(lang, 'trash_empty')}`;
+    const kb = [];
+    for (const it of items) {
+        const expires = new Date(new Date(it.deletedAt).getTime() + conf.trashRetentionDays * 86400000);
+        txt += `\n${TRASH_KINDS[it.kind].emoji} ${sanitize(it.label)} — ${formatLocalDate(it.deletedAt)} (👤 <code>${it.deletedBy}</code>, ⏳ ${formatLocalDate(expires)})`;
+        kb.push([
+            { text: `${TRASH_KINDS[it.kind].emoji} ${it.label}`.slice(0, 40), callback_data: 'noop' },
+            { text: "♻️", callback_data: `tr_res_${it._id}` },
+            { text: "❌", callback_data: `tr_del_${it._id}` }
+        ]);
+    }
+    const navRow = buildPageNavRow('tr_list', page, total, limit);
+    if (navRow.length) kb.push(navRow);
+    kb.push([{ text: t(lang, 'btn_back'), callback_data: "admin_home" }]);
+
+    bot.editMessageText(txt, { chat_id: chatId, message_id: msgId, parse_mode: 'HTML', reply_markup: { inline_keyboard: kb } }).catch(() => { });
+}
+
+async function purgeTrash() {
+    try {
+        const conf = await Settings.findOne({ key: 'config' }) || { trashRetentionDays: 30 };
+        const res = await Trash.deleteMany({ deletedAt: { $lt: new Date(Date.now() - conf.trashRetentionDays * 86400000) } });
+        if (res.deletedCount) console.log(`🗑 Savatchadan ${res.deletedCount} ta eski yozuv o'chirildi`);
+    } catch (e) {
+        console.error("Trash Purge Error:", e.message);
+    }
+}
+
+setInterval(purgeTrash, CONFIG.trashPurgeInterval);
+
+// --- AUDIT LOG ---
+
+// Nomlari I18N dagi audit_{action}; filtr callbacklarida shu ro'yxat indeksi ishlatiladi
+const AUDIT_ACTION_KEYS = [
+    'movie_add', 'movie_edit', 'movie_delete', 'episode_add', 'episode_edit',
+    'episode_delete', 'episode_renumber', 'variant_add', 'variant_delete', 'channel_add',
+    'channel_edit', 'channel_delete', 'user_ban', 'user_download', 'setting_change',
+    'admin_add', 'admin_perm', 'admin_delete', 'broadcast_start', 'broadcast_cancel',
+    'broadcast_stop', 'import', 'restore', 'trash_restore', 'trash_purge',
+    'campaign_set', 'campaign_finish', 'request_fulfill', 'request_reject'
+];
+
+function formatAuditValue(val) {
+    if (val === null || val === undefined) return '-';
+    const str = JSON.stringify(val);
+    return sanitize(str.length > 80 ? `${str.slice(0, 80)}…` : str);
+}
+
+async function getUserNames(ids) {
+    const users = await User.find({ telegramId: { $in: ids } }, 'telegramId firstName').lean();
+    return new Map(users.map(u => [u.telegramId, u.firstName]));
+}
+
+// actor = 0 -> hamma adminlar, act = 'x' -> barcha amallar (aks holda AUDIT_ACTION_KEYS indeksi)
+async function showAuditLog(chatId, actor, act, page, msgId) {
+    const limit = 8;
+    const lang = await getLang(chatId);
+    const action = AUDIT_ACTION_KEYS[parseInt(act)];
+    const filter = {};
+    if (actor) filter.actorId = actor;
+    if (action) filter.action = action;
+
+    const [total, logs] = await Promise.all([
+        AuditLog.countDocuments(filter),
+        AuditLog.find(filter).sort({ createdAt: -1 }).skip(page * limit).limit(limit).lean()
+    ]);
+    const names = await getUserNames([...new Set(logs.map(l => l.actorId))]);
+
+    let txt = t(lang, 'audit_title', {
+        total,
+        actor: actor ? `<code>${actor}</code>` : t(lang, 'audit_all_admins'),
+        action: action ? t(lang, `audit_${action}`) : t(lang, 'audit_all_actions')
+    });
+    if (!logs.length) txt += `\n${t(lang, 'audit_empty')}`;
+    for (const l of logs) {
+        const label = AUDIT_ACTION_KEYS.includes(l.action) ? t(lang, `audit_${l.action}`) : l.action;
+        txt += `\n🕒 ${formatLocalDate(l.createdAt)} | 👤 ${l.actorId ? sanitize(names.get(l.actorId) || '') : '🤖 Bot'} <code>${l.actorId}</code>\n${label}: <b>${sanitize(l.target)}</b>\n`;
+        if (l.before || l.after) txt += `   ${formatAuditValue(l.before)} ➡️ ${formatAuditValue(l.after)}\n`;
+    }
+
+    const kb = [];
+    const navRow = buildPageNavRow(`aud_${actor}_${action ? act : 'x'}`, page, total, limit);
+    if (navRow.length) kb.push(navRow);
+    kb.push([
+        { text: t(lang, 'audit_by_admin'), callback_data: `audf_a_${actor}_${action ? act : 'x'}` },
+        { text: t(lang, 'audit_by_action'), callback_data: `audf_t_${actor}_${action ? act : 'x'}` }
+    ]);
+    if (actor || action) kb.push([{ text: t(lang, 'audit_clear'), callback_data: "aud_0_x_0" }]);
+    kb.push([{ text: t(lang, 'btn_back'), callback_data: "admin_home" }]);
+
+    bot.editMessageText(txt, { chat_id: chatId, message_id: msgId, parse_mode: 'HTML', reply_markup: { inline_keyboard: kb } }).catch(() => { });
+}
+
+async function showAuditFilter(chatId, kind, actor, act, msgId) {
+    const lang = await getLang(chatId);
+    const kb = [];
+    if (kind === 'a') {
+        const actors = await AuditLog.distinct('actorId');
+        const names = await getUserNames(actors);
+        kb.push([{ text: `👥 ${t(lang, 'audit_all_admins')}`, callback_data: `aud_0_${act}_0` }]);
+        for (const id of actors.filter(Boolean).slice(0, 30)) kb.push([{ text: `👤 ${names.get(id) || ''} (${id})`, callback_data: `aud_${id}_${act}_0` }]);
+    } else {
+        kb.push([{ text: `🏷 ${t(lang, 'audit_all_actions')}`, callback_data: `aud_${actor}_x_0` }]);
+        for (let i = 0; i < AUDIT_ACTION_KEYS.length; i += 2) {
+            kb.push(AUDIT_ACTION_KEYS.slice(i, i + 2).map((key, j) => ({ text: t(lang, `audit_${key}`), callback_data: `aud_${actor}_${i + j}_0` })));
+        }
+    }
+    kb.push([{ text: t(lang, 'btn_back'), callback_data: `aud_${actor}_${act}_0` }]);
+    bot.editMessageText(t(lang, kind === 'a' ? 'audit_choose_admin' : 'audit_choose_action'), {
+        chat_id: chatId, message_id: msgId, parse_mode: 'HTML', reply_markup: { inline_keyboard: kb }
+    }).catch(() => { });
+}
+
+// --- BACKUP (Eksport / Tiklash) ---
+
+// Har bir kolleksiya uchun tiklashdagi kalit maydon
+const BACKUP_KEYS = { movies: 'code', channels: 'channelId', admins: 'telegramId' };
+
+function stripMeta(doc) {
+    const { _id, __v, ...rest } = doc;
+    return rest;
+}
+
+async function buildBackup() {
+    const [movies, channels, settings, admins] = await Promise.all([
+        Movie.find().sort({ code: 1 }).lean(),
+        Channel.find().lean(),
+        Settings.findOne({ key: 'config' }).lean(),
+        Admin.find().lean()
+    ]);
+    return {
+        version: 1,
+        exportedAt: new Date().toISOString(),
+        movies: movies.map(stripMeta),
+        channels: channels.map(stripMeta),
+        settings: settings ? stripMeta(settings) : null,
+        admins: admins.map(stripMeta)
+    };
+}
+
+function buildCatalogCsv(movies) {
+    const cell = v => {
+        const str = v === undefined || v === null ? '' : String(v);
+        return /[",\n;]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+    };
+    const header = ['code', 'type', 'title', 'country', 'language', 'releaseYear', 'genres', 'quality', 'duration', 'isAdult', 'episodes', 'views', 'downloads', 'rating'];
+    const rows = movies.map(m => [
+        m.code, m.contentType, m.title, m.country, m.language, m.releaseYear, (m.genres || []).join('; '),
+        m.quality, m.duration, m.isAdult ? 1 : 0, (m.episodes || []).length, m.views, m.downloads,
+        m.ratingCount ? (m.ratingSum / m.ratingCount).toFixed(1) : ''
+    ].map(cell).join(','));
+    return '\uFEFF' + [header.join(','), ...rows].join('\n'); // BOM - Excel kirillni to'g'ri ochishi uchun
+}
+
+function buildRestoreKeyboard(lang) {
+    return {
+        inline_keyboard: [
+            [{ text: t(lang, 'bk_btn_merge'), callback_data: "rst_merge" }],
+            [{ text: t(lang, 'bk_btn_restore'), callback_data: "rst_restore" }],
+            [{ text: t(lang, 'btn_cancel'), callback_data: "cancel_action" }]
+        ]
+    };
+}
+
+async function downloadBackupFile(fileId) {
+    const res = await fetch(await bot.getFileLink(fileId));
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const backup = JSON.parse(await res.text());
+    if (!backup || !Array.isArray(backup.movies)) throw new Error("Zaxira fayli emas (movies topilmadi)");
+    return backup;
+}
+
+// Fayldagi (JSON/CSV yoki qo'lda tahrirlangan) va bazadagi qiymatlarni bir xil ko'rinishga keltiramiz:
+// sana va ObjectId -> satr, son/mantiq -> satr, obyekt kalitlari tartiblanadi
+function normalizeBackupValue(v) {
+    if (v === undefined || v === null || v === '') return '';
+    if (v instanceof Date) return v.toISOString();
+    if (v instanceof mongoose.Types.ObjectId) return String(v);
+    if (Array.isArray(v)) return v.map(normalizeBackupValue);
+    if (typeof v === 'object') return Object.fromEntries(Object.keys(v).sort().map(k => [k, normalizeBackupValue(v[k])]));
+    return String(v);
+}
+
+// Faqat faylda bor maydonlar solishtiriladi
+function isSameBackupRecord(current, item) {
+    return Object.keys(stripMeta(item)).every(f =>
+        JSON.stringify(normalizeBackupValue(current[f])) === JSON.stringify(normalizeBackupValue(item[f])));
+}
+
+// Dry-run: har bir yozuv kalit bo'yicha yangi / o'zgargan / o'zgarmagan / yaroqsiz ekanini aniqlaymiz
+async function planRestore(backup) {
+    const plan = {};
+    const models = { movies: Movie, channels: Channel, admins: Admin };
+    for (const [name, key] of Object.entries(BACKUP_KEYS)) {
+        const items = Array.isArray(backup[name]) ? backup[name] : [];
+        const existing = await models[name].find({ [key]: { $in: items.map(i => i?.[key]).filter(v => v !== undefined) } }).lean();
+        const byKey = new Map(existing.map(d => [String(d[key]), d]));
+        plan[name] = { create: [], update: [], unchanged: [], invalid: 0 };
+
+        for (const item of items) {
+            if (!item || item[key] === undefined || item[key] === null || (name === 'movies' && !item.title)) { plan[name].invalid++; continue; }
+            const current = byKey.get(String(item[key]));
+            if (current === undefined) plan[name].create.push(item[key]);
+            else if (isSameBackupRecord(current, item)) plan[name].unchanged.push(item[key]);
+            else plan[name].update.push(item[key]);
+        }
+    }
+    plan.settings = !!backup.settings;
+    return plan;
+}
+
+function describeRestorePlan(plan, lang) {
+    const list = arr => arr.length > 30 ? `${arr.slice(0, 30).join(', ')} ... (+${arr.length - 30})` : arr.join(', ');
+    let txt = t(lang, 'bk_plan_title');
+    for (const name of Object.keys(BACKUP_KEYS)) {
+        const p = plan[name];
+        txt += `\n<b>${t(lang, `bk_plan_${name}`)}</b>\n${t(lang, 'bk_plan_create', { count: p.create.length })}${p.create.length ? ` — <code>${sanitize(list(p.create))}</code>` : ''}`;
+        txt += `\n${t(lang, 'bk_plan_update', { count: p.update.length })}${p.update.length ? ` — <code>${sanitize(list(p.update))}</code>` : ''}`;
+        txt += `\n${t(lang, 'bk_plan_rest', { unchanged: p.unchanged.length, invalid: p.invalid })}\n`;
+    }
+    txt += `\n${t(lang, plan.settings ? 'bk_plan_settings_yes' : 'bk_plan_settings_no')}`;
+    txt += `\n\n${t(lang, 'bk_plan_modes')}`;
+    return txt;
+}
+
+async function applyRestore(backup, mode) {
+    const result = {};
+    const models = { movies: Movie, channels: Channel, admins: Admin };
+    for (const [name, key] of Object.entries(BACKUP_KEYS)) {
+        const items = (Array.isArray(backup[name]) ? backup[name] : [])
+            .filter(i => i && i[key] !== undefined && i[key] !== null && (name !== 'movies' || i.title))
+            .filter(i => name !== 'admins' || i.telegramId !== CONFIG.superAdminId);
+        result[name] = { created: 0, updated: 0 };
+
+        for (let i = 0; i < items.length; i += 500) {
+            const ops = items.slice(i, i + 500).map(item => {
+                const data = stripMeta(item);
+                // bulkWrite save hook'ini chaqirmaydi - qidiruv so'zlari shu yerda hisoblanadi
+                if (name === 'movies') data.searchWords = buildSearchWords(data);
+                return {
+                    updateOne: {
+                        filter: { [key]: item[key] },
+                        update: mode === 'restore' ? { $set: data } : { $setOnInsert: data },
+                        upsert: true,
+                        timestamps: false // createdAt/updatedAt fayldagidek qoladi
+                    }
+                };
+            });
+            const res = await models[name].bulkWrite(ops, { ordered: false });
+            result[name].created += res.upsertedCount;
+            result[name].updated += mode === 'restore' ? res.modifiedCount : 0;
+        }
+    }
+
+    result.settings = false;
+    if (backup.settings && (mode === 'restore' || !await Settings.exists({ key: 'config' }))) {
+        await Settings.updateOne({ key: 'config' }, { $set: { ...stripMeta(backup.settings), key: 'config' } }, { upsert: true });
+        result.settings = true;
+    }
+    adminCache.clear();
+    return result;
+}
+
+async function showBackupPanel(chatId, msgId) {
+    const lang = await getLang(chatId);
+    bot.editMessageText(t(lang, 'bk_panel'), {
+        chat_id: chatId, message_id: msgId, parse_mode: 'HTML',
+        reply_markup: {
+            inline_keyboard: [
+                [{ text: t(lang, 'bk_btn_json'), callback_data: "bk_json" }, { text: t(lang, 'bk_btn_csv'), callback_data: "bk_csv" }],
+                [{ text: t(lang, 'bk_btn_file'), callback_data: "bk_restore" }],
+                [{ text: t(lang, 'btn_back'), callback_data: "admin_home" }]
+            ]
+        }
+    }).catch(() => { });
+}
+
+// --- EPISODE PANEL ---
+
+function buildBatchKeyboard(lang) {
+    return { inline_keyboard: [[{ text: t(lang, 'btn_finish'), callback_data: "ep_batchdone" }]] };
+}
+
+// Qism qo'shishda faslni so'rash (mavjud fasllar + yangi fasl tugmasi)
+async function promptEpisodeSeason(chatId, movie) {
+    const lang = await getLang(chatId);
+    const seasons = movie ? getSeasons(movie) : [];
+    const next = (seasons[seasons.length - 1] || 0) + 1;
+    const kb = [];
+    for (let i = 0; i < seasons.length; i += 4) {
+        kb.push(seasons.slice(i, i + 4).map(s => ({ text: `📂 ${t(lang, 'season', { season: s })}`, callback_data: `eps_${s}` })));
+    }
+    kb.push([{ text: t(lang, 'ep_new_season', { season: next }), callback_data: `eps_${next}` }]);
+    kb.push([{ text: t(lang, 'btn_cancel'), callback_data: "cancel_action" }]);
+    return safeSend(chatId, t(lang, 'ep_season_prompt'), { parse_mode: 'HTML', reply_markup: { inline_keyboard: kb } });
+}
+
+async function selectEpisodeSeason(chatId, st, season) {
+    const lang = await getLang(chatId);
+    st.season = season;
+    if (st.action === 'ADD_EPISODE_BATCH') {
+        st.step = 'VIDEOS';
+        return safeSend(chatId, t(lang, 'batch_prompt', { season: t(lang, 'season', { season }) }), { parse_mode: 'HTML', reply_markup: buildBatchKeyboard(lang) });
+    }
+    if (st.explicitNumber) {
+        st.step = 'NUMBER';
+        return safeSend(chatId, t(lang, 'ep_number_prompt', { season: t(lang, 'season', { season }) }), { parse_mode: 'HTML', ...cancelBtn(lang) });
+    }
+    st.step = 'VIDEO';
+    const movie = await Movie.findById(st.movieId);
+    const episode = episodeLabel({ season, number: movie ? nextEpisodeNumber(movie, season) : '' }, lang);
+    return safeSend(chatId, t(lang, 'ep_video', { episode }), { parse_mode: 'HTML', ...cancelBtn(lang) });
+}
+
+async function showEpisodeList(chatId, mid, season = 0, page = 0, msgId = null) {
+    const lang = await getLang(chatId);
+    const m = await Movie.findById(mid);
+    if (!m || m.contentType !== 'series') return safeSend(chatId, t(lang, 'series_not_found'));
+
+    const seasons = getSeasons(m);
+    const currentSeason = seasons.includes(season) ? season : (seasons[0] || 1);
+    const limit = 20;
+    const episodes = getSeasonEpisodes(m, currentSeason);
+    const buttons = episodes.slice(page * limit, (page + 1) * limit).map(ep => ({ text: `${ep.number}`, callback_data: `ep_v_${mid}_${episodeRef(ep)}` }));
+
+    const kb = [];
+    if (seasons.length > 1) {
+        for (let i = 0; i < seasons.length; i += 5) {
+            kb.push(seasons.slice(i, i + 5).map(s => {
+                const label = t(lang, 'season', { season: s });
+                return { text: s === currentSeason ? `• ${label} •` : label, callback_data: `ep_list_${mid}_${s}_0` };
+            }));
+        }
+    }
+    for (let i = 0; i < buttons.length; i += 5) kb.push(buttons.slice(i, i + 5));
+    const navRow = buildPageNavRow(`ep_list_${mid}_${currentSeason}`, page, episodes.length, limit);
+    if (navRow.length) kb.push(navRow);
+    kb.push([{ text: t(lang, 'ep_btn_add'), callback_data: `add_ep_${mid}` }, { text: t(lang, 'ep_btn_batch'), callback_data: `ep_batch_${mid}` }]);
+    kb.push([{ text: t(lang, 'ep_btn_insert'), callback_data: `ep_ins_${mid}` }]);
+    kb.push([{ text: t(lang, 'ep_btn_renumber', { season: t(lang, 'season', { season: currentSeason }) }), callback_data: `ep_renum_${mid}_${currentSeason}` }]);
+    kb.push([{ text: t(lang, 'btn_back'), callback_data: `ed_open_${mid}` }]);
+
+    // Tushib qolgan raqamlarni ko'rsatamiz
+    const missing = [];
+    for (let n = 1, i = 0; i < episodes.length && missing.length < 10; n++) {
+        if (episodes[i].number === n) i++;
+        else if (episodes[i].number > n) missing.push(n);
+        else i++;
+    }
+    let txt = t(lang, 'ep_list_title', { title: m.title, season: t(lang, 'season', { season: currentSeason }), count: episodes.length });
+    if (missing.length) txt += `\n${t(lang, 'ep_missing', { numbers: missing.join(', ') })}`;
+
+    const opts = { parse_mode: 'HTML', reply_markup: { inline_keyboard: kb } };
+    if (msgId) bot.editMessageText(txt, { chat_id: chatId, message_id: msgId, ...opts }).catch(() => { });
+    else safeSend(chatId, txt, opts);
+}
+
+async function showEpisodePanel(chatId, mid, ref, msgId = null) {
+    const m = await Movie.findById(mid);
+    const { season, number } = parseEpisodeRef(ref) || {};
+    const ep = m && findEpisode(m, season, number);
+    if (!ep) return showEpisodeList(chatId, mid, season, 0, msgId);
+
+    const lang = await getLang(chatId);
+    const qualities = getVideoVariants(ep, m.quality).map(v => v.quality).join(' / ');
+    const txt = t(lang, 'ep_panel', { title: m.title, episode: episodeLabel(ep, lang), name: ep.name || '-', qualities, date: formatLocalDate(ep.addedAt) });
+    const epRef = episodeRef(ep);
+    const kb = [
+        [{ text: t(lang, 'ep_btn_rename'), callback_data: `ep_ren_${mid}_${epRef}` }, { text: t(lang, 'ep_btn_replace'), callback_data: `ep_rep_${mid}_${epRef}` }],
+        [{ text: t(lang, 'ep_btn_delete'), callback_data: `ep_del_${mid}_${epRef}` }],
+        [{ text: t(lang, 'ep_btn_list'), callback_data: `ep_list_${mid}_${ep.season || 1}_0` }]
+    ];
+
+    const opts = { parse_mode: 'HTML', reply_markup: { inline_keyboard: kb } };
+    if (msgId) bot.editMessageText(txt, { chat_id: chatId, message_id: msgId, ...opts }).catch(() => { });
+    else safeSend(chatId, txt, opts);
+}
+
+async function handleEpisodeCallback(chatId, data, msgId, qId) {
+    const [, act, mid, arg, arg2] = data.split('_');
+    const ref = parseEpisodeRef(arg);
+    const lang = await getLang(chatId);
+
+    if (act === 'list') return showEpisodeList(chatId, mid, parseInt(arg) || 0, parseInt(arg2) || 0, msgId);
+    if (act === 'v') return showEpisodePanel(chatId, mid, arg, msgId);
+
+    if ((act === 'ren' || act === 'rep') && ref) {
+        state.set(chatId, { action: 'EDIT_EPISODE', movieId: mid, season: ref.season, epNum: ref.number, field: act === 'ren' ? 'name' : 'video', permissionRequired: 'movies', timestamp: Date.now() });
+        const episode = episodeLabel(ref, lang);
+        return safeSend(chatId, t(lang, act === 'ren' ? 'ep_rename_prompt' : 'ep_replace_prompt', { episode }), cancelBtn(lang));
+    }
+
+    if (act === 'del' && ref) {
+        return bot.editMessageReplyMarkup({
+            inline_keyboard: [[{ text: t(lang, 'ep_delete_confirm', { episode: episodeLabel(ref, lang) }), callback_data: `ep_delok_${mid}_${arg}` }], [{ text: t(lang, 'btn_no'), callback_data: `ep_v_${mid}_${arg}` }]]
+        }, { chat_id: chatId, message_id: msgId }).catch(() => { });
+    }
+    if (act === 'delok' && ref) {
+        const movie = await Movie.findById(mid);
+        const episode = movie && findEpisode(movie, ref.season, ref.number);
+        if (episode) {
+            movie.episodes.pull(episode._id);
+            await movie.save();
+            syncChannelPosts(movie);
+            logAudit(chatId, 'episode_delete', `#${movie.code} ${episodeRef(episode)}`, { name: episode.name, fileId: episode.fileId });
+            bot.answerCallbackQuery(qId, { text: t(lang, 'ep_deleted', { episode: episodeLabel(episode, lang) }) });
+        }
+        return showEpisodeList(chatId, mid, ref.season, 0, msgId);
+    }
+
+    if (act === 'renum') {
+        const season = parseInt(arg) || 1;
+        const movie = await Movie.findById(mid);
+        if (!movie) return;
+        const seasonEps = getSeasonEpisodes(movie, season);
+        const before = seasonEps.map(ep => ep.number);
+        seasonEps.forEach((ep, i) => { ep.number = i + 1; });
+        sortEpisodes(movie);
+        await movie.save();
+        syncChannelPosts(movie);
+        logAudit(chatId, 'episode_renumber', `#${movie.code} ${season}-fasl`, { numbers: before }, { numbers: seasonEps.map(ep => ep.number) });
+        bot.answerCallbackQuery(qId, { text: t(lang, 'ep_renumbered', { season: t(lang, 'season', { season }), count: seasonEps.length }), show_alert: true });
+        return showEpisodeList(chatId, mid, season, 0, msgId);
+    }
+
+    if (act === 'ins' || act === 'batch') {
+        const movie = await Movie.findById(mid);
+        if (!movie) return;
+        state.set(chatId, {
+            action: act === 'ins' ? 'ADD_EPISODE' : 'ADD_EPISODE_BATCH',
+            movieId: mid,
+            step: 'SEASON',
+            explicitNumber: act === 'ins',
+            uploads: [],
+            permissionRequired: 'movies',
+            timestamp: Date.now()
+        });
+        return promptEpisodeSeason(chatId, movie);
+    }
+
+    if (act === 'batchdone') {
+        const st = state.get(chatId);
+        if (!st || st.action !== 'ADD_EPISODE_BATCH') return;
+        state.delete(chatId);
+        const uploads = (st.uploads || []).sort((a, b) => a.messageId - b.messageId);
+        if (!uploads.length) return showEpisodeList(chatId, st.movieId, st.season);
+
+        const movie = await Movie.findById(st.movieId);
+        if (!movie) return safeSend(chatId, t(lang, 'series_not_found'));
+        const first = nextEpisodeNumber(movie, st.season);
+        uploads.forEach((u, i) => movie.episodes.push({
+            season: st.season,
+            number: first + i,
+            fileId: u.fileId,
+            variants: [{ quality: u.quality, fileId: u.fileId, duration: u.duration }],
+            name: u.name || `${first + i}-qism`,
+            addedAt: Date.now()
+        }));
+        sortEpisodes(movie);
+        movie.quality = uploads[uploads.length - 1].quality;
+        await movie.save();
+
+        const range = uploads.length > 1 ? `${first}-${first + uploads.length - 1}` : `${first}`;
+        await safeSend(chatId, t(lang, 'batch_done', { season: t(lang, 'season', { season: st.season }), count: uploads.length, range }), { parse_mode: 'HTML' });
+        showEpisodeList(chatId, st.movieId, st.season);
+        logAudit(chatId, 'episode_add', `#${movie.code} ${st.season}x${range}`, null, { count: uploads.length });
+        notifyFavoriteSubscribers(movie, { season: st.season, number: range }); // Oraliq: "3-7-qism"
+        announceNewEpisode(movie, episodeLabel({ season: st.season, number: range }));
+    }
+}
+
+async function showChannelsPanel(chatId, msgId = null) {
+    const channels = await Channel.find();
+    const lang = await getLang(chatId);
+    const btns = channels.map(c => [
+        { text: `${c.isActive === false ? '⏸' : c.type === 'main' ? '📢' : '📂'} ${c.name}`, callback_data: 'noop' },
+        { text: t(lang, c.checkErrorPolicy === 'require' ? 'ch_policy_require' : 'ch_policy_skip'), callback_data: `ch_pol_${c._id}` },
+        ...(c.type === 'main' ? [{ text: "🎯", callback_data: `ch_camp_${c._id}` }] : []),
+        { text: "🗑", callback_data: `del_ch_${c._id}` }
+    ]);
+    btns.push([{ text: t(lang, 'btn_add_main'), callback_data: "add_ch_main" }]);
+    btns.push([{ text: t(lang, 'btn_add_codes'), callback_data: "add_ch_codes" }]);
+    btns.push([{ text: t(lang, 'btn_back'), callback_data: "admin_home" }]);
+
+    let txt = t(lang, 'channels_title');
+    const campaigns = channels.filter(hasCampaign);
+    if (campaigns.length) txt += `\n\n${t(lang, 'campaign_header')}\n${campaigns.map(c => describeCampaign(c, lang)).join('\n')}`;
+
+    const opts = { parse_mode: 'HTML', reply_markup: { inline_keyboard: btns } };
+    if (msgId) bot.editMessageText(txt, { chat_id: chatId, message_id: msgId, ...opts }).catch(() => { });
+    else safeSend(chatId, txt, opts);
+}
+
+// --- HOMIY KAMPANIYALARI ---
+
+function hasCampaign(ch) {
+    return ch.type === 'main' && !!(ch.campaign?.targetJoins || ch.campaign?.endsAt);
+}
+
+// "500", "31.12.2026 23:59" yoki "500 31.12.2026" => { targetJoins, endsAt } | null
+function parseCampaignInput(text) {
+    const [first, ...rest] = text.trim().split(/\s+/);
+    const targetJoins = /^\d+$/.test(first) ? parseInt(first) : null;
+    const dateStr = targetJoins ? rest.join(' ') : text.trim();
+    let endsAt = dateStr ? parseLocalDate(dateStr) : null;
+    if (endsAt && !dateStr.includes(':')) endsAt = new Date(endsAt.getTime() + 24 * 3600 * 1000 - 1); // faqat sana: kun oxirigacha
+    if (targetJoins === 0 || (dateStr && !endsAt) || (!targetJoins && !endsAt)) return null;
+    if (endsAt && endsAt <= new Date()) return null;
+    return { targetJoins, endsAt };
+}
+
+function describeCampaign(ch, lang) {
+    const { targetJoins, endsAt, joins = 0, finishedAt } = ch.campaign;
+    let line = `• ${ch.name}: 👥 ${joins}${targetJoins ? `/${targetJoins} (${Math.min(100, Math.round(joins / targetJoins * 100))}%)` : ''}`;
+    if (endsAt) line += ` | ${t(lang, 'campaign_until', { date: formatLocalDate(endsAt) })}`;
+    if (ch.isActive === false) line += ` | ${t(lang, 'campaign_done', { date: formatLocalDate(finishedAt) })}`;
+    return line;
+}
+
+// Userga shu kanal so'ralgan bo'lsa (SubPrompt), bir marta hisoblaymiz
+async function creditCampaignJoin(ch, userId) {
+    try {
+        if (!hasCampaign(ch) || ch.isActive === false) return;
+        const res = await SubPrompt.deleteOne({ channelId: ch.channelId, userId });
+        if (!res.deletedCount) return;
+        const updated = await Channel.findOneAndUpdate({ _id: ch._id, isActive: { $ne: false } }, { $inc: { 'campaign.joins': 1 } }, { new: true });
+        if (updated?.campaign.targetJoins && updated.campaign.joins >= updated.campaign.targetJoins) await finishCampaign(updated, 'target');
+    } catch (e) {
+        console.error("Campaign Credit Error:", e.message);
+    }
+}
+
+async function finishCampaign(ch, reason) {
+    const finishedAt = new Date();
+    const res = await Channel.updateOne({ _id: ch._id, isActive: { $ne: false } }, { isActive: false, 'campaign.finishedAt': finishedAt });
+    if (!res.modifiedCount) return; // Parallel chaqiruvda faqat bir marta xabar beramiz
+
+    await SubPrompt.deleteMany({ channelId: ch.channelId });
+    logAudit(0, 'campaign_finish', ch.channelId, { isActive: true }, { isActive: false, reason, joins: ch.campaign.joins });
+    console.log(`🎯 Kampaniya yakunlandi: ${ch.name} (${reason}, ${ch.campaign.joins} ta)`);
+
+    const admins = await Admin.find({ 'permissions.channels': true }, 'telegramId').lean();
+    const ids = new Set([CONFIG.superAdminId, ...admins.map(a => a.telegramId)]);
+    for (const id of ids) {
+        const lang = await getLang(id);
+        safeSend(id, t(lang, 'campaign_finished', { name: ch.name, reason: t(lang, `campaign_reason_${reason}`), joins: ch.campaign.joins }), {
+            parse_mode: 'HTML',
+            reply_markup: { inline_keyboard: [[{ text: t(lang, 'adm_channels'), callback_data: "admin_channels" }]] }
+        });
+    }
+}
+
+async function checkCampaigns() {
+    try {
+        const expired = await Channel.find({ isActive: { $ne: false }, 'campaign.endsAt': { $lte: new Date() } });
+        for (const ch of expired) await finishCampaign(ch, 'date');
+    } catch (e) {
+        console.error("Campaign Check Error:", e.message);
+    }
+}
+
+setInterval(checkCampaigns, CONFIG.schedulerInterval);
+
+async function showSettingsPanel(chatId, msgId) {
+    const conf = await Settings.findOne({ key: 'config' }) || await Settings.create({});
+    const lang = await getLang(chatId);
+    const kb = {
+        inline_keyboard: [
+            [{ text: `${t(lang, 'set_protect')}: ${conf.globalProtection ? "✅" : "❌"}`, callback_data: "tog_set_globalProtection" }],
+            [{ text: `${t(lang, 'set_download')}: ${conf.globalDownload ? "✅" : "❌"}`, callback_data: "tog_set_globalDownload" }],
+            [{ text: `${t(lang, 'set_autopost')}: ${conf.autoPost ? "✅" : "❌"}`, callback_data: "tog_set_autoPost" }],
+            [{ text: `${t(lang, 'set_adult')}: ${t(lang, conf.hideAdultContent ? 'set_adult_hide' : 'set_adult_block')}`, callback_data: "tog_set_hideAdultContent" }],
+            [{ text: t(lang, 'set_trash', { days: conf.trashRetentionDays }), callback_data: "trash_ret" }],
+            [{ text: t(lang, 'btn_back'), callback_data: "admin_home" }]
+        ]
+    };
+    bot.editMessageText(t(lang, 'settings_title'), { chat_id: chatId, message_id: msgId, parse_mode: 'HTML', reply_markup: kb }).catch(() => { });
+}
+
+async function showUserManagePanel(chatId, u, msgId = null) {
+    const lang = await getLang(chatId);
+    const txt = t(lang, 'usr_panel', { id: u.telegramId, name: sanitize(u.firstName), banned: u.isBanned ? '✅' : "❌" });
+    const kb = {
+        inline_keyboard: [
+            [{ text: t(lang, u.isBanned ? 'usr_btn_unban' : 'usr_btn_ban'), callback_data: `usr_ban_${u.telegramId}` }],
+            [{ text: t(lang, u.restrictions.canDownload ? 'usr_btn_dl_block' : 'usr_btn_dl_allow'), callback_data: `usr_dl_${u.telegramId}` }],
+            [{ text: t(lang, 'btn_back'), callback_data: "admin_users" }]
+        ]
+    };
+    if (msgId) bot.editMessageText(txt, { chat_id: chatId, message_id: msgId, parse_mode: 'HTML', reply_markup: kb }).catch(() => { });
+    else safeSend(chatId, txt, { parse_mode: 'HTML', reply_markup: kb });
+}
+
+async function showAdminPermsPanel(chatId, admin, msgId = null) {
+    const lang = await getLang(chatId);
+    const p = admin.permissions;
+    const txt = `👮‍♂️ <b>Admin:</b> <code>${admin.telegramId}</code>`;
+    const kb = [
+        ...['movies', 'channels', 'users', 'broadcast', 'settings'].map(k => [{ text: `${t(lang, `perm_${k}`)}: ${p[k] ? '✅' : '❌'}`, callback_data: `perm_${k}_${admin.telegramId}` }]),
+        [{ text: t(lang, 'ep_btn_delete'), callback_data: `del_admin_${admin.telegramId}` }],
+        [{ text: t(lang, 'btn_back'), callback_data: "admin_home" }]
+    ];
+    const opts = { parse_mode: 'HTML', reply_markup: { inline_keyboard: kb } };
+    if (msgId) bot.editMessageText(txt, { chat_id: chatId, message_id: msgId, ...opts }).catch(() => { });
+    else safeSend(chatId, txt, opts);
+}
+
+// --- DRAFTS (Restartdan keyin tiklangan wizardlar) ---
+
+// Nomlari I18N dagi draft_{action}
+const DRAFT_ACTIONS = ['ADD_CONTENT', 'ADD_EPISODE', 'ADD_CHANNEL', 'EDIT_FIELD', 'ADD_VARIANT', 'ADD_EPISODE_BATCH', 'EDIT_EPISODE', 'IMPORT', 'BROADCAST'];
+
+// Qadam -> I18N kaliti (wizardlardagi savollar bilan bir xil)
+const DRAFT_STEP_PROMPTS = {
+    ADD_CONTENT: {
+        VIDEO: 'draft_video',
+        POSTER: 'add_poster',
+        TITLE: 'add_title',
+        COUNTRY: 'add_country',
+        LANG: 'add_language',
+        YEAR: 'add_year',
+        CODE: 'add_code'
+    },
+    ADD_EPISODE: {
+        NUMBER: 'draft_ep_number',
+        VIDEO: 'draft_ep_video',
+        NAME: 'draft_ep_name'
+    },
+    ADD_VARIANT: {
+        EPISODE: 'var_episode_prompt',
+        VIDEO: 'var_video'
+    },
+    ADD_CHANNEL: {
+        NAME: 'ch_name_prompt',
+        URL: 'ch_url_prompt'
+    }
+};
+
+function describeDraft(st, lang) {
+    let txt = t(lang, 'draft_title', { action: t(lang, `draft_${st.action.toLowerCase()}`) });
+    if (st.step) txt += t(lang, 'draft_step', { step: st.step });
+    if (st.data?.title) txt += t(lang, 'draft_name', { title: st.data.title });
+    if (st.data?.fileId) txt += "📹 Video: ✅\n";
+    if (st.data?.posterId) txt += "🖼 Poster: ✅\n";
+    txt += t(lang, 'draft_expires', { date: formatLocalDate((st.timestamp || 0) + CONFIG.stateTTL) });
+    return txt;
+}
+
+function buildDraftKeyboard(lang, withBack) {
+    const kb = [
+        [{ text: t(lang, 'draft_btn_resume'), callback_data: "draft_resume" }],
+        [{ text: t(lang, 'draft_btn_discard'), callback_data: "cancel_action" }]
+    ];
+    if (withBack) kb.push([{ text: t(lang, 'btn_back'), callback_data: "admin_home" }]);
+    return { inline_keyboard: kb };
+}
+
+async function showDraftPanel(chatId, msgId) {
+    const st = state.get(chatId);
+    if (!st || !DRAFT_ACTIONS.includes(st.action)) return showAdminPanel(chatId, msgId);
+    const lang = await getLang(chatId);
+    bot.editMessageText(describeDraft(st, lang), {
+        chat_id: chatId, message_id: msgId, parse_mode: 'HTML',
+        reply_markup: buildDraftKeyboard(lang, true)
+    }).catch(() => { });
+}
+
+// Joriy qadam uchun savolni qayta yuborish
+async function resumeDraft(chatId) {
+    const st = state.get(chatId);
+    if (!st) return showAdminPanel(chatId);
+    const lang = await getLang(chatId);
+
+    if (st.action === 'ADD_CONTENT' && st.step === 'GENRES') {
+        return safeSend(chatId, t(lang, 'add_genres'), {
+            parse_mode: 'HTML',
+            reply_markup: buildGenreKeyboard(st.data.genres, i => `gen_t_${i}`, 'gen_done', lang)
+        });
+    }
+    if (st.action === 'ADD_CONTENT' && st.step === 'ADULT') {
+        return safeSend(chatId, t(lang, 'add_adult'), { parse_mode: 'HTML', reply_markup: buildAdultKeyboard(lang) });
+    }
+    if (st.action === 'BROADCAST' && st.msg && st.step === 'SEGMENT') return showBroadcastSegmentPanel(chatId, st);
+    if (st.action === 'IMPORT') {
+        return safeSend(chatId, `${t(lang, 'imp_instructions')}\n\n${buildImportReport(st.report, lang)}`, { parse_mode: 'HTML', reply_markup: buildImportKeyboard(lang) });
+    }
+    if (['ADD_EPISODE', 'ADD_EPISODE_BATCH'].includes(st.action) && st.step === 'SEASON') return promptEpisodeSeason(chatId, await Movie.findById(st.movieId));
+    if (st.action === 'ADD_EPISODE_BATCH') {
+        return safeSend(chatId, t(lang, 'draft_batch_continue', { count: (st.uploads || []).length }), { reply_markup: buildBatchKeyboard(lang) });
+    }
+
+    const key = DRAFT_STEP_PROMPTS[st.action]?.[st.step];
+    const prompt = key ? t(lang, key) :
+        st.action === 'BROADCAST' ? (SEGMENT_STEPS.includes(st.step) ? segmentPrompt(st.step, lang) : t(lang, 'bc_post_prompt')) : t(lang, 'draft_value');
+    safeSend(chatId, prompt, { parse_mode: 'HTML', ...cancelBtn(lang) });
+}
+
+function buildAdultKeyboard(lang) {
+    return {
+        inline_keyboard: [
+            [{ text: t(lang, 'btn_yes'), callback_data: "adult_yes" }, { text: t(lang, 'btn_no'), callback_data: "adult_no" }],
+            [{ text: t(lang, 'btn_cancel'), callback_data: "cancel_action" }]
+        ]
+    };
+}
+
+// Restartdan keyin holatlarni tiklash va adminlarga eslatish
+async function restoreConversationState() {
+    try {
+        const count = await state.load();
+        if (count) console.log(`♻️ ${count} ta suhbat holati tiklandi`);
+        for (const [chatId, st] of state.entries()) {
+            if (!DRAFT_ACTIONS.includes(st.action) || !await isUserAdmin(chatId)) continue;
+            const lang = await getLang(chatId);
+            safeSend(chatId, `${t(lang, 'draft_restarted')}\n\n${describeDraft(st, lang)}`, {
+                parse_mode: 'HTML',
+                reply_markup: buildDraftKeyboard(lang, false)
+            });
+        }
+    } catch (e) {
+        console.error("State Restore Error:", e.message);
+    }
+}
+
+async function sendSubRequest(chatId, channels) {
+    const lang = await getLang(chatId);
+    const campaignChannels = channels.filter(hasCampaign);
+    if (campaignChannels.length) {
+        SubPrompt.bulkWrite(campaignChannels.map(c => ({
+            updateOne: { filter: { channelId: c.channelId, userId: chatId }, update: { $setOnInsert: { createdAt: new Date() } }, upsert: true }
+        })), { ordered: false }).catch(e => console.error("SubPrompt Error:", e.message));
+    }
+    const btns = channels.map(c => [{ text: t(lang, 'btn_join', { name: c.name }), url: c.url }]);
+    btns.push([{ text: t(lang, 'btn_confirm'), callback_data: "check_sub" }]);
+    safeSend(chatId, t(lang, 'sub_request'), { parse_mode: 'HTML', reply_markup: { inline_keyboard: btns } });
+}
+
+// --- BROADCAST SEGMENTS ---
+
+const SEGMENT_STEPS = ['SEG_BIRTH', 'SEG_JOINED', 'SEG_ACTIVE', 'SEG_WATCHED', 'SCHEDULE'];
+
+function segmentPrompt(step, lang) {
+    return t(lang, `seg_prompt_${step}`, { days: CONFIG.eventRetentionDays });
+}
+
+// Admin kiritgan qiymatni segmentga yozish. Xato bo'lsa matnini qaytaradi.
+function applySegmentInput(segment, step, text, lang) {
+    if (step === 'SEG_BIRTH') {
+        const m = text.match(/^(\d{4})\s*-\s*(\d{4})$/);
+        if (!m || +m[1] > +m[2]) return t(lang, 'seg_birth_invalid');
+        segment.birthYearFrom = +m[1];
+        segment.birthYearTo = +m[2];
+    } else if (step === 'SEG_JOINED') {
+        if (/^\d+$/.test(text)) {
+            segment.joinedFrom = new Date(Date.now() - parseInt(text) * 24 * 3600 * 1000);
+            segment.joinedTo = null;
+        } else {
+            const [from, to] = text.split('-').map(parseLocalDate);
+            if (!from || !to || from > to) return t(lang, 'seg_joined_invalid');
+            segment.joinedFrom = from;
+            segment.joinedTo = new Date(to.getTime() + 24 * 3600 * 1000 - 1); // kun oxirigacha
+        }
+    } else if (step === 'SEG_ACTIVE') {
+        const days = parseInt(text);
+        if (isNaN(days) || days < 1) return t(lang, 'seg_days_invalid');
+        segment.activeWithinDays = days;
+    } else if (step === 'SEG_WATCHED') {
+        const code = parseInt(text);
+        if (isNaN(code)) return t(lang, 'add_code_nan');
+        segment.watchedCode = code;
+    }
+    return null;
+}
+
+async function buildSegmentQuery(segment = {}) {
+    const query = { isBanned: false, isActive: true };
+    if (segment.birthYearFrom) query.birthYear = { $gte: segment.birthYearFrom, $lte: segment.birthYearTo };
+    if (segment.joinedFrom || segment.joinedTo) {
+        query.joinedAt = {};
+        if (segment.joinedFrom) query.joinedAt.$gte = segment.joinedFrom;
+        if (segment.joinedTo) query.joinedAt.$lte = segment.joinedTo;
+    }
+    if (segment.activeWithinDays) query.lastActiveAt = { $gte: new Date(Date.now() - segment.activeWithinDays * 24 * 3600 * 1000) };
+    if (segment.watchedCode) {
+        // Yuklash tarixi Event'da faqat kuzatuv boshlangandan beri bor; avvalgi tomoshabinlarni baholar orqali ham olamiz
+        const [downloaders, raters] = await Promise.all([
+            Event.distinct('userId', { type: 'download', code: segment.watchedCode }),
+            Rating.distinct('userId', { code: segment.watchedCode })
+        ]);
+        query.telegramId = { $in: [...new Set([...downloaders, ...raters])] };
+    }
+    return query;
+}
+
+function describeSegment(segment = {}, lang) {
+    const parts = [];
+    if (segment.birthYearFrom) parts.push(`🎂 ${segment.birthYearFrom}-${segment.birthYearTo}`);
+    if (segment.joinedFrom || segment.joinedTo) parts.push(`📅 ${formatLocalDate(segment.joinedFrom).split(' ')[0]} → ${segment.joinedTo ? formatLocalDate(segment.joinedTo).split(' ')[0] : t(lang, 'seg_now')}`);
+    if (segment.activeWithinDays) parts.push(`⚡️ ${t(lang, 'seg_days', { days: segment.activeWithinDays })}`);
+    if (segment.watchedCode) parts.push(`🎬 #${segment.watchedCode}`);
+    return parts.length ? parts.join(', ') : t(lang, 'seg_all');
+}
+
+async function showBroadcastSegmentPanel(chatId, st) {
+    const lang = await getLang(chatId);
+    const count = await User.countDocuments(await buildSegmentQuery(st.segment));
+    const txt = t(lang, 'bc_audience', { segment: describeSegment(st.segment, lang), count });
+    safeSend(chatId, txt, {
+        parse_mode: 'HTML',
+        reply_markup: {
+            inline_keyboard: [
+                [{ text: t(lang, 'bc_seg_birth'), callback_data: "bc_seg_SEG_BIRTH" }, { text: t(lang, 'bc_seg_joined'), callback_data: "bc_seg_SEG_JOINED" }],
+                [{ text: t(lang, 'bc_seg_active'), callback_data: "bc_seg_SEG_ACTIVE" }, { text: t(lang, 'bc_seg_watched'), callback_data: "bc_seg_SEG_WATCHED" }],
+                [{ text: t(lang, 'bc_seg_clear'), callback_data: "bc_seg_clear" }],
+                [{ text: t(lang, 'bc_send_now', { count }), callback_data: "confirm_broadcast" }],
+                [{ text: t(lang, 'bc_schedule'), callback_data: "bc_seg_SCHEDULE" }],
+                [{ text: t(lang, 'btn_cancel'), callback_data: "cancel_action" }]
+            ]
+        }
+    });
+}
+
+// Broadcast Controller (joblar MongoDB'da saqlanadi, restartdan keyin davom etadi)
+async function startBroadcast(adminId, message, segment = {}) {
+    const job = await createBroadcastJob(adminId, message, segment);
+    if (broadcastController.isActive) return safeSend(adminId, t(await getLang(adminId), 'bc_queued'));
+    runBroadcastJob(job);
+}
+
+async function createBroadcastJob(adminId, message, segment = {}, scheduledAt = null) {
+    return BroadcastJob.create({
+        adminId,
+        sourceChatId: message.chat.id,
+        sourceMessageId: message.message_id,
+        segment,
+        status: scheduledAt ? 'scheduled' : 'running',
+        scheduledAt,
+        // Navbat va tarix startedAt bo'yicha tartiblanadi: rejalashtirilgan job o'z vaqti bilan turadi (ishga tushganda yangilanadi)
+        startedAt: scheduledAt || new Date(),
+        total: scheduledAt ? 0 : await User.countDocuments(await buildSegmentQuery(segment))
+    });
+}
+
+async function runBroadcastJob(job) {
+    if (broadcastController.isActive) return;
+
+    broadcastController.isActive = true;
+    broadcastController.shouldStop = false;
+    broadcastController.jobId = job._id;
+    broadcastController.sent = job.sent;
+    broadcastController.blocked = job.blocked;
+    broadcastController.startedAt = job.startedAt;
+
+    // Tayyorgarlik ham try ichida: xato bo'lsa finally kontrollerni bo'shatadi, aks holda keyingi reklamalar abadiy navbatda qoladi
+    let lang, cursor;
+    try {
+        const resumed = job.sent + job.blocked + job.failed > 0;
+        const segmentQuery = await buildSegmentQuery(job.segment);
+        if (!resumed) {
+            job.total = await User.countDocuments(segmentQuery);
+            job.startedAt = new Date();
+            await BroadcastJob.updateOne({ _id: job._id }, { total: job.total, startedAt: job.startedAt });
+            broadcastController.startedAt = job.startedAt;
+        }
+        lang = await getLang(job.adminId);
+        const stopMsg = await safeSend(job.adminId, resumed ? t(lang, 'bc_resumed', { sent: job.sent }) : t(lang, 'bc_started'), {
+            reply_markup: { inline_keyboard: [[{ text: t(lang, 'bc_btn_stop'), callback_data: "stop_broadcast" }]] }
+        });
+
+        const query = { ...segmentQuery };
+        if (job.lastUserId) query._id = { $gt: job.lastUserId };
+        cursor = User.find(query, { telegramId: 1 }).sort({ _id: 1 }).cursor();
+
+        for (let user = await cursor.next(); user != null; user = await cursor.next()) {
+            if (broadcastController.shouldStop) {
+                await BroadcastJob.updateOne({ _id: job._id }, { status: 'stopped', finishedAt: new Date() });
+                safeDelete(job.adminId, stopMsg?.message_id);
+                return safeSend(job.adminId, t(lang, 'bc_stopped', { sent: job.sent }), { parse_mode: 'HTML' });
+            }
+
+            await waitSendSlot();
+            let result = 'sent';
+            try {
+                await bot.copyMessage(user.telegramId, job.sourceChatId, job.sourceMessageId);
+            } catch (e) {
+                if (e.response && (e.response.statusCode === 403 || e.response.statusCode === 400)) {
+                    result = 'blocked';
+                    await markUserBlocked(user.telegramId);
+                } else {
+                    result = 'failed';
+                }
+            }
+
+            // Har bir userdan keyin pozitsiyani saqlaymiz: restartda hech kimga ikki marta yuborilmaydi
+            job[result]++;
+            await BroadcastJob.updateOne({ _id: job._id }, { lastUserId: user._id, $inc: { [result]: 1 } });
+            broadcastController.sent = job.sent;
+            broadcastController.blocked = job.blocked;
+        }
+
+        const finishedAt = new Date();
+        await BroadcastJob.updateOne({ _id: job._id }, { status: 'completed', finishedAt });
+        safeDelete(job.adminId, stopMsg?.message_id);
+        safeSend(job.adminId, `${t(lang, 'bc_finished')}\n✅: ${job.sent}\n🚫: ${job.blocked}\n⚠️: ${job.failed}\n⏱: ${((finishedAt - job.startedAt) / 1000).toFixed(1)}s`, { parse_mode: 'HTML' });
+    } catch (e) {
+        console.error("Broadcast Error:", e);
+        await BroadcastJob.updateOne({ _id: job._id }, { status: 'failed', finishedAt: new Date() }).catch(() => { });
+        safeSend(job.adminId, t(lang, 'bc_failed'));
+    } finally {
+        broadcastController.isActive = false;
+        broadcastController.jobId = null;
+        cursor?.close().catch(() => { });
+        resumeBroadcastJobs();
+    }
+}
+
+// Vaqti kelgan rejalashtirilgan reklamalarni navbatga o'tkazish
+async function checkScheduledBroadcasts() {
+    try {
+        const res = await BroadcastJob.updateMany({ status: 'scheduled', scheduledAt: { $lte: new Date() } }, { status: 'running' });
+        if (res.modifiedCount > 0) resumeBroadcastJobs();
+    } catch (e) {
+        console.error("Scheduler Error:", e.message);
+    }
+}
+
+setInterval(checkScheduledBroadcasts, CONFIG.schedulerInterval);
+
+// Restartdan keyin tugallanmagan joblarni navbat bilan davom ettirish
+async function resumeBroadcastJobs() {
+    if (broadcastController.isActive) return;
+    try {
+        const job = await BroadcastJob.findOne({ status: 'running' }).sort({ startedAt: 1 });
+        if (job) runBroadcastJob(job);
+    } catch (e) {
+        console.error("Broadcast Resume Error:", e.message);
+    }
+}
+
+async function showBroadcastMenu(chatId, msgId) {
+    const lang = await getLang(chatId);
+    let txt = t(lang, 'bc_menu_title');
+    if (broadcastController.isActive) {
+        const job = await BroadcastJob.findById(broadcastController.jobId).lean();
+        if (job) txt += `\n\n${t(lang, 'bc_menu_running')}\n✅ ${job.sent} / ${job.total} | 🚫 ${job.blocked} | ⚠️ ${job.failed}`;
+    }
+    const scheduled = await BroadcastJob.find({ status: 'scheduled' }).sort({ scheduledAt: 1 }).limit(10).lean();
+    if (scheduled.length) txt += `\n\n${t(lang, 'bc_menu_scheduled')}`;
+
+    const kb = [
+        [{ text: t(lang, 'bc_btn_new'), callback_data: "bc_new" }],
+        [{ text: t(lang, 'bc_btn_history'), callback_data: "bc_hist_0" }]
+    ];
+    for (const j of scheduled) {
+        txt += `\n• ${formatLocalDate(j.scheduledAt)} — 🎯 ${describeSegment(j.segment, lang)}`;
+        kb.push([{ text: `🗑 ${formatLocalDate(j.scheduledAt)}`, callback_data: `bc_cancel_${j._id}` }]);
+    }
+    if (broadcastController.isActive) kb.push([{ text: t(lang, 'bc_btn_stop'), callback_data: "stop_broadcast" }]);
+    kb.push([{ text: t(lang, 'btn_back'), callback_data: "admin_home" }]);
+
+    bot.editMessageText(txt, { chat_id: chatId, message_id: msgId, parse_mode: 'HTML', reply_markup: { inline_keyboard: kb } }).catch(() => { });
+}
+
+async function showBroadcastHistory(chatId, page, msgId) {
+    const limit = 5;
+    const total = await BroadcastJob.countDocuments();
+    const jobs = await BroadcastJob.find().sort({ startedAt: -1 }).skip(page * limit).limit(limit).lean();
+    const lang = await getLang(chatId);
+
+    let txt = t(lang, 'bc_history_title', { total });
+    if (!jobs.length) txt += `\n${t(lang, 'bc_history_empty')}`;
+    for (const j of jobs) {
+        const duration = j.finishedAt ? ` | ⏱ ${Math.round((j.finishedAt - j.startedAt) / 1000)}s` : '';
+        txt += `\n<b>${formatLocalDate(j.scheduledAt || j.startedAt)}</b> — ${t(lang, `bc_status_${j.status}`)}\n` +
+            `👮‍♂️ <code>${j.adminId}</code> | 👥 ${j.total} | 🎯 ${describeSegment(j.segment, lang)}\n` +
+            `✅ ${j.sent} | 🚫 ${j.blocked} | ⚠️ ${j.failed}${duration}\n`;
+    }
+
+    const kb = [];
+    const navRow = buildPageNavRow('bc_hist', page, total, limit);
+    if (navRow.length) kb.push(navRow);
+    kb.push([{ text: t(lang, 'btn_back'), callback_data: "admin_broadcast" }]);
+
+    bot.editMessageText(txt, { chat_id: chatId, message_id: msgId, parse_mode: 'HTML', reply_markup: { inline_keyboard: kb } }).catch(() => { });
+}
+
+// ==========================================
+// 8. HTTP SERVER (Webhook & Health Check)
+// ==========================================
+
+function isValidWebhookSecret(header) {
+    if (typeof header !== 'string') return false;
+    const a = Buffer.from(header);
+    const b = Buffer.from(CONFIG.webhookSecret);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+function getHealthReport() {
+    const mongoOk = mongoose.connection.readyState === 1;
+    return {
+        status: mongoOk ? 'ok' : 'degraded',
+        mode: CONFIG.mode,
+        mongo: mongoOk ? 'connected' : 'disconnected',
+        uptimeSec: Math.floor((Date.now() - startTime) / 1000),
+        receivingUpdates: updatesReady,
+        broadcast: {
+            active: broadcastController.isActive,
+            jobId: broadcastController.jobId,
+            sent: broadcastController.sent,
+            blocked: broadcastController.blocked,
+            startedAt: broadcastController.startedAt
+        }
+    };
+}
+
+function handleWebhookRequest(req, res) {
+    if (!isValidWebhookSecret(req.headers['x-telegram-bot-api-secret-token'])) {
+        return sendJson(res, 401, { ok: false, error: 'invalid secret token' });
+    }
+    // Holatlar hali tiklanmagan: Telegram update'ni keyinroq qayta yuboradi
+    if (!updatesReady) return sendJson(res, 503, { ok: false, error: 'starting' });
+
+    let body = '';
+    let tooLarge = false;
+    req.on('data', chunk => {
+        if (tooLarge) return;
+        body += chunk;
+        if (body.length > CONFIG.maxBodySize) {
+            tooLarge = true;
+            sendJson(res, 413, { ok: false, error: 'payload too large' });
+        }
+    });
+    req.on('end', () => {
+        if (tooLarge) return;
+        let update;
+        try {
+            update = JSON.parse(body);
+        } catch (e) {
+            return sendJson(res, 400, { ok: false, error: 'invalid json' });
+        }
+        // Telegram'ga darhol javob qaytaramiz, update fonda ishlanadi
+        sendJson(res, 200, { ok: true });
+        try { bot.processUpdate(update); } catch (e) { console.error("Webhook Update Error:", e); }
+    });
+}
+
+function startHttpServer() {
+    const server = http.createServer((req, res) => {
+        const path = req.url.split('?')[0];
+
+        if (req.method === 'GET' && path === '/healthz') {
+            const report = getHealthReport();
+            return sendJson(res, report.status === 'ok' ? 200 : 503, report);
+        }
+        if (CONFIG.mode === 'webhook' && req.method === 'POST' && path === CONFIG.webhookPath) {
+            return handleWebhookRequest(req, res);
+        }
+        sendJson(res, 404, { ok: false, error: 'not found' });
+    });
+
+    const port = CONFIG.port || 3000;
+    server.listen(port, () => console.log(`🌐 HTTP Server: ${port} (${CONFIG.mode})`));
+    return server;
+}
+
+if (CONFIG.mode === 'webhook' || CONFIG.port) startHttpServer();
+
+// Update'lar faqat shu yerdan keyin qabul qilinadi: aks holda restartdan keyingi birinchi javoblar
+// tiklanmagan wizard holatini ko'rmay oddiy xabar sifatida ishlanardi
+function startReceivingUpdates() {
+    updatesReady = true;
+    if (CONFIG.mode === 'polling') {
+        bot.startPolling().catch(e => console.error("Polling Error:", e.message));
+    } else if (CONFIG.webhookUrl) {
+        bot.setWebHook(`${CONFIG.webhookUrl.replace(/\/$/, '')}${CONFIG.webhookPath}`, { secret_token: CONFIG.webhookSecret })
+            .then(() => console.log('🔗 Webhook o\'rnatildi'))
+            .catch(e => console.error("SetWebHook Error:", e.message));
+    } else {
+        // Lokal test: WEBHOOK_URL berilmasa Telegram'da webhook o'rnatilmaydi, update'lar to'g'ridan-to'g'ri POST qilinadi
+        console.warn("⚠️ WEBHOOK_URL berilmagan: webhook Telegram'da ro'yxatdan o'tkazilmadi.");
+    }
+}